@@ -1,28 +1,33 @@
-/ Enhanced RSS Parser class with better real-world handling
+// Enhanced RSS Parser class with better real-world handling
+// Depends on shared/greek-text.js, shared/greek-dates.js, shared/dedup.js, shared/feed-parser.js (window.FeedParser)
+// and shared/html-sanitizer.js (window.HtmlSanitizer)
 class RSSParser {
-    static async parseRSSFeed(url) {
+    // Parsed articles per feed URL: { articles, etag, lastModified, fetchedAt }
+    static cache = new Map();
+    static CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+    
+    // Backend feed proxy (/api/proxy/feed), tried first; set to null to disable
+    static PROXY_ENDPOINT = 'https://greek-tax-api-1.onrender.com/api/proxy/feed';
+    // Third-party CORS proxies are only tried when explicitly enabled
+    static USE_PUBLIC_PROXIES = false;
+    
+    static async parseRSSFeed(url, { forceRefresh = false } = {}) {
         try {
+            // Serve the in-memory result while it is fresh
+            const cached = this.cache.get(url);
+            if (cached && !forceRefresh && Date.now() - cached.fetchedAt < this.CACHE_TTL_MS) {
+                console.log(`💾 Using cached feed for: ${url}`);
+                return cached.articles;
+            }
+            
             console.log(`🔍 Starting RSS parsing for: ${url}`);
             
-            // Enhanced proxy list with specialized RSS services
-            const proxies = [
-                // RSS-specific proxies first
-                `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(url)}`,
-                `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
-                // General CORS proxies
-                `https://thingproxy.freeboard.io/fetch/${encodeURIComponent(url)}`,
-                `https://cors.sh/${url}`,
-                `https://corsproxy.io/?${encodeURIComponent(url)}`,
-                `https://proxy.cors.sh/${url}`,
-                // Backup options
-                `https://jsonp.afeld.me/?url=${encodeURIComponent(url)}`,
-                // Direct attempt (might work for some feeds)
-                url
-            ];
+            const proxies = this.getProxyList(url);
             
             let articles = [];
             let lastError = null;
             let workingProxy = null;
+            let validators = { etag: null, lastModified: null };
             
             // Try each proxy with specialized handling
             for (let i = 0; i < proxies.length; i++) {
@@ -32,14 +37,24 @@ class RSSParser {
                     const proxyName = this.getProxyName(proxyUrl);
                     console.log(`📡 Trying ${proxyName} (${i + 1}/${proxies.length})`);
                     
+                    // Conditional GET only makes sense when talking to the feed itself
+                    const isDirect = proxyUrl === url;
                     const fetchOptions = {
                         method: 'GET',
-                        headers: this.getProxyHeaders(proxyUrl),
+                        headers: this.getProxyHeaders(proxyUrl, isDirect ? cached : null),
                         signal: AbortSignal.timeout(20000) // Increased timeout
                     };
                     
                     const response = await fetch(proxyUrl, fetchOptions);
                     
+                    if (response.status === 304 && cached) {
+                        console.log(`✅ Feed not modified, reusing ${cached.articles.length} cached articles`);
+                        articles = cached.articles;
+                        validators = { etag: cached.etag, lastModified: cached.lastModified };
+                        workingProxy = proxyName;
+                        break;
+                    }
+                    
                     if (!response.ok) {
                         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
                     }
@@ -49,6 +64,12 @@ class RSSParser {
                     
                     if (articles && articles.length > 0) {
                         workingProxy = proxyName;
+                        if (isDirect) {
+                            validators = {
+                                etag: response.headers.get('etag'),
+                                lastModified: response.headers.get('last-modified')
+                            };
+                        }
                         console.log(`✅ Successfully parsed ${articles.length} articles via ${proxyName}`);
                         break;
                     } else {
@@ -72,6 +93,8 @@ class RSSParser {
                 throw new Error(`All ${proxies.length} proxies failed. Last error: ${lastError?.message || 'Unknown error'}`);
             }
             
+            this.cache.set(url, { articles, ...validators, fetchedAt: Date.now() });
+            
             console.log(`🎉 RSS parsing completed: ${articles.length} articles from ${workingProxy}`);
             return articles;
             
@@ -81,7 +104,42 @@ class RSSParser {
         }
     }
     
+    static getProxyList(url) {
+        const proxies = [];
+        
+        // Our own backend proxy first
+        if (this.PROXY_ENDPOINT) {
+            proxies.push(`${this.PROXY_ENDPOINT}?url=${encodeURIComponent(url)}`);
+        }
+        
+        // Optional public proxies; these see every feed URL we request
+        if (this.USE_PUBLIC_PROXIES) {
+            proxies.push(
+                // RSS-specific proxies first
+                `https://api.rss2json.com/v1/api.json?rss_url=${encodeURIComponent(url)}`,
+                `https://api.allorigins.win/get?url=${encodeURIComponent(url)}`,
+                // General CORS proxies
+                `https://thingproxy.freeboard.io/fetch/${encodeURIComponent(url)}`,
+                `https://cors.sh/${url}`,
+                `https://corsproxy.io/?${encodeURIComponent(url)}`,
+                `https://proxy.cors.sh/${url}`,
+                // Backup options
+                `https://jsonp.afeld.me/?url=${encodeURIComponent(url)}`
+            );
+        }
+        
+        // Direct attempt (might work for some feeds)
+        proxies.push(url);
+        
+        return proxies;
+    }
+    
+    static isHubProxy(proxyUrl) {
+        return Boolean(this.PROXY_ENDPOINT) && proxyUrl.startsWith(`${this.PROXY_ENDPOINT}?`);
+    }
+    
     static getProxyName(proxyUrl) {
+        if (this.isHubProxy(proxyUrl)) return 'Hub API';
         if (proxyUrl.includes('rss2json.com')) return 'RSS2JSON';
         if (proxyUrl.includes('allorigins.win')) return 'AllOrigins';
         if (proxyUrl.includes('thingproxy.freeboard.io')) return 'ThingProxy';
@@ -91,7 +149,7 @@ class RSSParser {
         return 'Direct';
     }
     
-    static getProxyHeaders(proxyUrl) {
+    static getProxyHeaders(proxyUrl, cached = null) {
         const baseHeaders = {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
             'Accept': 'application/rss+xml, application/xml, text/xml, application/json, */*',
@@ -100,6 +158,10 @@ class RSSParser {
         };
         
         // Specialized headers for different proxies
+        if (this.isHubProxy(proxyUrl)) {
+            return { 'Accept': 'application/json' };
+        }
+        
         if (proxyUrl.includes('rss2json.com')) {
             return { ...baseHeaders, 'Accept': 'application/json' };
         }
@@ -108,12 +170,30 @@ class RSSParser {
             return { ...baseHeaders, 'Accept': 'application/json' };
         }
         
+        // Revalidate a cached feed instead of downloading it again
+        if (cached?.etag) {
+            baseHeaders['If-None-Match'] = cached.etag;
+        }
+        if (cached?.lastModified) {
+            baseHeaders['If-Modified-Since'] = cached.lastModified;
+        }
+        
         return baseHeaders;
     }
     
     static async processProxyResponse(response, proxyUrl, originalUrl) {
         const contentType = response.headers.get('content-type') || '';
         
+        // Handle our backend proxy format
+        if (this.isHubProxy(proxyUrl)) {
+            const data = await response.json();
+            if (data.status === 'ok' && Array.isArray(data.items)) {
+                return data.items.map(item => this.parseHubItem(item, originalUrl));
+            } else {
+                throw new Error(`Hub API error: ${data.error || 'Invalid response'}`);
+            }
+        }
+        
         // Handle RSS2JSON format
         if (proxyUrl.includes('rss2json.com')) {
             const data = await response.json();
@@ -134,9 +214,14 @@ class RSSParser {
             }
         }
         
-        // Handle JSON responses from other proxies
-        if (contentType.includes('application/json')) {
-            const data = await response.json();
+        // Handle JSON Feeds and JSON responses from other proxies
+        if (contentType.includes('json')) {
+            const text = await response.text();
+            const data = JSON.parse(text);
+            if (Array.isArray(data.items)) {
+                return this.parseXMLContent(text, originalUrl);
+            }
+            
             const xmlContent = data.contents || data.body || data.data || data;
             
             if (typeof xmlContent === 'string') {
@@ -151,215 +236,49 @@ class RSSParser {
         return this.parseXMLContent(xmlText, originalUrl);
     }
     
-    static parseRSS2JSONItem(item, sourceUrl, index) {
-        return {
-            id: this.generateArticleId(item.title || 'Untitled', item.link || '', item.pubDate || ''),
-            title: this.cleanText(item.title || 'Untitled'),
-            description: this.cleanText(item.description || item.content || ''),
-            source_url: item.link || item.guid || sourceUrl,
-            pub_date: this.parseDate(item.pubDate),
-            read: false,
-            bookmarked: false,
-            created_at: new Date().toISOString()
-        };
+    static parseHubItem(item, sourceUrl) {
+        // Items from /api/proxy/feed already follow the FeedParser schema
+        return this.toArticle(item, sourceUrl);
     }
     
-    static parseXMLContent(xmlText, sourceUrl) {
-        // Clean and validate XML
-        xmlText = this.cleanXML(xmlText);
-        
-        // Parse XML with enhanced error handling
-        const xmlDoc = this.parseXMLSafely(xmlText);
-        
-        // Extract articles using multiple strategies
-        return this.extractArticles(xmlDoc, sourceUrl);
-    }
-    
-    static cleanXML(xmlText) {
-        // Remove BOM and other problematic characters
-        xmlText = xmlText.replace(/^\uFEFF/, ''); // Remove BOM
-        xmlText = xmlText.replace(/^[^<]*</, '<'); // Remove content before first tag
-        xmlText = xmlText.replace(/>[^<]*$/, '>'); // Remove content after last tag
-        
-        // Fix common XML issues
-        xmlText = xmlText.replace(/&(?!(?:amp|lt|gt|quot|apos);)/g, '&amp;'); // Fix unescaped ampersands
-        xmlText = xmlText.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, ''); // Remove control characters
-        
-        return xmlText.trim();
-    }
-    
-    static parseXMLSafely(xmlText) {
-        const parser = new DOMParser();
-        
-        // First attempt: Parse as XML
-        let xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-        
-        // Check for parsing errors
-        let parseError = xmlDoc.querySelector('parsererror');
-        if (parseError) {
-            // Second attempt: Try as HTML (more forgiving)
-            xmlDoc = parser.parseFromString(xmlText, 'text/html');
-            
-            // If still no valid structure, try manual cleanup
-            if (!xmlDoc.querySelector('item, entry')) {
-                // Third attempt: Clean up and try again
-                const cleanedXML = this.repairXML(xmlText);
-                xmlDoc = parser.parseFromString(cleanedXML, 'text/xml');
-                
-                parseError = xmlDoc.querySelector('parsererror');
-                if (parseError) {
-                    throw new Error(`XML parsing failed: ${parseError.textContent}`);
-                }
-            }
-        }
-        
-        return xmlDoc;
-    }
-    
-    static repairXML(xmlText) {
-        // Basic XML repair attempts
-        try {
-            // Fix unclosed tags (basic attempt)
-            xmlText = xmlText.replace(/<([^/>]+)>([^<]*?)(?=<[^/])/g, '<$1>$2</$1>');
-            
-            // Ensure proper XML declaration
-            if (!xmlText.includes('<?xml')) {
-                xmlText = '<?xml version="1.0" encoding="UTF-8"?>\n' + xmlText;
-            }
-            
-            return xmlText;
-        } catch (error) {
-            return xmlText; // Return original if repair fails
-        }
+    static parseRSS2JSONItem(item, sourceUrl, index) {
+        return this.toArticle(FeedParser.createItem({
+            guid: item.guid,
+            title: FeedParser.cleanText(item.title),
+            description: FeedParser.cleanText(item.description || item.content),
+            link: item.link || item.guid || '',
+            pubDate: item.pubDate,
+            authors: item.author ? [item.author] : [],
+            categories: item.categories || [],
+            enclosures: item.enclosure?.link
+                ? [{ url: item.enclosure.link, type: item.enclosure.type || null, length: item.enclosure.length || null }]
+                : []
+        }), sourceUrl);
     }
     
-    static extractArticles(xmlDoc, sourceUrl) {
-        const articles = [];
-        
-        // Try RSS 2.0 format first
-        let items = xmlDoc.querySelectorAll('item');
-        
-        // If no items, try Atom format
-        if (items.length === 0) {
-            items = xmlDoc.querySelectorAll('entry');
-        }
-        
-        items.forEach((item, index) => {
-            try {
-                const article = this.parseItem(item, sourceUrl, index);
-                if (article) {
-                    articles.push(article);
-                }
-            } catch (error) {
-                console.warn('Error parsing RSS item:', error);
-            }
-        });
-        
-        return articles;
+    static parseXMLContent(xmlText, sourceUrl) {
+        // RSS 0.9x/1.0/2.0, Atom and JSON Feed, read the same way as on the backend
+        const feed = FeedParser.parseFeed(xmlText, { sourceUrl });
+        return feed.items.map(item => this.toArticle(item, sourceUrl));
     }
     
-    static parseItem(item, sourceUrl, index) {
-        // Extract title
-        let title = this.getTextContent(item, 'title') || 'Untitled';
-        title = this.cleanText(title);
-        
-        // Extract description
-        let description = this.getTextContent(item, 'description') || 
-                        this.getTextContent(item, 'summary') ||
-                        this.getTextContent(item, 'content') || '';
-        description = this.cleanText(description);
-        
-        // Extract link
-        let link = this.getTextContent(item, 'link') || 
-                  this.getTextContent(item, 'guid') ||
-                  item.querySelector('link')?.getAttribute('href') || '';
-        
-        // Extract publication date
-        let pubDate = this.getTextContent(item, 'pubDate') || 
-                     this.getTextContent(item, 'published') ||
-                     this.getTextContent(item, 'updated') ||
-                     new Date().toISOString();
-        
-        // Parse and format date
-        try {
-            pubDate = new Date(pubDate).toISOString();
-        } catch {
-            pubDate = new Date().toISOString();
-        }
-        
-        // Generate unique ID
-        const id = this.generateArticleId(title, link, pubDate);
-        
+    static toArticle(item, sourceUrl) {
+        // Stored article record for a FeedParser item
         return {
-            id: id,
-            title: title,
-            description: description,
-            source_url: link,
-            pub_date: pubDate,
+            id: item.id,
+            title: item.title,
+            description: item.description,
+            // Feed HTML is only ever stored sanitized
+            content_html: HtmlSanitizer.sanitize(item.content, { baseUrl: item.link }),
+            source: sourceUrl,
+            source_url: item.link || item.guid || sourceUrl,
+            pub_date: item.pub_date,
+            authors: item.authors || [],
+            categories: item.categories || [],
+            enclosures: item.enclosures || [],
             read: false,
             bookmarked: false,
             created_at: new Date().toISOString()
         };
     }
-    
-    static getTextContent(item, tagName) {
-        const element = item.querySelector(tagName);
-        return element ? element.textContent.trim() : null;
-    }
-    
-    static cleanText(text) {
-        // Remove HTML tags and clean up text
-        return text
-            .replace(/<[^>]*>/g, '') // Remove HTML tags
-            .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
-            .replace(/&amp;/g, '&') // Replace &amp; with &
-            .replace(/&lt;/g, '<') // Replace &lt; with <
-            .replace(/&gt;/g, '>') // Replace &gt; with >
-            .replace(/&quot;/g, '"') // Replace &quot; with "
-            .replace(/&#39;/g, "'") // Replace &#39; with '
-            .replace(/\s+/g, ' ') // Replace multiple spaces with single space
-            .trim();
-    }
-    
-    static parseDate(dateString) {
-        if (!dateString) return new Date().toISOString();
-        
-        try {
-            // Handle various date formats
-            let date = new Date(dateString);
-            
-            // If invalid, try parsing common RSS date formats
-            if (isNaN(date.getTime())) {
-                // Try RFC 2822 format (e.g., "Wed, 18 Oct 2023 14:30:00 +0000")
-                const rfc2822Match = dateString.match(/(\w{3}),?\s+(\d{1,2})\s+(\w{3})\s+(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})/);
-                if (rfc2822Match) {
-                    date = new Date(dateString);
-                }
-                
-                // Try ISO format variations
-                if (isNaN(date.getTime())) {
-                    const isoMatch = dateString.match(/(\d{4})-(\d{2})-(\d{2})[T\s](\d{2}):(\d{2}):(\d{2})/);
-                    if (isoMatch) {
-                        date = new Date(dateString);
-                    }
-                }
-                
-                // Fallback to current date if still invalid
-                if (isNaN(date.getTime())) {
-                    date = new Date();
-                }
-            }
-            
-            return date.toISOString();
-        } catch (error) {
-            console.warn('Date parsing failed:', dateString, error);
-            return new Date().toISOString();
-        }
-    }
-    
-    static generateArticleId(title, link, pubDate) {
-        // Create a unique ID based on title, link, and date
-        const content = `${title}-${link}-${pubDate}`;
-        return btoa(content).replace(/[^a-zA-Z0-9]/g, '').substring(0, 20) + '-' + Date.now();
-    }
 }
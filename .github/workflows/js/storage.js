@@ -1,218 +1,562 @@
-/ Local Storage Management for Greek Tax News Hub
+// IndexedDB Storage Management for Greek Tax News Hub
+// Depends on shared/greek-text.js and shared/dedup.js (window.Dedup)
 class StorageManager {
+    static DB_NAME = 'greek-tax-news';
+    static EXPORT_VERSION = '2.0.0';
+    static MAX_ARTICLES = 10000;
+    // Cross-source duplicates are looked for among articles published this close together (Dedup's window)
+    static DUPLICATE_WINDOW_MS = 72 * 60 * 60 * 1000;
+
+    // Schema steps; step N upgrades the database to version N. Never change a released step, add a new one.
+    static MIGRATIONS = [
+        (db, transaction, manager) => {
+            const articles = db.createObjectStore('articles', { keyPath: '__backendId' });
+            articles.createIndex('id', 'id');
+            articles.createIndex('pub_date', 'pub_date');
+            articles.createIndex('source', 'source');
+            // IndexedDB cannot index booleans, so the flags are mirrored as 0/1
+            articles.createIndex('read', 'readFlag');
+            articles.createIndex('bookmarked', 'bookmarkedFlag');
+
+            db.createObjectStore('feeds', { autoIncrement: true });
+            db.createObjectStore('settings');
+
+            manager.importLegacyStorage(transaction);
+        }
+    ];
+
+    static DEFAULT_SETTINGS = {
+        autoRefresh: false,
+        refreshInterval: 1800000, // 30 minutes
+        theme: 'light',
+        language: 'el'
+    };
+
     constructor() {
+        // localStorage keys used before the move to IndexedDB, read once by the first migration
         this.ARTICLES_KEY = 'greek-tax-news-articles';
         this.FEEDS_KEY = 'greek-tax-news-feeds';
         this.SETTINGS_KEY = 'greek-tax-news-settings';
+        this.dbPromise = null;
+    }
+
+    // Database access
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(StorageManager.DB_NAME, StorageManager.MIGRATIONS.length);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    for (let version = event.oldVersion; version < StorageManager.MIGRATIONS.length; version++) {
+                        console.log(`🗄️ Migrating storage to version ${version + 1}`);
+                        StorageManager.MIGRATIONS[version](db, request.transaction, this);
+                    }
+                };
+                request.onsuccess = () => {
+                    this.clearLegacyStorage();
+                    resolve(request.result);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('Storage upgrade is waiting for other tabs to close');
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    // Runs fn(stores) in one transaction and resolves with its result once committed
+    async transaction(storeNames, mode, fn) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+            Promise.resolve(fn(stores)).then(value => {
+                result = value;
+            }, error => {
+                transaction.abort();
+                reject(error);
+            });
+        });
+    }
+
+    static request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    // Articles are stored with their flags mirrored for indexing
+    static toRecord(article) {
+        return {
+            ...article,
+            // Articles of unknown date are indexed under '', below every date, so they list last
+            pub_date: article.pub_date || '',
+            readFlag: article.read ? 1 : 0,
+            bookmarkedFlag: article.bookmarked ? 1 : 0
+        };
+    }
+
+    static fromRecord(record) {
+        if (!record) return null;
+        const { readFlag, bookmarkedFlag, ...article } = record;
+        return { ...article, pub_date: article.pub_date || null };
+    }
+
+    // Legacy localStorage migration
+    importLegacyStorage(transaction) {
+        const read = (key) => {
+            try {
+                const stored = localStorage.getItem(key);
+                return stored ? JSON.parse(stored) : null;
+            } catch (error) {
+                console.warn(`Skipping unreadable legacy data in ${key}:`, error);
+                return null;
+            }
+        };
+
+        const articles = read(this.ARTICLES_KEY);
+        const feeds = read(this.FEEDS_KEY);
+        const settings = read(this.SETTINGS_KEY);
+
+        if (Array.isArray(articles)) {
+            const store = transaction.objectStore('articles');
+            const valid = articles.filter(article => StorageManager.validateArticle(article) === null);
+            valid.forEach(article => store.put(StorageManager.toRecord({
+                ...article,
+                __backendId: article.__backendId || this.generateId()
+            })));
+            console.log(`🗄️ Moved ${valid.length} of ${articles.length} articles from localStorage`);
+        }
+        if (Array.isArray(feeds)) {
+            const store = transaction.objectStore('feeds');
+            feeds.filter(feed => feed && typeof feed === 'object').forEach(feed => store.add(feed));
+        }
+        if (settings && typeof settings === 'object') {
+            transaction.objectStore('settings').put(settings, 'settings');
+        }
+    }
+
+    // Called after a successful open, so the old keys only go once their data is committed
+    clearLegacyStorage() {
+        try {
+            [this.ARTICLES_KEY, this.FEEDS_KEY, this.SETTINGS_KEY].forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            console.warn('Could not clear legacy storage:', error);
+        }
     }
-    
+
     // Article management
-    saveArticles(articles) {
+
+    // Inserts or replaces the given articles, keyed by __backendId
+    async saveArticles(articles) {
         try {
-            localStorage.setItem(this.ARTICLES_KEY, JSON.stringify(articles));
+            await this.transaction(['articles'], 'readwrite', ({ articles: store }) => {
+                articles.forEach(article => store.put(StorageManager.toRecord({
+                    ...article,
+                    __backendId: article.__backendId || this.generateId()
+                })));
+            });
             return true;
         } catch (error) {
             console.error('Error saving articles:', error);
             return false;
         }
     }
-    
-    loadArticles() {
+
+    // Newest first; source, read and bookmarked are answered from their indexes
+    async loadArticles({ source = null, read = null, bookmarked = null, limit = null } = {}) {
         try {
-            const stored = localStorage.getItem(this.ARTICLES_KEY);
-            return stored ? JSON.parse(stored) : [];
+            const records = await this.transaction(['articles'], 'readonly', ({ articles: store }) => {
+                if (bookmarked !== null) return StorageManager.request(store.index('bookmarked').getAll(bookmarked ? 1 : 0));
+                if (read !== null) return StorageManager.request(store.index('read').getAll(read ? 1 : 0));
+                if (source !== null) return StorageManager.request(store.index('source').getAll(source));
+                return this.newestRecords(store, limit);
+            });
+
+            const articles = records
+                .filter(record => source === null || record.source === source)
+                .filter(record => read === null || record.readFlag === (read ? 1 : 0))
+                .sort((a, b) => String(b.pub_date).localeCompare(String(a.pub_date)))
+                .map(StorageManager.fromRecord);
+
+            return limit ? articles.slice(0, limit) : articles;
         } catch (error) {
             console.error('Error loading articles:', error);
             return [];
         }
     }
-    
-    addArticle(article) {
-        const articles = this.loadArticles();
-        
-        // Check for duplicates
-        const isDuplicate = articles.some(existing => 
-            existing.title === article.title && existing.source === article.source
-        );
-        
-        if (!isDuplicate) {
-            // Add unique backend ID for compatibility
-            article.__backendId = this.generateId();
-            articles.unshift(article); // Add to beginning
-            
-            // Limit to 999 articles
-            if (articles.length > 999) {
-                articles.splice(999);
-            }
-            
-            this.saveArticles(articles);
-            return true;
+
+    // Walks the pub_date index backwards, stopping after limit records
+    newestRecords(store, limit) {
+        return new Promise((resolve, reject) => {
+            const records = [];
+            const cursorRequest = store.index('pub_date').openCursor(null, 'prev');
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || (limit && records.length >= limit)) {
+                    resolve(records);
+                    return;
+                }
+                records.push(cursor.value);
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    async getArticle(backendId) {
+        const record = await this.transaction(['articles'], 'readonly', ({ articles: store }) => StorageManager.request(store.get(backendId)));
+        return StorageManager.fromRecord(record);
+    }
+
+    async addArticle(article) {
+        try {
+            return await this.transaction(['articles'], 'readwrite', async ({ articles: store }) => {
+                // Same item fetched again
+                const existing = await StorageManager.request(store.index('id').getKey(article.id));
+                if (existing !== undefined) {
+                    return false;
+                }
+
+                const sourceEntry = {
+                    source: article.source,
+                    source_url: article.source_url,
+                    pub_date: article.pub_date
+                };
+
+                // Same announcement republished by another source: list it with the existing story.
+                // The article is stored either way, so a wrong fuzzy match never loses one.
+                const story = (await this.recordsNear(store, article.pub_date))
+                    .find(candidate => !candidate.story_id && Dedup.isNearDuplicate(candidate, article));
+                if (story) {
+                    story.sources = story.sources || [{
+                        source: story.source,
+                        source_url: story.source_url,
+                        pub_date: story.pub_date || null
+                    }];
+
+                    if (!story.sources.some(entry => Dedup.normalizeUrl(entry.source_url) === Dedup.normalizeUrl(article.source_url))) {
+                        story.sources.push(sourceEntry);
+                        store.put(story);
+                    }
+                }
+
+                // Add unique backend ID for compatibility
+                store.add(StorageManager.toRecord({
+                    ...article,
+                    __backendId: this.generateId(),
+                    sources: [sourceEntry],
+                    story_id: story ? story.id : null
+                }));
+                await this.pruneArticles(store);
+                return true;
+            });
+        } catch (error) {
+            console.error('Error adding article:', error);
+            return false;
         }
-        
-        return false;
-    }
-    
-    updateArticle(updatedArticle) {
-        const articles = this.loadArticles();
-        const index = articles.findIndex(a => a.__backendId === updatedArticle.__backendId);
-        
-        if (index !== -1) {
-            articles[index] = updatedArticle;
-            this.saveArticles(articles);
-            return true;
+    }
+
+    // Stored articles published within DUPLICATE_WINDOW_MS of a date
+    recordsNear(store, pubDate) {
+        const time = new Date(pubDate).getTime();
+        if (isNaN(time)) {
+            return Promise.resolve([]);
         }
-        
-        return false;
+
+        const range = IDBKeyRange.bound(
+            new Date(time - StorageManager.DUPLICATE_WINDOW_MS).toISOString(),
+            new Date(time + StorageManager.DUPLICATE_WINDOW_MS).toISOString()
+        );
+        return StorageManager.request(store.index('pub_date').getAll(range));
     }
-    
-    deleteArticle(articleId) {
-        const articles = this.loadArticles();
-        const filtered = articles.filter(a => a.__backendId !== articleId);
-        
-        if (filtered.length !== articles.length) {
-            this.saveArticles(filtered);
-            return true;
+
+    // Drops the oldest articles beyond MAX_ARTICLES; bookmarked articles are always kept
+    async pruneArticles(store) {
+        const excess = await StorageManager.request(store.count()) - StorageManager.MAX_ARTICLES;
+        if (excess <= 0) return;
+
+        await new Promise((resolve, reject) => {
+            let removed = 0;
+            const cursorRequest = store.index('pub_date').openCursor();
+
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || removed >= excess) {
+                    resolve();
+                    return;
+                }
+                if (!cursor.value.bookmarkedFlag) {
+                    cursor.delete();
+                    removed++;
+                }
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    }
+
+    async updateArticle(updatedArticle) {
+        try {
+            return await this.transaction(['articles'], 'readwrite', async ({ articles: store }) => {
+                const existing = await StorageManager.request(store.getKey(updatedArticle.__backendId));
+                if (existing === undefined) {
+                    return false;
+                }
+
+                store.put(StorageManager.toRecord(updatedArticle));
+                return true;
+            });
+        } catch (error) {
+            console.error('Error updating article:', error);
+            return false;
         }
-        
-        return false;
     }
-    
+
+    async deleteArticle(articleId) {
+        try {
+            return await this.transaction(['articles'], 'readwrite', async ({ articles: store }) => {
+                const existing = await StorageManager.request(store.getKey(articleId));
+                if (existing === undefined) {
+                    return false;
+                }
+
+                store.delete(articleId);
+                return true;
+            });
+        } catch (error) {
+            console.error('Error deleting article:', error);
+            return false;
+        }
+    }
+
     // Feed management
-    saveFeeds(feeds) {
+    async saveFeeds(feeds) {
         try {
-            localStorage.setItem(this.FEEDS_KEY, JSON.stringify(feeds));
+            await this.transaction(['feeds'], 'readwrite', ({ feeds: store }) => {
+                store.clear();
+                feeds.forEach(feed => store.add(feed));
+            });
             return true;
         } catch (error) {
             console.error('Error saving feeds:', error);
             return false;
         }
     }
-    
-    loadFeeds() {
+
+    async loadFeeds() {
         try {
-            const stored = localStorage.getItem(this.FEEDS_KEY);
-            return stored ? JSON.parse(stored) : [];
+            return await this.transaction(['feeds'], 'readonly', ({ feeds: store }) => StorageManager.request(store.getAll()));
         } catch (error) {
             console.error('Error loading feeds:', error);
             return [];
         }
     }
-    
+
     // Settings management
-    saveSettings(settings) {
+    async saveSettings(settings) {
         try {
-            localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+            await this.transaction(['settings'], 'readwrite', ({ settings: store }) => {
+                store.put(settings, 'settings');
+            });
             return true;
         } catch (error) {
             console.error('Error saving settings:', error);
             return false;
         }
     }
-    
-    loadSettings() {
+
+    async loadSettings() {
         try {
-            const stored = localStorage.getItem(this.SETTINGS_KEY);
-            return stored ? JSON.parse(stored) : {
-                autoRefresh: false,
-                refreshInterval: 1800000, // 30 minutes
-                theme: 'light',
-                language: 'el'
-            };
+            const stored = await this.transaction(['settings'], 'readonly', ({ settings: store }) => StorageManager.request(store.get('settings')));
+            return { ...StorageManager.DEFAULT_SETTINGS, ...stored };
         } catch (error) {
             console.error('Error loading settings:', error);
-            return {};
+            return { ...StorageManager.DEFAULT_SETTINGS };
         }
     }
-    
+
     // Utility methods
     generateId() {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
-    
-    clearAllData() {
+
+    async clearAllData() {
         try {
-            localStorage.removeItem(this.ARTICLES_KEY);
-            localStorage.removeItem(this.FEEDS_KEY);
-            localStorage.removeItem(this.SETTINGS_KEY);
+            await this.transaction(['articles', 'feeds', 'settings'], 'readwrite', (stores) => {
+                Object.values(stores).forEach(store => store.clear());
+            });
             return true;
         } catch (error) {
             console.error('Error clearing data:', error);
             return false;
         }
     }
-    
-    getStorageInfo() {
+
+    async getStorageInfo() {
         try {
-            const articles = this.loadArticles();
-            const feeds = this.loadFeeds();
-            
+            const { articleCount, feedCount, newest } = await this.transaction(['articles', 'feeds'], 'readonly', async (stores) => ({
+                articleCount: await StorageManager.request(stores.articles.count()),
+                feedCount: await StorageManager.request(stores.feeds.count()),
+                newest: (await this.newestRecords(stores.articles, 1))[0]
+            }));
+
             return {
-                articleCount: articles.length,
-                feedCount: feeds.length,
-                storageUsed: this.calculateStorageUsage(),
-                lastUpdate: articles.length > 0 ? articles[0].created_at : null
+                articleCount,
+                feedCount,
+                storageUsed: await this.calculateStorageUsage(),
+                lastUpdate: newest ? newest.created_at : null
             };
         } catch (error) {
             console.error('Error getting storage info:', error);
             return null;
         }
     }
-    
-    calculateStorageUsage() {
-        let total = 0;
-        
-        for (let key in localStorage) {
-            if (localStorage.hasOwnProperty(key) && key.startsWith('greek-tax-news-')) {
-                total += localStorage[key].length;
-            }
-        }
-        
+
+    // Usage of the whole origin as estimated by the browser
+    async calculateStorageUsage() {
+        const { usage = 0 } = navigator.storage && navigator.storage.estimate
+            ? await navigator.storage.estimate()
+            : {};
+
         return {
-            bytes: total,
-            kb: Math.round(total / 1024 * 100) / 100,
-            mb: Math.round(total / (1024 * 1024) * 100) / 100
+            bytes: usage,
+            kb: Math.round(usage / 1024 * 100) / 100,
+            mb: Math.round(usage / (1024 * 1024) * 100) / 100
         };
     }
-    
+
     // Export/Import functionality
-    exportData() {
+    async exportData() {
         try {
             const data = {
-                articles: this.loadArticles(),
-                feeds: this.loadFeeds(),
-                settings: this.loadSettings(),
+                articles: await this.loadArticles(),
+                feeds: await this.loadFeeds(),
+                settings: await this.loadSettings(),
                 exportDate: new Date().toISOString(),
-                version: '1.0.0'
+                version: StorageManager.EXPORT_VERSION
             };
-            
+
             return JSON.stringify(data, null, 2);
         } catch (error) {
             console.error('Error exporting data:', error);
             return null;
         }
     }
-    
-    importData(jsonData) {
+
+    // Returns a reason the article cannot be stored, or null when it is valid
+    static validateArticle(article) {
+        if (!article || typeof article !== 'object' || Array.isArray(article)) return 'not an object';
+        if (typeof article.id !== 'string' || !article.id) return 'missing id';
+        if (typeof article.title !== 'string') return 'missing title';
+        // null marks an unknown date; anything else must be a readable date
+        if (article.pub_date !== null && article.pub_date !== undefined && isNaN(new Date(article.pub_date).getTime())) return 'invalid pub_date';
+        if (article.source_url !== undefined && typeof article.source_url !== 'string') return 'invalid source_url';
+        return null;
+    }
+
+    // Checks an export file; throws with every problem found at the top level
+    static validateImport(data) {
+        const problems = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Import file must contain a JSON object');
+        }
+
+        const major = parseInt(String(data.version || '').split('.')[0]);
+        if (!major || major > parseInt(StorageManager.EXPORT_VERSION)) {
+            problems.push(`unsupported version "${data.version}"`);
+        }
+        if (data.articles !== undefined && !Array.isArray(data.articles)) problems.push('"articles" must be an array');
+        if (data.feeds !== undefined && !Array.isArray(data.feeds)) problems.push('"feeds" must be an array');
+        if (data.settings !== undefined && (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+            problems.push('"settings" must be an object');
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid import file: ${problems.join(', ')}`);
+        }
+    }
+
+    // Imports an export file. With merge (default) existing data is kept: articles are matched
+    // by id and keep read/bookmarked if either copy has them, feeds are matched by url, settings
+    // are combined. Without merge everything is replaced. Invalid articles are skipped and reported.
+    async importData(jsonData, { merge = true } = {}) {
+        const report = { ok: false, added: 0, updated: 0, skipped: [], feeds: 0 };
+
         try {
             const data = JSON.parse(jsonData);
-            
-            if (data.articles) {
-                this.saveArticles(data.articles);
-            }
-            
-            if (data.feeds) {
-                this.saveFeeds(data.feeds);
-            }
-            
-            if (data.settings) {
-                this.saveSettings(data.settings);
-            }
-            
-            return true;
+            StorageManager.validateImport(data);
+
+            await this.transaction(['articles', 'feeds', 'settings'], 'readwrite', async (stores) => {
+                if (!merge) {
+                    Object.values(stores).forEach(store => store.clear());
+                }
+
+                for (const [index, article] of (data.articles || []).entries()) {
+                    const problem = StorageManager.validateArticle(article);
+                    if (problem) {
+                        report.skipped.push({ index, reason: problem });
+                        continue;
+                    }
+
+                    const existingKey = merge ? await StorageManager.request(stores.articles.index('id').getKey(article.id)) : undefined;
+                    if (existingKey === undefined) {
+                        stores.articles.put(StorageManager.toRecord({
+                            ...article,
+                            read: Boolean(article.read),
+                            bookmarked: Boolean(article.bookmarked),
+                            __backendId: this.generateId()
+                        }));
+                        report.added++;
+                        continue;
+                    }
+
+                    const existing = StorageManager.fromRecord(await StorageManager.request(stores.articles.get(existingKey)));
+                    stores.articles.put(StorageManager.toRecord({
+                        ...article,
+                        ...existing,
+                        read: Boolean(existing.read || article.read),
+                        bookmarked: Boolean(existing.bookmarked || article.bookmarked)
+                    }));
+                    report.updated++;
+                }
+
+                if (data.feeds) {
+                    const current = merge ? await StorageManager.request(stores.feeds.getAll()) : [];
+                    const known = new Set(current.map(feed => feed.url));
+                    data.feeds
+                        .filter(feed => feed && typeof feed === 'object' && typeof feed.url === 'string' && !known.has(feed.url))
+                        .forEach(feed => {
+                            stores.feeds.add(feed);
+                            known.add(feed.url);
+                            report.feeds++;
+                        });
+                }
+
+                if (data.settings) {
+                    const current = merge ? await StorageManager.request(stores.settings.get('settings')) : null;
+                    stores.settings.put({ ...current, ...data.settings }, 'settings');
+                }
+            });
+
+            report.ok = true;
         } catch (error) {
             console.error('Error importing data:', error);
-            return false;
+            report.error = error.message;
         }
+
+        return report;
     }
 }
 
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ValidationError } = require('./articles');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_NOTE_LENGTH = 4000;
+const KEY_LENGTH = 64;
+
+/**
+ * Validates a registration or login body
+ * @param {Object} body - Request body with username and password
+ * @returns {{username: string, password: string}}
+ */
+function validateCredentials(body) {
+    if (!body || typeof body !== 'object') {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new ValidationError('"username" must be 3-50 characters of letters, digits, ".", "_" or "-"');
+    }
+    if (typeof body.password !== 'string' || body.password.length < MIN_PASSWORD_LENGTH || body.password.length > MAX_PASSWORD_LENGTH) {
+        throw new ValidationError(`"password" must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+
+    return { username, password: body.password };
+}
+
+/**
+ * Hashes a password with scrypt and a random salt
+ * @param {string} password
+ * @returns {Promise<string>} - "scrypt$<salt>$<hash>", stored in Users.PasswordHash
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password
+ * @param {string} stored - From hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Tokens are stored hashed, so a leaked database does not grant access
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates an API token for a user
+ * @returns {{token: string, hash: string}} - The token is shown to the client once, the hash is stored
+ */
+function createApiToken() {
+    const token = `gtnh_${crypto.randomBytes(32).toString('hex')}`;
+    return { token, hash: hashToken(token) };
+}
+
+/**
+ * Reads the bearer token of a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function readBearerToken(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Validates a read/bookmark/note update and maps it to ArticleStates columns
+ * @param {Object} body - Request body with optional read, bookmarked, note and updated_at
+ * @returns {Object} - Column values to write, with UpdatedAt
+ */
+function validateStateInput(body) {
+    if (!body || typeof body !== 'object') {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+
+    ['read', 'bookmarked'].forEach(name => {
+        if (body[name] !== undefined) {
+            if (typeof body[name] !== 'boolean') {
+                throw new ValidationError(`"${name}" must be a boolean`);
+            }
+            fields[name === 'read' ? 'IsRead' : 'IsBookmarked'] = body[name];
+        }
+    });
+
+    if (body.note !== undefined) {
+        if (body.note !== null && typeof body.note !== 'string') {
+            throw new ValidationError('"note" must be a string');
+        }
+        if (body.note && body.note.length > MAX_NOTE_LENGTH) {
+            throw new ValidationError(`"note" accepts at most ${MAX_NOTE_LENGTH} characters`);
+        }
+        fields.Note = body.note && body.note.trim() ? body.note.trim() : null;
+    }
+
+    if (Object.keys(fields).length === 0) {
+        throw new ValidationError('Nothing to update: send read, bookmarked or note');
+    }
+
+    // Changes made offline are replayed later; their own time decides which write wins
+    let updatedAt = new Date();
+    if (body.updated_at !== undefined) {
+        updatedAt = new Date(body.updated_at);
+        if (isNaN(updatedAt.getTime())) {
+            throw new ValidationError(`Invalid "updated_at": ${body.updated_at}`);
+        }
+        if (updatedAt > new Date()) {
+            updatedAt = new Date();
+        }
+    }
+    fields.UpdatedAt = updatedAt;
+
+    return fields;
+}
+
+/**
+ * Parses the filters of a state listing request
+ * @param {Object} query - Express req.query: articleIds (comma separated), since, bookmarked
+ * @returns {{articleIds: number[]|null, since: Date|null, bookmarked: boolean}}
+ */
+function parseStateFilters(query) {
+    let articleIds = null;
+    if (query.articleIds) {
+        articleIds = String(query.articleIds).split(',').map(id => parseInt(id));
+        if (articleIds.some(isNaN) || articleIds.length > 500) {
+            throw new ValidationError('"articleIds" must be up to 500 comma-separated ids');
+        }
+    }
+
+    let since = null;
+    if (query.since) {
+        since = new Date(query.since);
+        if (isNaN(since.getTime())) {
+            throw new ValidationError(`Invalid "since" date: ${query.since}`);
+        }
+    }
+
+    return { articleIds, since, bookmarked: query.bookmarked === 'true' };
+}
+
+const toIso = value => (value instanceof Date ? value.toISOString() : value || null);
+
+/**
+ * Maps a Users row to the API shape
+ * @param {Object} row - Users row
+ * @returns {Object}
+ */
+function toApiUser(row) {
+    return {
+        id: row.UserID,
+        username: row.Username,
+        created_at: toIso(row.CreatedAt)
+    };
+}
+
+/**
+ * Maps an ArticleStates row to the API shape
+ * @param {Object} row - ArticleStates row
+ * @returns {Object}
+ */
+function toApiState(row) {
+    return {
+        article_id: row.ArticleID,
+        read: Boolean(row.IsRead),
+        bookmarked: Boolean(row.IsBookmarked),
+        note: row.Note || null,
+        updated_at: toIso(row.UpdatedAt)
+    };
+}
+
+module.exports = {
+    validateCredentials,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    createApiToken,
+    readBearerToken,
+    validateStateInput,
+    parseStateFilters,
+    toApiUser,
+    toApiState
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { ValidationError } = require('./articles');
+const { escapeHtml } = require('./search');
+const { formatDate, athensTime, athensOffset } = require('../shared/greek-dates');
+const { parseCriteria, validateCriteriaInput, isEmptyCriteria, matchCriteria } = require('./criteria');
+
+const FREQUENCIES = ['immediate', 'daily'];
+const MAX_DIGEST_ARTICLES = 50;
+const DEFAULT_DIGEST_HOUR = 7;
+const TICK_MS = 60 * 1000;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+/**
+ * Validates an alert create/update body and maps it to AlertSubscriptions columns
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {Object} [options.existing] - Row being updated (PATCH); missing fields keep its values
+ * @returns {Object} - Column values to write
+ */
+function validateSubscriptionInput(body, { existing = null } = {}) {
+    if (!body || typeof body !== 'object') {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+
+    if (body.email !== undefined || !existing) {
+        if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) {
+            throw new ValidationError('Alert "email" must be a valid email address');
+        }
+        fields.Email = body.email.trim().toLowerCase().substring(0, 320);
+    }
+
+    if (body.frequency !== undefined || !existing) {
+        const frequency = body.frequency || 'daily';
+        if (!FREQUENCIES.includes(frequency)) {
+            throw new ValidationError(`Alert "frequency" must be one of ${FREQUENCIES.join(', ')}`);
+        }
+        fields.Frequency = frequency;
+    }
+
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') {
+            throw new ValidationError('Alert "isActive" must be a boolean');
+        }
+        fields.IsActive = body.isActive;
+    }
+
+    const criteria = validateCriteriaInput(body, existing ? parseCriteria(existing.Criteria) : null, 'Alert');
+    if (criteria) {
+        if (isEmptyCriteria(criteria)) {
+            throw new ValidationError('Alert needs at least one of keywords, categories, topics or feedIds');
+        }
+        fields.Criteria = JSON.stringify(criteria);
+    }
+
+    if (Object.keys(fields).length === 0) {
+        throw new ValidationError('No alert fields to update');
+    }
+
+    if (!existing || (fields.Email && fields.Email !== existing.Email)) {
+        // Double opt-in: nothing is sent to an address until its owner follows the emailed link,
+        // and a changed address gets a new token so the old links stop working
+        Object.assign(fields, { IsActive: false, ConfirmedAt: null });
+        if (existing) fields.Token = createSubscriptionToken();
+    } else if (fields.IsActive && !existing.ConfirmedAt) {
+        throw new ValidationError('Alert must first be confirmed from the link emailed to its address', 409);
+    }
+
+    return fields;
+}
+
+/**
+ * Creates the secret that identifies a subscription in manage and unsubscribe links
+ * @returns {string}
+ */
+function createSubscriptionToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Maps an AlertSubscriptions row to the API shape (without its token)
+ * @param {Object} row - AlertSubscriptions row
+ * @returns {Object}
+ */
+function toApiSubscription(row) {
+    const criteria = parseCriteria(row.Criteria);
+    const toIso = value => (value instanceof Date ? value.toISOString() : value || null);
+
+    return {
+        id: row.SubscriptionID,
+        email: row.Email,
+        frequency: row.Frequency,
+        keywords: criteria.keywords,
+        categories: criteria.categories,
+        topics: criteria.topics,
+        feed_ids: criteria.feedIds,
+        is_active: Boolean(row.IsActive),
+        is_confirmed: Boolean(row.ConfirmedAt),
+        created_at: toIso(row.CreatedAt),
+        confirmed_at: toIso(row.ConfirmedAt),
+        last_notified_at: toIso(row.LastNotifiedAt)
+    };
+}
+
+/**
+ * Most recent daily digest time at or before now, with digestHour in Athens time
+ * @param {Date} now
+ * @param {number} digestHour - 0-23
+ * @returns {Date}
+ */
+function lastDigestTime(now, digestHour) {
+    const local = new Date(now.getTime() + athensOffset(now));
+    const [year, month, day] = [local.getUTCFullYear(), local.getUTCMonth() + 1, local.getUTCDate()];
+    const digestTime = athensTime(year, month, day, digestHour);
+    return digestTime > now ? athensTime(year, month, day - 1, digestHour) : digestTime;
+}
+
+/**
+ * Point after which articles are new to a subscription
+ * @param {Object} row - AlertSubscriptions row
+ * @returns {Date}
+ */
+function watermark(row) {
+    return new Date(row.LastNotifiedAt || row.CreatedAt);
+}
+
+/**
+ * Checks whether a subscription should be processed now
+ * @param {Object} row - AlertSubscriptions row
+ * @param {Date} now
+ * @param {number} digestHour
+ * @returns {boolean}
+ */
+function isSubscriptionDue(row, now, digestHour) {
+    if (row.Frequency === 'immediate') return true;
+    return watermark(row) < lastDigestTime(now, digestHour);
+}
+
+/**
+ * Builds the digest email for a subscription
+ * @param {Object} row - AlertSubscriptions row
+ * @param {Array} articles - Matched articles, best first
+ * @param {Object} links
+ * @param {string} links.unsubscribeUrl
+ * @param {string} links.manageUrl
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function buildDigestEmail(row, articles, { unsubscribeUrl, manageUrl }) {
+    const criteria = parseCriteria(row.Criteria);
+    const label = [...criteria.keywords, ...criteria.topics, ...criteria.categories].join(', ');
+    const count = articles.length === 1 ? '1 νέο άρθρο' : `${articles.length} νέα άρθρα`;
+    const subject = `Greek Tax News Hub: ${count}${label ? ` για «${label}»` : ''}`;
+
+    const text = [
+        subject,
+        '',
+        ...articles.map(article => [
+            `• ${article.title}`,
+            `  ${article.source} — ${formatDate(article.pub_date)}`,
+            `  ${article.link}`
+        ].join('\n')),
+        '',
+        `Διαχείριση ειδοποίησης: ${manageUrl}`,
+        `Διακοπή ειδοποιήσεων: ${unsubscribeUrl}`
+    ].join('\n');
+
+    const items = articles.map(article => `
+        <li style="margin-bottom:16px">
+            <a href="${escapeHtml(article.link)}" style="font-weight:bold">${article.highlights ? article.highlights.title : escapeHtml(article.title)}</a><br>
+            <small>${escapeHtml(article.source)} — ${formatDate(article.pub_date)}</small>
+            ${article.highlights && article.highlights.snippet ? `<p style="margin:4px 0">${article.highlights.snippet}</p>` : ''}
+        </li>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="el">
+<body style="font-family:Arial,sans-serif;color:#222">
+    <h2>${escapeHtml(subject)}</h2>
+    <ul style="padding-left:18px">${items}
+    </ul>
+    <p style="font-size:12px;color:#666">
+        <a href="${escapeHtml(manageUrl)}">Διαχείριση ειδοποίησης</a> ·
+        <a href="${escapeHtml(unsubscribeUrl)}">Διακοπή ειδοποιήσεων</a>
+    </p>
+</body>
+</html>`;
+
+    return { subject, text, html };
+}
+
+/**
+ * Builds the email that asks the owner of an address to confirm a new subscription
+ * @param {Object} row - AlertSubscriptions row
+ * @param {Object} links
+ * @param {string} links.confirmUrl
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function buildConfirmationEmail(row, { confirmUrl }) {
+    const criteria = parseCriteria(row.Criteria);
+    const label = [...criteria.keywords, ...criteria.topics, ...criteria.categories].join(', ');
+    const subject = 'Greek Tax News Hub: επιβεβαίωση ειδοποίησης';
+    const intro = `Ζητήθηκε ${row.Frequency === 'daily' ? 'ημερήσια' : 'άμεση'} ειδοποίηση${label ? ` για «${label}»` : ''} σε αυτή τη διεύθυνση.`;
+    const ignore = 'Αν δεν το ζητήσατε εσείς, αγνοήστε αυτό το μήνυμα και δεν θα λάβετε άλλα email.';
+
+    const text = [
+        subject,
+        '',
+        intro,
+        `Επιβεβαίωση: ${confirmUrl}`,
+        '',
+        ignore
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="el">
+<body style="font-family:Arial,sans-serif;color:#222">
+    <h2>${escapeHtml(subject)}</h2>
+    <p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(confirmUrl)}" style="font-weight:bold">Επιβεβαίωση ειδοποίησης</a></p>
+    <p style="font-size:12px;color:#666">${escapeHtml(ignore)}</p>
+</body>
+</html>`;
+
+    return { subject, text, html };
+}
+
+/**
+ * Sends the alerts that are due and advances each subscription's watermark
+ * @param {Object} store - Storage backend
+ * @param {Object} mailer - From createMailer
+ * @param {Object} options
+ * @param {string} options.publicUrl - Base URL of this API, used in links
+ * @param {number} [options.digestHour] - Athens hour of the daily digest
+ * @param {Date} [options.now]
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function runAlertDelivery(store, mailer, { publicUrl, digestHour = DEFAULT_DIGEST_HOUR, now = new Date() }) {
+    const subscriptions = (await store.listSubscriptions({ activeOnly: true }))
+        .filter(row => row.ConfirmedAt && isSubscriptionDue(row, now, digestHour));
+    if (subscriptions.length === 0) {
+        return { sent: 0, failed: 0 };
+    }
+
+    const since = new Date(Math.min(...subscriptions.map(row => watermark(row).getTime())));
+    const articles = await store.listArticlesCreatedBetween(since, now);
+    let sent = 0;
+    let failed = 0;
+
+    for (const row of subscriptions) {
+        const after = watermark(row);
+        const criteria = parseCriteria(row.Criteria);
+        const matches = articles
+            .filter(article => new Date(article.created_at) > after)
+            .map(article => matchCriteria(article, criteria))
+            .filter(Boolean)
+            .sort((a, b) => (b.score || 0) - (a.score || 0) || new Date(b.pub_date) - new Date(a.pub_date))
+            .slice(0, MAX_DIGEST_ARTICLES);
+
+        try {
+            if (matches.length > 0) {
+                const unsubscribeUrl = `${publicUrl}/api/alerts/unsubscribe?token=${row.Token}`;
+                const email = buildDigestEmail(row, matches, {
+                    unsubscribeUrl,
+                    manageUrl: `${publicUrl}/api/alerts/${row.Token}`
+                });
+
+                await mailer.send({
+                    to: row.Email,
+                    ...email,
+                    headers: {
+                        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+                    }
+                });
+                sent++;
+                logger.info(`📧 Sent alert with ${matches.length} articles`, { subscriptionId: row.SubscriptionID });
+            }
+            await store.updateSubscription(row.SubscriptionID, { LastNotifiedAt: now });
+        } catch (err) {
+            // The watermark stays put, so the same articles are retried on the next run
+            failed++;
+            logger.error(`❌ Alert delivery failed: ${err.message}`, { subscriptionId: row.SubscriptionID });
+        }
+    }
+
+    return { sent, failed };
+}
+
+/**
+ * Starts the background job that sends immediate alerts every minute and daily digests at digestHour
+ * @param {Object} store - Storage backend
+ * @param {Object} mailer - From createMailer
+ * @param {Object} options - publicUrl and digestHour, as for runAlertDelivery
+ * @returns {Function} - Stops the worker
+ */
+function startAlertWorker(store, mailer, { publicUrl, digestHour = DEFAULT_DIGEST_HOUR }) {
+    let running = false;
+
+    const tick = async () => {
+        if (running || !store.isConnected()) {
+            return;
+        }
+
+        running = true;
+        try {
+            await runAlertDelivery(store, mailer, { publicUrl, digestHour });
+        } catch (err) {
+            logger.error('Alert delivery run failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info(`⏱️ Alert delivery scheduled (daily digests at ${digestHour}:00 Athens time)`);
+    const timer = setInterval(tick, TICK_MS);
+    tick();
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    validateSubscriptionInput,
+    createSubscriptionToken,
+    toApiSubscription,
+    buildConfirmationEmail,
+    buildDigestEmail,
+    runAlertDelivery,
+    startAlertWorker
+};
@@ -0,0 +1,278 @@
+const { fetchFeed } = require('./feed-cache');
+const { classify } = require('./classifier');
+const Dedup = require('../shared/dedup');
+
+// Feeds served when the database is unavailable
+const DEFAULT_FEEDS = [{
+    FeedID: 1,
+    FeedName: 'AADE - Δελτία Τύπου',
+    FeedURL: 'https://www.aade.gr/deltia-typoy-anakoinoseis?format=rss',
+    Category: 'Tax Authority'
+}];
+
+const SORT_FIELDS = ['date', 'title', 'source'];
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Error raised for invalid request parameters, mapped to an HTTP 4xx status
+ */
+class ValidationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = status;
+    }
+}
+
+/**
+ * Parses an optional date query parameter
+ * @param {string} value - Raw query value
+ * @param {string} name - Parameter name for error messages
+ * @returns {Date|null}
+ */
+function parseDateParam(value, name) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid "${name}" date: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Reads filtering, sorting and paging options from a request query
+ * @param {Object} query - Express req.query
+ * @returns {Object} - Normalized listing options
+ */
+function parseArticleFilters(query) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize) || 20, 1), MAX_PAGE_SIZE);
+    const feedId = query.feedId !== undefined ? parseInt(query.feedId) : null;
+    if (query.feedId !== undefined && isNaN(feedId)) {
+        throw new ValidationError(`Invalid feedId: ${query.feedId}`);
+    }
+
+    const sort = query.sort || 'date';
+    if (!SORT_FIELDS.includes(sort)) {
+        throw new ValidationError(`Invalid sort: ${sort}. Use one of ${SORT_FIELDS.join(', ')}`);
+    }
+    const order = (query.order || (sort === 'date' ? 'desc' : 'asc')).toLowerCase();
+    if (order !== 'asc' && order !== 'desc') {
+        throw new ValidationError(`Invalid order: ${query.order}`);
+    }
+
+    return {
+        page,
+        pageSize,
+        feedId,
+        category: query.category || null,
+        topic: query.topic || null,
+        from: parseDateParam(query.from, 'from'),
+        to: parseDateParam(query.to, 'to'),
+        sort,
+        order
+    };
+}
+
+/**
+ * Encodes topic labels for the Articles.Topics column ('|ΦΠΑ|myDATA|')
+ * @param {string[]} topics
+ * @returns {string|null}
+ */
+function encodeTopics(topics) {
+    return topics && topics.length > 0 ? `|${topics.join('|')}|` : null;
+}
+
+/**
+ * Decodes the Articles.Topics column
+ * @param {string|null} value
+ * @returns {string[]}
+ */
+function decodeTopics(value) {
+    return value ? value.split('|').filter(Boolean) : [];
+}
+
+/**
+ * Maps an Articles row joined with RSSFeeds to the API article shape
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function toApiArticle(row) {
+    return {
+        id: row.ArticleID,
+        feed_id: row.FeedID,
+        title: row.Title,
+        description: row.Description || '',
+        link: row.Link,
+        category: row.Category || row.FeedCategory || null,
+        topics: decodeTopics(row.Topics),
+        source: row.FeedName,
+        pub_date: row.PublishDate instanceof Date ? row.PublishDate.toISOString() : row.PublishDate
+    };
+}
+
+/**
+ * Maps a Deadlines row to the API shape, embedding its article
+ * @param {Object} row - Deadlines row
+ * @param {Object} article - Article in the API shape
+ * @returns {Object}
+ */
+function toApiDeadline(row, article) {
+    return {
+        id: row.DeadlineID,
+        due_date: row.DueDate instanceof Date ? row.DueDate.toISOString().slice(0, 10) : row.DueDate,
+        kind: row.Kind,
+        description: row.Description,
+        article
+    };
+}
+
+/**
+ * Maps an ArticleReferences row to the API shape
+ * @param {Object} row - ArticleReferences row
+ * @returns {Object}
+ */
+function toApiReference(row) {
+    return {
+        reference: row.Reference,
+        kind: row.Kind
+    };
+}
+
+/**
+ * Maps an ArticleAttachments row to the API shape
+ * @param {Object} row - ArticleAttachments row
+ * @returns {Object}
+ */
+function toApiAttachment(row) {
+    return {
+        id: row.AttachmentID,
+        url: row.URL,
+        title: row.Title,
+        type: row.DocumentType,
+        text: row.TextContent || null,
+        error: row.Error || null
+    };
+}
+
+/**
+ * Builds the paginated response shape consumed by the frontend
+ * @param {Array} articles - Articles of the requested page
+ * @param {number} total - Total matching articles
+ * @param {Object} filters - Listing options
+ * @returns {Object}
+ */
+function buildPage(articles, total, { page, pageSize }) {
+    return {
+        articles,
+        page,
+        page_size: pageSize,
+        total_items: total,
+        total_pages: Math.max(Math.ceil(total / pageSize), 1)
+    };
+}
+
+/**
+ * Merges the articles of a page that report the same story. Each story is its first article
+ * with `sources` (every source and link that published it) and `duplicate_count`; the counts
+ * of the page still refer to articles, so a page can list fewer stories than page_size.
+ * @param {Object} page - Response from buildPage
+ * @returns {Object}
+ */
+function clusterPage(page) {
+    const stories = Dedup.clusterArticles(page.articles).map(({ articles, ...story }) => story);
+    return { ...page, articles: stories };
+}
+
+/**
+ * Fetches the default feeds directly when the database is unavailable.
+ * Parsed feeds are cached in-process, so paging does not re-download them.
+ * @returns {Promise<Array>} - Articles in the API shape
+ */
+async function fetchFallbackArticles() {
+    const articles = [];
+
+    for (const feed of DEFAULT_FEEDS) {
+        const { feed: parsed } = await fetchFeed(feed.FeedURL);
+        parsed.items.forEach(item => {
+            articles.push({
+                id: item.guid || item.link,
+                feed_id: feed.FeedID,
+                title: item.title,
+                description: item.description,
+                link: item.link,
+                category: feed.Category,
+                topics: classify(item),
+                source: feed.FeedName,
+                pub_date: item.pub_date
+            });
+        });
+    }
+
+    return articles;
+}
+
+/**
+ * Checks an article in the API shape against the feed, category and date filters
+ * @param {Object} article - Article in the API shape
+ * @param {Object} filters - Listing options from parseArticleFilters
+ * @returns {boolean}
+ */
+function matchesFilters(article, filters) {
+    return (filters.feedId === null || article.feed_id === filters.feedId)
+        && (!filters.category || article.category === filters.category)
+        && (!filters.topic || (article.topics || []).includes(filters.topic))
+        && (!filters.from || (Boolean(article.pub_date) && new Date(article.pub_date) >= filters.from))
+        && (!filters.to || (Boolean(article.pub_date) && new Date(article.pub_date) <= filters.to));
+}
+
+/**
+ * Slices an already filtered and ordered list into the requested page
+ * @param {Array} articles - Articles in the API shape
+ * @param {Object} filters - Listing options from parseArticleFilters
+ * @returns {Object} - Paginated response
+ */
+function paginateArticles(articles, filters) {
+    const offset = (filters.page - 1) * filters.pageSize;
+    return buildPage(articles.slice(offset, offset + filters.pageSize), articles.length, filters);
+}
+
+/**
+ * Applies listing options to an in-memory article list
+ * @param {Array} articles - Articles in the API shape
+ * @param {Object} filters - Listing options from parseArticleFilters
+ * @returns {Object} - Paginated response
+ */
+function filterArticleList(articles, filters) {
+    const sortKey = { date: 'pub_date', title: 'title', source: 'source' }[filters.sort];
+    const direction = filters.order === 'asc' ? 1 : -1;
+
+    const matching = articles
+        .filter(article => matchesFilters(article, filters))
+        .sort((a, b) => {
+            // Articles of unknown date come last in either direction
+            if (sortKey === 'pub_date' && !a.pub_date !== !b.pub_date) return a.pub_date ? -1 : 1;
+            return String(a[sortKey] || '').localeCompare(String(b[sortKey] || ''), 'el') * direction;
+        });
+
+    return paginateArticles(matching, filters);
+}
+
+module.exports = {
+    DEFAULT_FEEDS,
+    ValidationError,
+    parseArticleFilters,
+    encodeTopics,
+    decodeTopics,
+    toApiArticle,
+    toApiDeadline,
+    toApiReference,
+    toApiAttachment,
+    buildPage,
+    clusterPage,
+    matchesFilters,
+    paginateArticles,
+    fetchFallbackArticles,
+    filterArticleList
+};
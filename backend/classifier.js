@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const GreekText = require('../shared/greek-text');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'config', 'topic-rules.json');
+const TITLE_WEIGHT = 2;
+
+const WORD_BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}])';
+const WORD_BOUNDARY_AFTER = '(?![\\p{L}\\p{N}])';
+
+let rules = null;
+
+/**
+ * Escapes a string for literal use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Compiles a keyword into a whole-word regex; words ending in * match as stems
+ * @param {string} keyword - Keyword from the rules file
+ * @returns {RegExp}
+ */
+function compileKeyword(keyword) {
+    const words = GreekText.normalize(keyword).trim().split(/\s+/).map(word => (
+        word.endsWith('*')
+            ? escapeRegex(word.slice(0, -1)) + '[\\p{L}\\p{N}]*'
+            : escapeRegex(word)
+    ));
+
+    return new RegExp(WORD_BOUNDARY_BEFORE + words.join('\\s+') + WORD_BOUNDARY_AFTER, 'gu');
+}
+
+/**
+ * Loads and compiles the topic rules
+ * @param {string} [rulesPath] - JSON rules file, TOPIC_RULES_PATH or config/topic-rules.json by default
+ * @returns {Array} - Compiled topics
+ */
+function loadRules(rulesPath = process.env.TOPIC_RULES_PATH || DEFAULT_RULES_PATH) {
+    const config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+    rules = config.topics.map(topic => ({
+        label: topic.label,
+        minScore: topic.minScore || 1,
+        matchers: [
+            ...(topic.keywords || []).map(compileKeyword),
+            ...(topic.patterns || []).map(pattern => new RegExp(pattern, 'giu'))
+        ]
+    }));
+
+    logger.info(`🏷️ Loaded ${rules.length} topic rules from ${rulesPath}`);
+    return rules;
+}
+
+/**
+ * Counts the matches of all matchers in a normalized text
+ * @param {RegExp[]} matchers
+ * @param {string} text - Normalized text
+ * @returns {number}
+ */
+function countMatches(matchers, text) {
+    return matchers.reduce((total, matcher) => total + (text.match(matcher) || []).length, 0);
+}
+
+/**
+ * Tags an article with the topics whose rules match its title and description
+ * @param {Object} article
+ * @param {string} article.title
+ * @param {string} [article.description]
+ * @returns {string[]} - Topic labels, best match first
+ */
+function classify({ title, description }) {
+    if (!rules) {
+        loadRules();
+    }
+
+    const normalizedTitle = GreekText.normalize(title);
+    const normalizedDescription = GreekText.normalize(description);
+
+    return rules
+        .map(topic => ({
+            label: topic.label,
+            minScore: topic.minScore,
+            score: countMatches(topic.matchers, normalizedTitle) * TITLE_WEIGHT
+                + countMatches(topic.matchers, normalizedDescription)
+        }))
+        .filter(topic => topic.score >= topic.minScore)
+        .sort((a, b) => b.score - a.score)
+        .map(topic => topic.label);
+}
+
+/**
+ * Labels of all configured topics
+ * @returns {string[]}
+ */
+function listTopics() {
+    if (!rules) {
+        loadRules();
+    }
+    return rules.map(topic => topic.label);
+}
+
+module.exports = {
+    loadRules,
+    classify,
+    listTopics
+};
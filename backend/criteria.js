@@ -0,0 +1,103 @@
+const { ValidationError } = require('./articles');
+const { parseQuery, searchArticles } = require('./search');
+
+// Article filters shared by alert subscriptions and webhooks
+const CRITERIA_FIELDS = ['keywords', 'categories', 'topics', 'feedIds'];
+const MAX_CRITERIA_VALUES = 20;
+
+/**
+ * Validates an optional list of non-empty strings
+ * @param {*} value - Raw body value
+ * @param {string} name - Field name for error messages
+ * @param {string} label - Resource name for error messages
+ * @returns {string[]}
+ */
+function validateStringList(value, name, label) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new ValidationError(`${label} "${name}" must be an array of non-empty strings`);
+    }
+    if (value.length > MAX_CRITERIA_VALUES) {
+        throw new ValidationError(`${label} "${name}" accepts at most ${MAX_CRITERIA_VALUES} values`);
+    }
+    return [...new Set(value.map(item => item.trim().substring(0, 200)))];
+}
+
+/**
+ * Reads criteria stored as JSON in a Criteria column
+ * @param {string|null} value - Column value
+ * @returns {{keywords: string[], categories: string[], topics: string[], feedIds: number[]}}
+ */
+function parseCriteria(value) {
+    const stored = value ? JSON.parse(value) : {};
+    return Object.fromEntries(CRITERIA_FIELDS.map(field => [field, stored[field] || []]));
+}
+
+/**
+ * Validates the criteria fields of a request body
+ * @param {Object} body - Request body with optional keywords, categories, topics and feedIds
+ * @param {Object|null} current - Criteria being updated, or null when creating
+ * @param {string} label - Resource name for error messages
+ * @returns {Object|null} - The resulting criteria, or null when an update leaves them unchanged
+ */
+function validateCriteriaInput(body, current, label) {
+    const criteria = current ? { ...current } : parseCriteria(null);
+    let changed = !current;
+
+    ['keywords', 'categories', 'topics'].forEach(field => {
+        if (body[field] !== undefined) {
+            criteria[field] = validateStringList(body[field], field, label);
+            changed = true;
+        }
+    });
+    if (body.feedIds !== undefined) {
+        if (!Array.isArray(body.feedIds) || body.feedIds.some(id => !Number.isInteger(id))) {
+            throw new ValidationError(`${label} "feedIds" must be an array of feed ids`);
+        }
+        criteria.feedIds = [...new Set(body.feedIds)].slice(0, MAX_CRITERIA_VALUES);
+        changed = true;
+    }
+
+    if (criteria.keywords.some(keyword => parseQuery(keyword).length === 0)) {
+        throw new ValidationError(`${label} "keywords" must contain searchable words`);
+    }
+
+    return changed ? criteria : null;
+}
+
+/**
+ * @param {Object} criteria
+ * @returns {boolean} - True when no filter is set, i.e. every article matches
+ */
+function isEmptyCriteria(criteria) {
+    return CRITERIA_FIELDS.every(field => criteria[field].length === 0);
+}
+
+/**
+ * Checks an article against criteria. Every non-empty criterion must match;
+ * within keywords any one saved query is enough.
+ * @param {Object} article - Article in the API shape
+ * @param {Object} criteria - From parseCriteria
+ * @returns {Object|null} - The article with `matched_keywords` (and highlights for keyword hits), or null
+ */
+function matchCriteria(article, criteria) {
+    if (criteria.feedIds.length > 0 && !criteria.feedIds.includes(article.feed_id)) return null;
+    if (criteria.categories.length > 0 && !criteria.categories.includes(article.category)) return null;
+    if (criteria.topics.length > 0 && !criteria.topics.some(topic => (article.topics || []).includes(topic))) return null;
+    if (criteria.keywords.length === 0) return { ...article, matched_keywords: [] };
+
+    let best = null;
+    const matchedKeywords = criteria.keywords.filter(keyword => {
+        const [hit] = searchArticles([article], keyword);
+        if (hit && (!best || hit.score > best.score)) best = hit;
+        return Boolean(hit);
+    });
+
+    return best ? { ...best, matched_keywords: matchedKeywords } : null;
+}
+
+module.exports = {
+    parseCriteria,
+    validateCriteriaInput,
+    isEmptyCriteria,
+    matchCriteria
+};
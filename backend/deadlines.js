@@ -0,0 +1,223 @@
+const GreekText = require('../shared/greek-text');
+const GreekDates = require('../shared/greek-dates');
+const { monthFromWord, toIsoDate } = GreekDates;
+
+// Month names and abbreviations, in normalized form
+const MONTH_PATTERN = GreekDates.MONTH_STEMS.map(([stem]) => `${stem}[α-ω]*`).join('|')
+    + '|' + GreekDates.MONTH_STEMS.map(([, abbreviation]) => `${abbreviation}\\.?`).join('|');
+
+// "31 Οκτωβρίου 2026", "31η Οκτωβρίου", "31 Οκτ. 2026"
+const TEXT_DATE = new RegExp(`(?<![\\p{N}])(\\d{1,2})(?:η|ησ)?\\s+(${MONTH_PATTERN})(?![\\p{L}])(?:\\s+(\\d{4}))?`, 'gu');
+// "31/10/2026", "31.10.2026", "31-10-26" (always day first)
+const NUMERIC_DATE = /(?<![\p{N}/.-])(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?![\p{N}/.-])/gu;
+
+// Phrases that make a nearby date a deadline (normalized)
+const DEADLINE_CUES = /(εωσ|μεχρι|προθεσμι[α-ω]*|ληγει|ληξη[α-ω]*|καταληκτικ[α-ω]*|το αργοτερο|παρατ[α-ω]+)/gu;
+const EXTENSION_CUE = /παρατ(ασ|ειν|αθ)[α-ω]*/u;
+
+// How far before a date a cue may appear, within the same sentence
+const CUE_WINDOW = 80;
+
+/**
+ * Picks the year for a date written without one: the reference year,
+ * or the next one when that would put the date well before the reference
+ * @param {number} month
+ * @param {number} day
+ * @param {Date} referenceDate - Usually the article's publish date
+ * @returns {number}
+ */
+function inferYear(month, day, referenceDate) {
+    const year = referenceDate.getUTCFullYear();
+    const candidate = Date.UTC(year, month - 1, day);
+    const thirtyDays = 30 * 24 * 60 * 60 * 1000;
+    return candidate < referenceDate.getTime() - thirtyDays ? year + 1 : year;
+}
+
+/**
+ * Returns the sentence of the original text that contains an offset
+ * @param {string} text - Original text
+ * @param {number} offset
+ * @returns {{start: number, sentence: string}}
+ */
+function sentenceAt(text, offset) {
+    const before = text.slice(0, offset);
+    const start = Math.max(before.lastIndexOf('. '), before.lastIndexOf('\n'), before.lastIndexOf(';')) + 1;
+    const endMatch = text.slice(offset).search(/\.(\s|$)|\n|;/);
+    const end = endMatch === -1 ? text.length : offset + endMatch + 1;
+    return { start, sentence: text.slice(start, end).trim() };
+}
+
+/**
+ * Finds deadline dates in Greek text ("έως 31 Οκτωβρίου 2026", "παράταση προθεσμίας έως 15/11")
+ * @param {string} text - Article title and body
+ * @param {Object} [options]
+ * @param {Date} [options.referenceDate] - Used to infer missing years
+ * @returns {Array<{due_date: string, kind: string, description: string}>} - One record per distinct date
+ */
+function extractDeadlines(text, { referenceDate = new Date() } = {}) {
+    const { text: source, folded, map } = GreekText.normalizeWithMap(text);
+    const found = new Map();
+
+    const consider = (index, isoDate) => {
+        if (!isoDate || found.has(isoDate)) return;
+
+        const originalStart = map[index];
+        const { start: sentenceStart, sentence } = sentenceAt(source, originalStart);
+        const foldedSentenceStart = map.findIndex(offset => offset >= sentenceStart);
+        const windowStart = Math.max(index - CUE_WINDOW, foldedSentenceStart);
+        const lead = folded.slice(windowStart, index);
+        const cues = lead.match(DEADLINE_CUES);
+        if (!cues) return;
+
+        const foldedSentence = GreekText.normalize(sentence);
+        found.set(isoDate, {
+            due_date: isoDate,
+            kind: EXTENSION_CUE.test(foldedSentence) ? 'extension' : 'deadline',
+            description: sentence.substring(0, 500)
+        });
+    };
+
+    for (const match of folded.matchAll(TEXT_DATE)) {
+        const day = parseInt(match[1]);
+        const month = monthFromWord(match[2]);
+        if (!month) continue;
+        const year = match[3] ? parseInt(match[3]) : inferYear(month, day, referenceDate);
+        consider(match.index, toIsoDate(year, month, day));
+    }
+
+    for (const match of folded.matchAll(NUMERIC_DATE)) {
+        const day = parseInt(match[1]);
+        const month = parseInt(match[2]);
+        let year = parseInt(match[3]);
+        if (match[3].length === 2) year += 2000;
+        consider(match.index, toIsoDate(year, month, day));
+    }
+
+    return [...found.values()].sort((a, b) => a.due_date.localeCompare(b.due_date));
+}
+
+/**
+ * Extracts the deadlines of an article record, inferring missing years from its publish date
+ * @param {Object} article - Record with title, description and publishDate (or pub_date)
+ * @returns {Array}
+ */
+function articleDeadlines(article) {
+    // Undated articles are read as published now
+    const published = GreekDates.parseDateValue(article.publishDate || article.pub_date);
+    return extractDeadlines(`${article.title || ''}. ${article.description || ''}`, {
+        referenceDate: published || new Date()
+    });
+}
+
+/**
+ * Checks a deadline in the API shape against date, feed and topic filters
+ * @param {Object} deadline - Deadline with its article
+ * @param {Object} filters - from/to Dates, feedId, topic
+ * @returns {boolean}
+ */
+function matchesDeadlineFilters(deadline, filters) {
+    const due = new Date(`${deadline.due_date}T00:00:00Z`);
+    return (!filters.from || due >= filters.from)
+        && (!filters.to || due <= filters.to)
+        && (filters.feedId === null || filters.feedId === undefined || deadline.article.feed_id === filters.feedId)
+        && (!filters.topic || (deadline.article.topics || []).includes(filters.topic));
+}
+
+/**
+ * Escapes a value for an iCalendar TEXT property
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeICalText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line at 75 octets as RFC 5545 requires, without splitting UTF-8 characters
+ * @param {string} line
+ * @returns {string}
+ */
+function foldICalLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+        if (currentBytes + bytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a Date as an iCalendar UTC timestamp
+ * @param {Date} date
+ * @returns {string} - YYYYMMDDTHHMMSSZ
+ */
+function toICalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Renders deadlines as an iCalendar feed of all-day events
+ * @param {Array} deadlines - Deadlines in the API shape, with their article
+ * @param {Object} [options]
+ * @param {string} [options.calendarName]
+ * @returns {string}
+ */
+function toICalendar(deadlines, { calendarName = 'Greek Tax Deadlines' } = {}) {
+    const stamp = toICalTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Greek Tax News Hub//Deadlines//EL',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(calendarName)}`,
+        'X-WR-TIMEZONE:Europe/Athens'
+    ];
+
+    deadlines.forEach(deadline => {
+        const start = deadline.due_date.replace(/-/g, '');
+        const next = new Date(`${deadline.due_date}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        const prefix = deadline.kind === 'extension' ? 'Παράταση' : 'Προθεσμία';
+        const article = deadline.article || {};
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:deadline-${deadline.id}@greek-tax-news-hub`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${start}`,
+            `DTEND;VALUE=DATE:${next.toISOString().slice(0, 10).replace(/-/g, '')}`,
+            `SUMMARY:${escapeICalText(`${prefix}: ${article.title || deadline.description}`)}`,
+            `DESCRIPTION:${escapeICalText([deadline.description, article.source, article.link].filter(Boolean).join('\n'))}`,
+            ...(article.link ? [`URL:${article.link}`] : []),
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    extractDeadlines,
+    articleDeadlines,
+    matchesDeadlineFilters,
+    toICalendar
+};
@@ -0,0 +1,366 @@
+const GreekText = require('../shared/greek-text');
+const { athensTime, athensOffset, toIsoDate, formatDate } = require('../shared/greek-dates');
+const { ValidationError } = require('./articles');
+const { escapeHtml } = require('./search');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound of articles in one digest; busy weeks keep the newest
+const MAX_DIGEST_ARTICLES = 300;
+const SUMMARY_SENTENCES = 2;
+const MAX_SUMMARY_LENGTH = 450;
+const HIGHLIGHT_COUNT = 5;
+
+// Sentence scoring weights
+const TITLE_WEIGHT = 1.5;
+const LEAD_BONUS = 0.3;
+const CUE_BONUS = 0.4;
+const MIN_SENTENCE_WORDS = 5;
+const MAX_SENTENCE_WORDS = 60;
+
+// Function words that say nothing about the content of a sentence, in normalized form
+const STOPWORDS = new Set([
+    'και', 'να', 'το', 'τα', 'τη', 'την', 'της', 'των', 'του', 'τον', 'τους', 'τις', 'τι', 'οι', 'ο', 'η',
+    'με', 'σε', 'για', 'απο', 'που', 'στο', 'στη', 'στην', 'στα', 'στον', 'στις', 'στους', 'στων',
+    'θα', 'ειναι', 'ως', 'κατα', 'ενα', 'ενασ', 'μια', 'μιασ', 'δεν', 'μη', 'μην', 'αυτο', 'αυτη',
+    'αυτα', 'αυτεσ', 'αυτων', 'οπωσ', 'οπου', 'επι', 'προσ', 'μετα', 'πριν', 'μεσω', 'εχει', 'εχουν',
+    'ηταν', 'οτι', 'αλλα', 'ομωσ', 'επισησ', 'καθωσ', 'εαν', 'αν', 'ειτε', 'ουτε', 'πλεον',
+    'ακομη', 'ακομα', 'σχετικα', 'σχετικο', 'σχετικη', 'σχετικεσ', 'σχετικων', 'εγινε', 'γινεται'
+]);
+
+// Sentences carrying dates, amounts or legal bases are what readers of a tax digest look for
+const CUE_PATTERN = /(προθεσμι|παρατασ|εωσ|μεχρι|υποχρε|ποσοστ|συντελεστ|ευρω|€|απαλλαγ|ρυθμισ|ν\.\s?\d|πολ\.?\s?\d|\d{4})/u;
+
+const PERIOD_PATTERNS = {
+    day: /^(\d{4})-(\d{2})-(\d{2})$/,
+    week: /^(\d{4})-W(\d{2})$/i
+};
+
+/**
+ * Resolves the :period of a digest URL
+ * "daily" and "weekly" end now; "2026-10-19" is that day and "2026-W42" that ISO week, both in Athens time
+ * @param {string} value - Raw path parameter
+ * @param {Date} [now]
+ * @returns {{period: string, from: Date, to: Date}}
+ */
+function parsePeriod(value, now = new Date()) {
+    const period = String(value || '').trim();
+
+    if (period === 'daily' || period === 'weekly') {
+        const length = period === 'daily' ? DAY_MS : 7 * DAY_MS;
+        return { period, from: new Date(now.getTime() - length), to: now };
+    }
+
+    let match = PERIOD_PATTERNS.day.exec(period);
+    if (match) {
+        const [year, month, day] = match.slice(1).map(Number);
+        if (!toIsoDate(year, month, day)) {
+            throw new ValidationError(`Invalid date: ${period}`);
+        }
+        return { period, from: athensTime(year, month, day), to: athensTime(year, month, day + 1) };
+    }
+
+    match = PERIOD_PATTERNS.week.exec(period);
+    if (match) {
+        const year = Number(match[1]);
+        const week = Number(match[2]);
+        // ISO week 1 is the week with January 4th; weeks start on Monday
+        const jan4 = new Date(Date.UTC(year, 0, 4));
+        const monday = 4 - ((jan4.getUTCDay() + 6) % 7) + (week - 1) * 7;
+        // Years that start or end on a Thursday have 53 ISO weeks
+        const weeksInYear = new Date(Date.UTC(year, 0, 1)).getUTCDay() === 4 || new Date(Date.UTC(year, 11, 31)).getUTCDay() === 4 ? 53 : 52;
+        if (week < 1 || week > weeksInYear) {
+            throw new ValidationError(`Invalid week: ${period}`);
+        }
+        return {
+            period: `${year}-W${match[2]}`,
+            from: athensTime(year, 1, monday),
+            to: athensTime(year, 1, monday + 7)
+        };
+    }
+
+    throw new ValidationError(`Invalid period: ${period}. Use daily, weekly, a date (2026-10-19) or an ISO week (2026-W42)`);
+}
+
+/**
+ * Splits text into sentences. A break needs an upper-case letter after it, so citations
+ * such as "ν. 4172/2013" and "Ε.2100/2026" stay inside their sentence.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+    return String(text || '')
+        .normalize('NFC')
+        .split(/\n+|(?<=[.!;])\s+(?=[«"(]?\p{Lu})/u)
+        .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+function contentWords(text) {
+    return GreekText.tokenize(text).filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+/**
+ * Counts content words, normalized so the most frequent word weighs 1
+ * @param {string[]} texts
+ * @returns {Map<string, number>}
+ */
+function termWeights(texts) {
+    const counts = new Map();
+    texts.forEach(text => contentWords(text).forEach(word => counts.set(word, (counts.get(word) || 0) + 1)));
+
+    const max = Math.max(1, ...counts.values());
+    counts.forEach((count, word) => counts.set(word, count / max));
+    return counts;
+}
+
+/**
+ * Scores sentences by the weight of their content words, overlap with the title,
+ * position and tax cues (deadlines, rates, amounts, legal references)
+ * @param {string[]} sentences
+ * @param {Map<string, number>} weights - From termWeights
+ * @param {string} title
+ * @returns {Array<{sentence: string, index: number, score: number}>}
+ */
+function scoreSentences(sentences, weights, title = '') {
+    const titleWords = new Set(contentWords(title));
+
+    return sentences.map((sentence, index) => {
+        const words = contentWords(sentence);
+        const wordCount = GreekText.tokenize(sentence).length;
+        if (words.length === 0 || wordCount < MIN_SENTENCE_WORDS || wordCount > MAX_SENTENCE_WORDS) {
+            return { sentence, index, score: 0 };
+        }
+
+        const unique = [...new Set(words)];
+        const density = unique.reduce((sum, word) => sum + (weights.get(word) || 0), 0) / Math.sqrt(words.length);
+        const titleOverlap = titleWords.size ? unique.filter(word => titleWords.has(word)).length / titleWords.size : 0;
+        const cue = CUE_PATTERN.test(GreekText.normalize(sentence)) ? CUE_BONUS : 0;
+        const lead = index === 0 ? LEAD_BONUS : 0;
+
+        return { sentence, index, score: density + titleOverlap * TITLE_WEIGHT + cue + lead };
+    });
+}
+
+/**
+ * Extractive summary: the best-scoring sentences of a text in their original order
+ * @param {string} text - Article body
+ * @param {Object} [options]
+ * @param {string} [options.title] - Article title, sentences repeating it score higher
+ * @param {number} [options.sentences] - Sentences to keep
+ * @returns {string}
+ */
+function summarize(text, { title = '', sentences = SUMMARY_SENTENCES } = {}) {
+    const all = splitSentences(text);
+    let chosen = all;
+
+    if (all.length > sentences) {
+        chosen = scoreSentences(all, termWeights([title, title, text]), title)
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, sentences)
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.sentence);
+        if (chosen.length === 0) chosen = all.slice(0, sentences);
+    }
+
+    const summary = chosen.join(' ');
+    return summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 1).trimEnd()}…` : summary;
+}
+
+const articleText = article => article.full_text || article.description || '';
+const articleLink = article => ({ id: article.id, title: article.title, link: article.link, source: article.source });
+
+/**
+ * Most representative sentences of the whole period, at most one per article
+ * @param {Object[]} articles
+ * @returns {Array<{sentence: string, article: Object}>}
+ */
+function periodHighlights(articles) {
+    const weights = termWeights(articles.map(article => `${article.title}\n${articleText(article)}`));
+
+    return articles
+        .map(article => {
+            const best = scoreSentences(splitSentences(articleText(article)), weights, article.title)
+                .sort((a, b) => b.score - a.score)[0];
+            return best && best.score > 0 ? { sentence: best.sentence, score: best.score, article: articleLink(article) } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, HIGHLIGHT_COUNT)
+        .map(({ sentence, article }) => ({ sentence, article }));
+}
+
+/**
+ * Groups articles by category, then by source; larger groups first
+ * @param {Object[]} articles - Digest entries
+ * @returns {Array<{category: string, sources: Array}>}
+ */
+function groupArticles(articles) {
+    const categories = new Map();
+    articles.forEach(article => {
+        const category = article.category || 'Γενικά';
+        if (!categories.has(category)) categories.set(category, new Map());
+        const sources = categories.get(category);
+        const source = article.source || 'Άλλες πηγές';
+        if (!sources.has(source)) sources.set(source, []);
+        sources.get(source).push(article);
+    });
+
+    const bySize = (a, b) => b.count - a.count || a.name.localeCompare(b.name, 'el');
+    return [...categories.entries()]
+        .map(([category, sources]) => ({
+            name: category,
+            count: [...sources.values()].reduce((sum, items) => sum + items.length, 0),
+            sources: [...sources.entries()]
+                .map(([source, items]) => ({ name: source, count: items.length, articles: items }))
+                .sort(bySize)
+        }))
+        .sort(bySize)
+        .map(group => ({
+            category: group.name,
+            article_count: group.count,
+            sources: group.sources.map(source => ({ source: source.name, articles: source.articles }))
+        }));
+}
+
+/**
+ * Builds a digest of a period's articles
+ * @param {Object[]} articles - Articles with full_text, deadlines and references, newest first
+ * @param {{period: string, from: Date, to: Date}} range - From parsePeriod
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function buildDigest(articles, range, now = new Date()) {
+    const included = articles.slice(0, MAX_DIGEST_ARTICLES);
+    // Deadlines are Athens calendar dates, so "today" is the Athens date as well
+    const today = new Date(now.getTime() + athensOffset(now)).toISOString().slice(0, 10);
+
+    const entries = included.map(article => ({
+        id: article.id,
+        title: article.title,
+        link: article.link,
+        source: article.source,
+        category: article.category,
+        topics: article.topics || [],
+        pub_date: article.pub_date,
+        summary: summarize(articleText(article), { title: article.title })
+    }));
+
+    const deadlines = [];
+    const seenDeadlines = new Set();
+    const references = new Map();
+
+    included.forEach(article => {
+        (article.deadlines || []).forEach(deadline => {
+            const key = `${deadline.due_date}|${article.id}`;
+            if (seenDeadlines.has(key)) return;
+            seenDeadlines.add(key);
+            deadlines.push({
+                due_date: deadline.due_date,
+                kind: deadline.kind,
+                description: deadline.description,
+                upcoming: deadline.due_date >= today,
+                article: articleLink(article)
+            });
+        });
+
+        (article.references || []).forEach(reference => {
+            if (!references.has(reference.reference)) {
+                references.set(reference.reference, { reference: reference.reference, kind: reference.kind, articles: [] });
+            }
+            const entry = references.get(reference.reference);
+            if (!entry.articles.some(item => item.id === article.id)) {
+                entry.articles.push(articleLink(article));
+            }
+        });
+    });
+
+    return {
+        period: range.period,
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        generated_at: now.toISOString(),
+        article_count: articles.length,
+        truncated: articles.length > included.length,
+        highlights: periodHighlights(included),
+        deadlines: deadlines.sort((a, b) => a.due_date.localeCompare(b.due_date)),
+        references: [...references.values()]
+            .sort((a, b) => b.articles.length - a.articles.length || a.reference.localeCompare(b.reference, 'el')),
+        categories: groupArticles(entries)
+    };
+}
+
+/**
+ * Renders a digest as a standalone HTML page
+ * @param {Object} digest - From buildDigest
+ * @param {Object} links - jsonUrl of the same digest, referenceUrl(reference) for citation pages
+ * @returns {string}
+ */
+function renderDigestHtml(digest, { jsonUrl, referenceUrl }) {
+    const last = new Date(new Date(digest.to).getTime() - 1);
+    const title = `Σύνοψη φορολογικών νέων: ${formatDate(digest.from)} – ${formatDate(last)}`;
+    const articleAnchor = article => `<a href="${escapeHtml(article.link)}">${escapeHtml(article.title)}</a>`;
+
+    const highlights = digest.highlights.length ? `
+    <h2>Με μια ματιά</h2>
+    <ul>${digest.highlights.map(item => `
+        <li>${escapeHtml(item.sentence)} <small>(${articleAnchor(item.article)})</small></li>`).join('')}
+    </ul>` : '';
+
+    const deadlines = digest.deadlines.length ? `
+    <h2>Προθεσμίες</h2>
+    <ul>${digest.deadlines.map(deadline => `
+        <li${deadline.upcoming ? '' : ' class="past"'}><strong>${formatDate(deadline.due_date)}</strong>${deadline.kind === 'extension' ? ' (παράταση)' : ''}:
+            ${escapeHtml(deadline.description)} <small>(${articleAnchor(deadline.article)})</small></li>`).join('')}
+    </ul>` : '';
+
+    const references = digest.references.length ? `
+    <h2>Νομοθεσία που αναφέρθηκε</h2>
+    <ul>${digest.references.map(reference => `
+        <li><a href="${escapeHtml(referenceUrl(reference.reference))}">${escapeHtml(reference.reference)}</a>:
+            ${reference.articles.map(articleAnchor).join(', ')}</li>`).join('')}
+    </ul>` : '';
+
+    const categories = digest.categories.map(category => `
+    <h2>${escapeHtml(category.category)} <small>(${category.article_count})</small></h2>${category.sources.map(source => `
+    <h3>${escapeHtml(source.source)}</h3>${source.articles.map(article => `
+    <article>
+        <h4>${articleAnchor(article)}</h4>
+        <small>${formatDate(article.pub_date)}${article.topics.length ? ` · ${article.topics.map(escapeHtml).join(', ')}` : ''}</small>
+        ${article.summary ? `<p>${escapeHtml(article.summary)}</p>` : ''}
+    </article>`).join('')}`).join('')}`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="el">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <link rel="alternate" type="application/json" href="${escapeHtml(jsonUrl)}">
+    <style>
+        body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+        h1 { color: #1e3a8a; }
+        h2 { border-bottom: 2px solid #1e3a8a; padding-bottom: 4px; margin-top: 32px; }
+        h4 { margin: 16px 0 2px; }
+        small { color: #666; }
+        .past { opacity: 0.6; }
+        a { color: #1e40af; }
+    </style>
+</head>
+<body>
+    <h1>🇬🇷 ${escapeHtml(title)}</h1>
+    <p>${digest.article_count === 1 ? '1 άρθρο' : `${digest.article_count} άρθρα`}${digest.truncated ? ` (εμφανίζονται τα ${MAX_DIGEST_ARTICLES} πιο πρόσφατα)` : ''} ·
+        <a href="${escapeHtml(jsonUrl)}">JSON</a></p>
+    ${digest.article_count === 0 ? '<p>Δεν δημοσιεύθηκαν άρθρα σε αυτή την περίοδο.</p>' : ''}${highlights}${deadlines}${references}${categories}
+</body>
+</html>`;
+}
+
+module.exports = {
+    parsePeriod,
+    splitSentences,
+    summarize,
+    buildDigest,
+    renderDigestHtml
+};
@@ -0,0 +1,327 @@
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when loaded without a parent module; the library file does not
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const logger = require('./logger');
+const { safeFetch } = require('./safe-fetch');
+const { classify } = require('./classifier');
+const { articleDeadlines } = require('./deadlines');
+const { articleReferences } = require('./references');
+
+const FETCH_TIMEOUT_MS = 20000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+const MAX_ATTACHMENT_BYTES = 15 * 1024 * 1024;
+const MAX_ATTACHMENTS = 5;
+const MAX_TEXT_LENGTH = 200000;
+const BATCH_SIZE = 5;
+const TICK_MS = 2 * 60 * 1000;
+const USER_AGENT = 'GreekTaxNewsHub/1.0 (+https://github.com/tonygeo10/greek-tax-news-hub)';
+
+const DOCUMENT_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Page chrome that never holds the announcement itself
+const BOILERPLATE = 'script, style, noscript, iframe, svg, nav, header, footer, aside, form, .breadcrumb, .menu, .sidebar, .share, .social, .cookie';
+// Containers that usually hold the main text (Drupal/Joomla/WordPress and generic markup)
+const CONTENT_SELECTORS = 'article, main, [role="main"], .field--name-body, .node__content, .item-page, .entry-content, .article-content, #content, .content';
+
+/**
+ * Downloads a URL with a timeout and size cap, refusing hosts and redirects that resolve to local or private addresses
+ * @param {string} url
+ * @param {number} maxBytes
+ * @returns {Promise<{buffer: Buffer, contentType: string, url: string}>}
+ */
+async function download(url, maxBytes) {
+    // The URLs come from feed content, so every hop is checked to resolve to a public address
+    const response = await safeFetch(url, {
+        headers: { 'User-Agent': USER_AGENT },
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    if (parseInt(response.headers.get('content-length')) > maxBytes) {
+        throw new Error(`Document larger than ${maxBytes} bytes`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new Error(`Document larger than ${maxBytes} bytes`);
+        }
+        chunks.push(chunk);
+    }
+
+    return {
+        buffer: Buffer.concat(chunks),
+        contentType: (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase(),
+        url: response.url || url
+    };
+}
+
+/**
+ * Collapses whitespace while keeping paragraph breaks, and caps the length
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanText(text) {
+    return String(text || '')
+        .replace(/\r/g, '')
+        .replace(/[ \t\u00a0]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .substring(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Text of an element with block elements on their own lines
+ * @param {Object} $ - Loaded cheerio document
+ * @param {Object} element - Cheerio selection
+ * @returns {string}
+ */
+function blockText($, element) {
+    const clone = element.clone();
+    clone.find('br').replaceWith('\n');
+    clone.find('p, div, li, h1, h2, h3, h4, h5, h6, tr, table, section').each((_, node) => {
+        $(node).prepend('\n').append('\n');
+    });
+    return cleanText(clone.text());
+}
+
+/**
+ * Picks the element holding the main readable text: the content container with the
+ * most text, or the body when no container is found
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Object} - Cheerio selection
+ */
+function findMainContent($) {
+    let best = null;
+    let bestLength = 0;
+
+    $(CONTENT_SELECTORS).each((_, node) => {
+        const length = $(node).text().replace(/\s+/g, ' ').length;
+        if (length > bestLength) {
+            best = $(node);
+            bestLength = length;
+        }
+    });
+
+    return best || $('body');
+}
+
+/**
+ * Detects the document type of an attachment link
+ * @param {string} href - Absolute URL
+ * @param {string} [contentType] - Response content type, when known
+ * @returns {string|null} - 'pdf', 'docx' or null
+ */
+function documentType(href, contentType) {
+    if (contentType === DOCUMENT_TYPES.pdf) return 'pdf';
+    if (contentType === DOCUMENT_TYPES.docx) return 'docx';
+
+    const pathname = (() => {
+        try {
+            return new URL(href).pathname.toLowerCase();
+        } catch {
+            return '';
+        }
+    })();
+    if (pathname.endsWith('.pdf')) return 'pdf';
+    if (pathname.endsWith('.docx')) return 'docx';
+    return null;
+}
+
+/**
+ * Extracts the readable text and the linked PDF/DOCX documents of an article page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL, for resolving relative links
+ * @returns {{text: string, attachments: Array<{url: string, title: string, type: string}>}}
+ */
+function parseArticlePage(html, pageUrl) {
+    const $ = cheerio.load(html);
+    $(BOILERPLATE).remove();
+
+    const main = findMainContent($);
+    const attachments = new Map();
+
+    // Attachments are looked for in the main content first, then anywhere on the page
+    [main.find('a[href]'), $('a[href]')].forEach(links => {
+        links.each((_, node) => {
+            let url;
+            try {
+                url = new URL($(node).attr('href'), pageUrl).toString();
+            } catch {
+                return;
+            }
+            const type = documentType(url);
+            if (type && !attachments.has(url) && attachments.size < MAX_ATTACHMENTS) {
+                attachments.set(url, { url, type, title: cleanText($(node).text()).substring(0, 300) || url.split('/').pop() });
+            }
+        });
+    });
+
+    return { text: blockText($, main), attachments: [...attachments.values()] };
+}
+
+/**
+ * Extracts the text of a PDF or DOCX document
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} type - 'pdf' or 'docx'
+ * @returns {Promise<string>}
+ */
+async function extractDocumentText(buffer, type) {
+    if (type === 'pdf') {
+        // pdf.js reads the underlying ArrayBuffer from offset 0, so pooled Buffer slices are copied first
+        const { text } = await pdfParse(new Uint8Array(buffer));
+        return cleanText(text);
+    }
+    if (type === 'docx') {
+        const { value } = await mammoth.extractRawText({ buffer });
+        return cleanText(value);
+    }
+    throw new Error(`Unsupported document type: ${type}`);
+}
+
+/**
+ * Downloads an article's page (or the document it links to directly) and its attachments
+ * @param {Object} article - Article in the API shape
+ * @returns {Promise<{text: string, attachments: Array}>} - Attachments carry text or error
+ */
+async function fetchArticleContent(article) {
+    const page = await download(article.link, MAX_PAGE_BYTES);
+    const directType = documentType(page.url, page.contentType);
+
+    // Some announcements link straight to the PDF
+    if (directType) {
+        return {
+            text: '',
+            attachments: [{
+                url: page.url,
+                type: directType,
+                title: article.title,
+                text: await extractDocumentText(page.buffer, directType),
+                error: null
+            }]
+        };
+    }
+
+    const { text, attachments } = parseArticlePage(page.buffer.toString('utf8'), page.url);
+    for (const attachment of attachments) {
+        try {
+            const file = await download(attachment.url, MAX_ATTACHMENT_BYTES);
+            attachment.text = await extractDocumentText(file.buffer, documentType(file.url, file.contentType) || attachment.type);
+            attachment.error = null;
+        } catch (err) {
+            attachment.text = null;
+            attachment.error = err.message.substring(0, 1000);
+        }
+    }
+
+    return { text, attachments };
+}
+
+/**
+ * Combines page and attachment text into the searchable full text of an article
+ * @param {string} text - Page text
+ * @param {Array} attachments
+ * @returns {string}
+ */
+function combineFullText(text, attachments) {
+    return cleanText([text, ...attachments.filter(item => item.text).map(item => `${item.title}\n${item.text}`)]
+        .filter(Boolean)
+        .join('\n\n'));
+}
+
+/**
+ * Enriches one article and stores the result, re-running classification, deadline
+ * and reference extraction on the full content
+ * @param {Object} store - Storage backend
+ * @param {Object} article - Article in the API shape
+ * @returns {Promise<boolean>} - False when the page could not be fetched
+ */
+async function enrichArticle(store, article) {
+    try {
+        const { text, attachments } = await fetchArticleContent(article);
+        const fullText = combineFullText(text, attachments);
+        const content = { ...article, description: `${article.description}\n${fullText}` };
+
+        await store.saveEnrichment(article.id, {
+            fullText,
+            attachments,
+            topics: classify(content),
+            deadlines: articleDeadlines(content),
+            references: articleReferences(content),
+            error: null
+        });
+        logger.info(`📄 Enriched article ${article.id}: ${fullText.length} characters, ${attachments.length} attachments`);
+        return true;
+    } catch (err) {
+        // Marked as attempted so a broken page is not fetched on every run
+        await store.saveEnrichment(article.id, { error: err.message.substring(0, 1000) });
+        logger.warn(`⚠️ Enrichment failed for article ${article.id}: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Enriches a batch of articles that have not been processed yet, newest first
+ * @param {Object} store - Storage backend
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<{enriched: number, failed: number}>}
+ */
+async function runEnrichment(store, { limit = BATCH_SIZE } = {}) {
+    const articles = await store.listArticlesToEnrich(limit);
+    let enriched = 0;
+
+    for (const article of articles) {
+        if (await enrichArticle(store, article)) {
+            enriched++;
+        }
+    }
+
+    return { enriched, failed: articles.length - enriched };
+}
+
+/**
+ * Starts the background job that enriches newly ingested articles
+ * @param {Object} store - Storage backend
+ * @returns {Function} - Stops the worker
+ */
+function startEnrichmentWorker(store) {
+    let running = false;
+
+    const tick = async () => {
+        if (running || !store.isConnected()) {
+            return;
+        }
+
+        running = true;
+        try {
+            await runEnrichment(store);
+        } catch (err) {
+            logger.error('Enrichment run failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info(`⏱️ Article enrichment scheduled every ${TICK_MS / 60000} minutes`);
+    const timer = setInterval(tick, TICK_MS);
+    tick();
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    parseArticlePage,
+    extractDocumentText,
+    enrichArticle,
+    runEnrichment,
+    startEnrichmentWorker
+};
@@ -0,0 +1,235 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, ExternalHyperlink } = require('docx');
+const { ValidationError } = require('./articles');
+const { formatDate } = require('../shared/greek-dates');
+
+// Upper bound for one export; a weekly digest is well below it
+const MAX_EXPORT_ARTICLES = 1000;
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' }
+};
+
+// The standard PDF fonts have no Greek glyphs, so DejaVu is embedded instead
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const PDF_FONTS = {
+    regular: path.join(FONT_DIR, 'DejaVuSans.ttf'),
+    bold: path.join(FONT_DIR, 'DejaVuSans-Bold.ttf')
+};
+
+const CSV_COLUMNS = ['id', 'pub_date', 'source', 'category', 'topics', 'title', 'description', 'link', 'note'];
+
+/**
+ * Reads the export format
+ * @param {Object} query - Express req.query
+ * @returns {string} - Key of EXPORT_FORMATS
+ */
+function parseExportFormat(query) {
+    const format = String(query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+        throw new ValidationError(`Invalid format: ${query.format}. Use one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+const countLabel = count => `${count} ${count === 1 ? 'άρθρο' : 'άρθρα'}`;
+
+/**
+ * Line under the title: period, article count and generation time.
+ * A capped export says how many of the matching articles it holds.
+ * @param {Object[]} articles
+ * @param {Object} meta - period, total, generatedAt
+ * @returns {string}
+ */
+function summaryLine(articles, meta) {
+    const count = meta.total > articles.length
+        ? `τα ${articles.length} νεότερα από ${countLabel(meta.total)}`
+        : countLabel(articles.length);
+    return [meta.period, count, `Δημιουργήθηκε ${formatDate(meta.generatedAt)}`].filter(Boolean).join(' · ');
+}
+
+/**
+ * Describes the exported period, from the filters or else from the articles themselves
+ * @param {Object[]} articles - Articles in the API shape, newest first
+ * @param {Object} filters - Parsed listing filters
+ * @returns {string}
+ */
+function describePeriod(articles, filters) {
+    const dates = articles.filter(article => article.pub_date).map(article => new Date(article.pub_date));
+    const from = filters.from || (dates.length ? new Date(Math.min(...dates)) : null);
+    const to = filters.to || (dates.length ? new Date(Math.max(...dates)) : null);
+    return from && to ? `${formatDate(from)} – ${formatDate(to)}` : '';
+}
+
+/**
+ * Groups articles by source, keeping the order of the listing inside each group
+ * @param {Object[]} articles
+ * @returns {Array<[string, Object[]]>}
+ */
+function groupBySource(articles) {
+    const groups = new Map();
+    articles.forEach(article => {
+        const source = article.source || 'Άλλες πηγές';
+        if (!groups.has(source)) groups.set(source, []);
+        groups.get(source).push(article);
+    });
+    return [...groups.entries()];
+}
+
+/**
+ * Quotes a CSV value. Text that a spreadsheet would run as a formula (=, +, -, @, tab or
+ * carriage return first) is prefixed with an apostrophe, so feed titles cannot inject one.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    let text = Array.isArray(value) ? value.join(', ') : value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Object[]} articles - Articles in the API shape, with an optional note
+ * @returns {Buffer} - UTF-8 with a BOM so spreadsheet programs read the Greek text correctly
+ */
+function renderCsv(articles) {
+    const lines = [CSV_COLUMNS.join(',')]
+        .concat(articles.map(article => CSV_COLUMNS.map(column => csvCell(article[column])).join(',')));
+    return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Formatted digest: title and period, then the articles grouped by source
+ * @param {Object[]} articles
+ * @param {Object} meta - title, period, total, generatedAt
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf(articles, meta) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: meta.title } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.registerFont('regular', PDF_FONTS.regular);
+        doc.registerFont('bold', PDF_FONTS.bold);
+
+        doc.font('bold').fontSize(18).text(meta.title);
+        doc.font('regular').fontSize(10).fillColor('#555555')
+            .text(summaryLine(articles, meta));
+
+        if (articles.length === 0) {
+            doc.moveDown().fillColor('black').fontSize(11).text('Δεν βρέθηκαν άρθρα για τα κριτήρια της εξαγωγής.');
+        }
+
+        groupBySource(articles).forEach(([source, items]) => {
+            doc.moveDown(1.2).font('bold').fontSize(14).fillColor('#1e3a8a').text(source);
+
+            items.forEach(article => {
+                doc.moveDown(0.6).font('bold').fontSize(11).fillColor('black')
+                    .text(article.title, { link: article.link || undefined });
+                doc.font('regular').fontSize(9).fillColor('#555555')
+                    .text([formatDate(article.pub_date), ...(article.topics || [])].join(' · '));
+                if (article.description) {
+                    doc.fontSize(10).fillColor('black').text(article.description);
+                }
+                if (article.note) {
+                    doc.fontSize(10).fillColor('#1e3a8a').text(`Σημείωση: ${article.note}`);
+                }
+            });
+        });
+
+        doc.end();
+    });
+}
+
+/**
+ * Word report with the same layout as the PDF digest
+ * @param {Object[]} articles
+ * @param {Object} meta - title, period, total, generatedAt
+ * @returns {Promise<Buffer>}
+ */
+function renderDocx(articles, meta) {
+    const children = [
+        new Paragraph({ text: meta.title, heading: HeadingLevel.TITLE }),
+        new Paragraph({
+            children: [new TextRun({
+                text: summaryLine(articles, meta),
+                color: '555555'
+            })]
+        })
+    ];
+
+    if (articles.length === 0) {
+        children.push(new Paragraph('Δεν βρέθηκαν άρθρα για τα κριτήρια της εξαγωγής.'));
+    }
+
+    groupBySource(articles).forEach(([source, items]) => {
+        children.push(new Paragraph({ text: source, heading: HeadingLevel.HEADING_1 }));
+
+        items.forEach(article => {
+            const title = new TextRun({ text: article.title, bold: true, style: article.link ? 'Hyperlink' : undefined });
+            children.push(new Paragraph({
+                heading: HeadingLevel.HEADING_3,
+                children: [article.link ? new ExternalHyperlink({ link: article.link, children: [title] }) : title]
+            }));
+            children.push(new Paragraph({
+                children: [new TextRun({ text: [formatDate(article.pub_date), ...(article.topics || [])].join(' · '), color: '555555', size: 18 })]
+            }));
+            if (article.description) {
+                children.push(new Paragraph(article.description));
+            }
+            if (article.note) {
+                children.push(new Paragraph({ children: [new TextRun({ text: `Σημείωση: ${article.note}`, italics: true })] }));
+            }
+        });
+    });
+
+    const doc = new Document({
+        title: meta.title,
+        styles: { default: { document: { run: { font: 'Calibri' } } } },
+        sections: [{ children }]
+    });
+    return Packer.toBuffer(doc);
+}
+
+/**
+ * Renders articles in the requested format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object[]} articles - Articles in the API shape, with an optional note
+ * @param {Object} filters - Parsed listing filters, used for the period in the heading
+ * @param {number} [total] - Articles matching the filters, when more than MAX_EXPORT_ARTICLES did
+ * @returns {Promise<{body: Buffer, contentType: string, filename: string}>}
+ */
+async function renderExport(format, articles, filters, total = articles.length) {
+    const generatedAt = new Date();
+    const meta = {
+        title: 'Σύνοψη φορολογικών νέων',
+        period: describePeriod(articles, filters),
+        total,
+        generatedAt
+    };
+
+    const body = format === 'pdf'
+        ? await renderPdf(articles, meta)
+        : format === 'docx' ? await renderDocx(articles, meta) : renderCsv(articles);
+
+    return {
+        body,
+        contentType: EXPORT_FORMATS[format].contentType,
+        filename: `tax-news-${generatedAt.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`
+    };
+}
+
+module.exports = {
+    MAX_EXPORT_ARTICLES,
+    EXPORT_FORMATS,
+    parseExportFormat,
+    renderExport
+};
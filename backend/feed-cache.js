@@ -0,0 +1,128 @@
+const logger = require('./logger');
+const { parseFeed } = require('../shared/feed-parser');
+const { scrapeFeed } = require('./scrapers');
+const { safeFetch } = require('./safe-fetch');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.FEED_CACHE_TTL_SECONDS) || 300;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const USER_AGENT = 'GreekTaxNewsHub/1.0 (+https://github.com/tonygeo10/greek-tax-news-hub)';
+
+// url -> { etag, lastModified, expiresAt, rules, feed }
+const cache = new Map();
+
+/**
+ * Reads max-age from a Cache-Control header
+ * @param {string|null} header - Cache-Control value
+ * @returns {number|null} - Seconds, or null when absent; 0 for no-cache/no-store
+ */
+function parseMaxAge(header) {
+    if (!header) return null;
+    if (/no-cache|no-store/i.test(header)) return 0;
+    const match = header.match(/max-age=(\d+)/i);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Reads a response body as text, giving up once it grows past MAX_FEED_BYTES
+ * @param {Response} response
+ * @returns {Promise<string>}
+ * @throws {Error} - When the body is larger than MAX_FEED_BYTES
+ */
+async function readBody(response) {
+    if (parseInt(response.headers.get('content-length')) > MAX_FEED_BYTES) {
+        throw new Error(`Feed larger than ${MAX_FEED_BYTES} bytes`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_FEED_BYTES) {
+            throw new Error(`Feed larger than ${MAX_FEED_BYTES} bytes`);
+        }
+        chunks.push(chunk);
+    }
+    return new TextDecoder().decode(Buffer.concat(chunks));
+}
+
+/**
+ * Fetches and parses a feed, reusing the cached result while it is fresh and
+ * revalidating with If-None-Match/If-Modified-Since once it is stale
+ * @param {string} url - RSS/Atom/JSON Feed URL, or page URL of an "html" feed
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Freshness when the server sends no max-age; 0 always revalidates
+ * @param {Object} [options.scraper] - Scraper rules; the page is read as HTML instead of a feed
+ * @returns {Promise<{feed: Object, fromCache: boolean, notModified: boolean, status: number|null}>} - FeedParser.parseFeed
+ *   output and the HTTP status of the request, null when served from the cache
+ * @throws {Error} - With a `status` property when the server answered with an error
+ */
+async function fetchFeed(url, { ttlSeconds = DEFAULT_TTL_SECONDS, scraper = null } = {}) {
+    // Results parsed with other rules are not reused
+    const rules = scraper ? JSON.stringify(scraper) : null;
+    const cached = cache.get(url)?.rules === rules ? cache.get(url) : null;
+    if (cached && ttlSeconds > 0 && Date.now() < cached.expiresAt) {
+        return { feed: cached.feed, fromCache: true, notModified: false, status: null };
+    }
+
+    const headers = {
+        'User-Agent': USER_AGENT,
+        'Accept': scraper
+            ? 'text/html, application/xhtml+xml, */*'
+            : 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml, application/json, */*'
+    };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    // Redirects are followed by safeFetch, which checks that every hop resolves to a public address
+    const response = await safeFetch(url, {
+        headers,
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+
+    const maxAge = parseMaxAge(response.headers.get('cache-control'));
+    const expiresAt = Date.now() + (maxAge ?? ttlSeconds) * 1000;
+
+    if (response.status === 304 && cached) {
+        cached.expiresAt = expiresAt;
+        logger.debug('Feed not modified', { url });
+        return { feed: cached.feed, fromCache: true, notModified: true, status: 304 };
+    }
+
+    if (!response.ok) {
+        const err = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        err.status = response.status;
+        throw err;
+    }
+
+    const body = await readBody(response);
+    const feed = scraper
+        ? scrapeFeed(body, scraper, response.url || url)
+        : parseFeed(body, { sourceUrl: response.url || url });
+    cache.set(url, {
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        expiresAt,
+        rules,
+        feed
+    });
+
+    return { feed, fromCache: false, notModified: false, status: response.status };
+}
+
+/**
+ * Drops cached entries, e.g. after a feed URL changes
+ * @param {string} [url] - Single URL to forget; all entries when omitted
+ */
+function clearFeedCache(url) {
+    if (url) {
+        cache.delete(url);
+    } else {
+        cache.clear();
+    }
+}
+
+module.exports = {
+    fetchFeed,
+    clearFeedCache
+};
@@ -0,0 +1,328 @@
+const cheerio = require('cheerio');
+const { ValidationError } = require('./articles');
+const { parseFeed, toArticles } = require('./ingestion');
+const { fetchFeed } = require('./feed-cache');
+const { feedScraper, scrapeFeed } = require('./scrapers');
+const { sanitize } = require('../shared/html-sanitizer');
+const { isPrivateHost } = require('./safe-fetch');
+
+const PREVIEW_ITEMS = 5;
+const MIN_REFRESH_MINUTES = 5;
+const MAX_REFRESH_MINUTES = 24 * 60;
+
+const FEED_TYPES = ['rss', 'html'];
+const SCRAPER_FIELDS = ['title', 'link', 'date', 'description'];
+const MAX_SELECTOR_LENGTH = 300;
+const MAX_MARKER_LENGTH = 100;
+
+/**
+ * Validates a URL the server will request: absolute http(s), no credentials, not a local address
+ * @param {string} value - URL supplied by the client
+ * @param {string} [label] - Resource name for error messages
+ * @returns {string} - Normalized URL
+ */
+function validatePublicUrl(value, label = 'Feed') {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new ValidationError(`${label} "url" is required`);
+    }
+
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch {
+        throw new ValidationError(`Invalid ${label.toLowerCase()} URL: ${value}`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ValidationError(`${label} URL must use http or https`);
+    }
+    if (url.username || url.password) {
+        throw new ValidationError(`${label} URL must not contain credentials`);
+    }
+    if (isPrivateHost(url.hostname)) {
+        throw new ValidationError(`${label} URL must not point to a local or private address`);
+    }
+
+    return url.toString();
+}
+
+/**
+ * Validates a feed URL
+ * @param {string} value - URL supplied by the client
+ * @returns {string} - Normalized URL
+ */
+function validateFeedUrl(value) {
+    return validatePublicUrl(value, 'Feed');
+}
+
+/**
+ * Normalizes one field rule: a selector string, or {selector, attribute, after, before}.
+ * A missing selector reads the item element itself. "after" and "before" are plain text
+ * markers that cut the value, e.g. { "after": "Ημερομηνία:", "before": "|" }; rules take no
+ * regular expressions, so a rule cannot make scraping run for long.
+ * @param {string|Object} rule
+ * @param {string} name - Field name for error messages
+ * @returns {{selector: string|null, attribute: string|null, after: string|null, before: string|null}}
+ */
+function normalizeFieldRule(rule, name) {
+    const value = typeof rule === 'string' ? { selector: rule } : rule;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ValidationError(`Scraper rule "${name}" must be a selector or an object with selector, attribute, after and before`);
+    }
+    if (value.pattern !== undefined) {
+        throw new ValidationError(`Scraper rule "${name}.pattern" is not supported; cut the text with "after" and "before"`);
+    }
+
+    const normalized = { selector: null, attribute: null, after: null, before: null };
+
+    if (value.selector !== undefined && value.selector !== null && value.selector !== '') {
+        normalized.selector = validateSelector(value.selector, name);
+    }
+    if (value.attribute !== undefined && value.attribute !== null) {
+        if (typeof value.attribute !== 'string' || !/^[\w:-]{1,50}$/.test(value.attribute)) {
+            throw new ValidationError(`Scraper rule "${name}.attribute" must be an attribute name`);
+        }
+        normalized.attribute = value.attribute;
+    }
+    ['after', 'before'].forEach(marker => {
+        if (value[marker] !== undefined && value[marker] !== null) {
+            if (typeof value[marker] !== 'string' || !value[marker] || value[marker].length > MAX_MARKER_LENGTH) {
+                throw new ValidationError(`Scraper rule "${name}.${marker}" must be text of 1 to ${MAX_MARKER_LENGTH} characters`);
+            }
+            normalized[marker] = value[marker];
+        }
+    });
+
+    return normalized;
+}
+
+function validateSelector(selector, name) {
+    if (typeof selector !== 'string' || !selector.trim() || selector.length > MAX_SELECTOR_LENGTH) {
+        throw new ValidationError(`Scraper rule "${name}" needs a CSS selector of at most ${MAX_SELECTOR_LENGTH} characters`);
+    }
+    try {
+        cheerio.load('<div></div>')('div').find(selector);
+    } catch (err) {
+        throw new ValidationError(`Scraper rule "${name}" has an invalid selector: ${err.message}`);
+    }
+    return selector.trim();
+}
+
+/**
+ * Validates the scraper rules of an "html" feed. Example for a listing of announcements:
+ * {
+ *   "item": "ul.announcements > li",
+ *   "title": "a",
+ *   "link": { "selector": "a", "attribute": "href" },
+ *   "date": { "selector": ".meta", "after": "Ημερομηνία:", "before": "|" },
+ *   "description": "p.summary"
+ * }
+ * @param {Object} rules
+ * @returns {Object} - Rules with every field in the normalized object form
+ */
+function validateScraperRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new ValidationError('Scraper "rules" must be an object');
+    }
+
+    const normalized = { item: validateSelector(rules.item, 'item') };
+    if (rules.title === undefined) {
+        throw new ValidationError('Scraper rule "title" is required');
+    }
+
+    SCRAPER_FIELDS.forEach(name => {
+        if (rules[name] !== undefined && rules[name] !== null) {
+            normalized[name] = normalizeFieldRule(rules[name], name);
+        }
+    });
+
+    // Listings link each entry through its first anchor unless told otherwise
+    normalized.link = normalized.link || { selector: 'a', attribute: 'href', after: null, before: null };
+    if (!normalized.link.attribute) {
+        normalized.link.attribute = 'href';
+    }
+
+    const unknown = Object.keys(rules).filter(key => key !== 'item' && !SCRAPER_FIELDS.includes(key));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown scraper rules: ${unknown.join(', ')}`);
+    }
+
+    return normalized;
+}
+
+/**
+ * Validates a feed create/update body and maps it to RSSFeeds columns
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Allow missing fields (PATCH)
+ * @param {Object} [options.existing] - Current row when updating, for the type/rules check and re-enabling
+ * @returns {Object} - Column values to write
+ */
+function validateFeedInput(body, { partial = false, existing = null } = {}) {
+    if (!body || typeof body !== 'object') {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+
+    if (body.name !== undefined || !partial) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            throw new ValidationError('Feed "name" is required');
+        }
+        fields.FeedName = body.name.trim().substring(0, 200);
+    }
+
+    if (body.url !== undefined || !partial) {
+        fields.FeedURL = validateFeedUrl(body.url);
+    }
+
+    if (body.category !== undefined) {
+        if (body.category !== null && typeof body.category !== 'string') {
+            throw new ValidationError('Feed "category" must be a string');
+        }
+        fields.Category = body.category ? body.category.trim().substring(0, 100) : null;
+    }
+
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') {
+            throw new ValidationError('Feed "isActive" must be a boolean');
+        }
+        fields.IsActive = body.isActive;
+        // Re-enabling a feed, e.g. one disabled after repeated failures, starts its backoff over
+        if (body.isActive && existing && !existing.IsActive) {
+            fields.ConsecutiveFailures = 0;
+            fields.AutoDisabledAt = null;
+        }
+    } else if (!partial) {
+        fields.IsActive = true;
+    }
+
+    if (body.refreshIntervalMinutes !== undefined) {
+        const minutes = body.refreshIntervalMinutes;
+        if (minutes !== null && (!Number.isInteger(minutes) || minutes < MIN_REFRESH_MINUTES || minutes > MAX_REFRESH_MINUTES)) {
+            throw new ValidationError(`Feed "refreshIntervalMinutes" must be an integer between ${MIN_REFRESH_MINUTES} and ${MAX_REFRESH_MINUTES}`);
+        }
+        fields.RefreshIntervalMinutes = minutes;
+    }
+
+    if (body.type !== undefined) {
+        if (!FEED_TYPES.includes(body.type)) {
+            throw new ValidationError(`Feed "type" must be one of ${FEED_TYPES.join(', ')}`);
+        }
+        fields.FeedType = body.type;
+    } else if (!partial) {
+        fields.FeedType = 'rss';
+    }
+
+    if (body.rules !== undefined) {
+        fields.ScraperRules = body.rules === null ? null : JSON.stringify(validateScraperRules(body.rules));
+    }
+
+    const type = fields.FeedType || (existing && existing.FeedType) || 'rss';
+    const rules = fields.ScraperRules !== undefined ? fields.ScraperRules : existing && existing.ScraperRules;
+    if (type === 'html' && !rules) {
+        throw new ValidationError('Feeds of type "html" need scraper "rules"');
+    }
+
+    if (Object.keys(fields).length === 0) {
+        throw new ValidationError('No feed fields to update');
+    }
+
+    return fields;
+}
+
+/**
+ * Dry-run fetch and parse of a feed URL, without storing anything
+ * @param {string} url - Validated feed URL
+ * @param {Object} [options]
+ * @param {Object} [options.scraper] - Scraper rules of an "html" feed
+ * @param {string} [options.html] - Saved copy of the page to scrape instead of fetching it
+ * @returns {Promise<Object>} - Feed title, item count and the first items
+ */
+async function previewFeed(url, { scraper = null, html = null } = {}) {
+    let parsed;
+    try {
+        parsed = html !== null
+            ? toArticles(scrapeFeed(html, scraper, url))
+            : await parseFeed(url, { scraper });
+    } catch (err) {
+        throw new ValidationError(scraper
+            ? `Page could not be scraped: ${err.message}`
+            : `URL is not a readable RSS, Atom or JSON feed: ${err.message}`, 422);
+    }
+
+    if (parsed.articles.length === 0) {
+        throw new ValidationError(scraper ? 'Scraper rules matched no items' : 'Feed contains no items', 422);
+    }
+
+    return {
+        title: parsed.title,
+        item_count: parsed.articles.length,
+        items: parsed.articles.slice(0, PREVIEW_ITEMS).map(article => ({
+            title: article.title,
+            description: article.description,
+            link: article.link,
+            pub_date: article.publishDate
+        }))
+    };
+}
+
+/**
+ * Normalizes a URL for allowlist comparison
+ * @param {string} value - URL
+ * @returns {string|null}
+ */
+function canonicalUrl(value) {
+    try {
+        return new URL(value).toString();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetches a registered feed on behalf of the browser and returns its items as JSON.
+ * Only URLs of feeds in RSSFeeds are allowed, so this cannot be used as an open proxy.
+ * @param {string} url - Requested feed URL
+ * @param {Array} feeds - Registered RSSFeeds rows
+ * @returns {Promise<Object>} - Feed metadata and the items of FeedParser.parseFeed, with sanitized content
+ */
+async function proxyFeed(url, feeds) {
+    const requested = canonicalUrl(url);
+    if (!requested) {
+        throw new ValidationError(`Invalid feed URL: ${url}`);
+    }
+
+    const registered = feeds.find(feed => canonicalUrl(feed.FeedURL) === requested);
+    if (!registered) {
+        throw new ValidationError('URL is not a registered feed', 403);
+    }
+
+    let parsed;
+    try {
+        ({ feed: parsed } = await fetchFeed(registered.FeedURL, { scraper: feedScraper(registered) }));
+    } catch (err) {
+        throw new ValidationError(`Upstream feed could not be fetched: ${err.message}`, 502);
+    }
+
+    return {
+        status: 'ok',
+        feed: {
+            id: registered.FeedID,
+            name: registered.FeedName,
+            title: parsed.title || '',
+            url: registered.FeedURL
+        },
+        // Item bodies leave the backend sanitized, like the stored ones
+        items: parsed.items.map(item => ({ ...item, content: sanitize(item.content, { baseUrl: item.link || parsed.link }) }))
+    };
+}
+
+module.exports = {
+    validatePublicUrl,
+    validateFeedUrl,
+    validateScraperRules,
+    validateFeedInput,
+    previewFeed,
+    proxyFeed
+};
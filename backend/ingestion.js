@@ -0,0 +1,258 @@
+const logger = require('./logger');
+const { fetchFeed } = require('./feed-cache');
+const { classify } = require('./classifier');
+const { articleDeadlines } = require('./deadlines');
+const { articleReferences } = require('./references');
+const { feedScraper } = require('./scrapers');
+const { sanitize } = require('../shared/html-sanitizer');
+
+const DEFAULT_INTERVAL_MINUTES = 30;
+const TICK_MS = 60 * 1000;
+
+// Failing feeds wait twice as long after each failure, up to a day
+const MAX_BACKOFF_MINUTES = 24 * 60;
+const DEFAULT_DISABLE_AFTER_FAILURES = 10;
+
+// A feed without a successful fetch for this many refresh intervals is stale
+const STALE_AFTER_INTERVALS = 3;
+
+/**
+ * Builds the stable key used to upsert an item into Articles
+ * @param {Object} item - Item of FeedParser.createItem
+ * @returns {string|null} - GUID, falling back to the item link
+ */
+function getItemGuid(item) {
+    const guid = item.guid || item.link;
+    return guid ? String(guid).trim().substring(0, 500) : null;
+}
+
+/**
+ * Maps parsed feed items to article records
+ * @param {Object} parsed - FeedParser.parseFeed output, or scrapers.scrapeFeed output
+ * @returns {{title: string, articles: Array}} - Records with guid, title, description, contentHtml, link, publishDate;
+ *   contentHtml is the sanitized item body, null when the item has none
+ */
+function toArticles(parsed) {
+    const articles = [];
+
+    for (const item of parsed.items) {
+        const guid = getItemGuid(item);
+        if (!guid) {
+            logger.warn('Skipping feed item without guid or link', { title: item.title });
+            continue;
+        }
+
+        articles.push({
+            guid,
+            title: item.title.substring(0, 500),
+            description: item.description,
+            contentHtml: sanitize(item.content, { baseUrl: item.link || parsed.link }) || null,
+            link: item.link,
+            publishDate: item.pub_date
+        });
+    }
+
+    return { title: parsed.title || '', articles };
+}
+
+/**
+ * Fetches and parses a feed URL, mapping its items to article records
+ * @param {string} url - RSS/Atom/JSON Feed URL, or page URL of an "html" feed
+ * @param {Object} [options] - Passed to feed-cache fetchFeed
+ * @returns {Promise<{title: string, articles: Array, notModified: boolean}>}
+ */
+async function parseFeed(url, options) {
+    const { feed: parsed, notModified, status } = await fetchFeed(url, options);
+    return { ...toArticles(parsed), notModified, status };
+}
+
+/**
+ * Minutes to wait after the last fetch of a feed: its refresh interval,
+ * doubled for every consecutive failure up to MAX_BACKOFF_MINUTES
+ * @param {Object} feed - Row of RSSFeeds
+ * @param {number} defaultIntervalMinutes - Interval for feeds without RefreshIntervalMinutes
+ * @returns {number}
+ */
+function fetchIntervalMinutes(feed, defaultIntervalMinutes) {
+    const intervalMinutes = feed.RefreshIntervalMinutes || defaultIntervalMinutes;
+    const failures = feed.ConsecutiveFailures || 0;
+    return Math.max(intervalMinutes, Math.min(intervalMinutes * 2 ** failures, MAX_BACKOFF_MINUTES));
+}
+
+/**
+ * Time of the next scheduled fetch of a feed
+ * @param {Object} feed - Row of RSSFeeds
+ * @param {number} defaultIntervalMinutes - Interval for feeds without RefreshIntervalMinutes
+ * @returns {Date|null} - Null when the feed was never fetched
+ */
+function nextFetchAt(feed, defaultIntervalMinutes) {
+    if (!feed.LastFetchedAt) return null;
+    return new Date(new Date(feed.LastFetchedAt).getTime() + fetchIntervalMinutes(feed, defaultIntervalMinutes) * 60 * 1000);
+}
+
+/**
+ * Checks whether a feed's refresh interval, with backoff after failures, has elapsed since its last fetch
+ * @param {Object} feed - Row of RSSFeeds
+ * @param {number} defaultIntervalMinutes - Interval for feeds without RefreshIntervalMinutes
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isFeedDue(feed, defaultIntervalMinutes, now = new Date()) {
+    const next = nextFetchAt(feed, defaultIntervalMinutes);
+    return !next || now >= next;
+}
+
+/**
+ * Classifies the fetch health of a feed
+ * @param {Object} feed - Row of RSSFeeds
+ * @param {Object} [options]
+ * @param {number} [options.defaultIntervalMinutes]
+ * @param {Date} [options.now]
+ * @returns {string} - 'disabled', 'pending' (never fetched), 'failing', 'stale' or 'ok'
+ */
+function feedHealth(feed, { defaultIntervalMinutes = DEFAULT_INTERVAL_MINUTES, now = new Date() } = {}) {
+    if (!feed.IsActive) return 'disabled';
+    if (!feed.LastFetchedAt) return 'pending';
+    if (feed.ConsecutiveFailures > 0) return 'failing';
+
+    const intervalMinutes = feed.RefreshIntervalMinutes || defaultIntervalMinutes;
+    const lastSuccess = feed.LastSuccessAt ? new Date(feed.LastSuccessAt) : null;
+    if (!lastSuccess || now - lastSuccess > STALE_AFTER_INTERVALS * intervalMinutes * 60 * 1000) return 'stale';
+    return 'ok';
+}
+
+const toIso = value => (value ? new Date(value).toISOString() : null);
+
+/**
+ * Maps a feed row and its recent fetches to the /api/feeds/status shape
+ * @param {Object} feed - Row of RSSFeeds
+ * @param {Array} fetches - FeedFetches rows of the feed, newest first
+ * @param {Object} [options] - As for feedHealth
+ * @returns {Object}
+ */
+function toApiFeedStatus(feed, fetches, options = {}) {
+    const defaultIntervalMinutes = options.defaultIntervalMinutes || DEFAULT_INTERVAL_MINUTES;
+    return {
+        id: feed.FeedID,
+        name: feed.FeedName,
+        url: feed.FeedURL,
+        category: feed.Category || null,
+        type: feed.FeedType || 'rss',
+        active: Boolean(feed.IsActive),
+        health: feedHealth(feed, { ...options, defaultIntervalMinutes }),
+        last_fetched_at: toIso(feed.LastFetchedAt),
+        last_success_at: toIso(feed.LastSuccessAt),
+        last_status: feed.LastFetchStatus || null,
+        last_error: feed.LastFetchError || null,
+        last_http_status: feed.LastHttpStatus ?? null,
+        last_item_count: feed.LastItemCount ?? null,
+        last_latency_ms: feed.LastLatencyMs ?? null,
+        consecutive_failures: feed.ConsecutiveFailures || 0,
+        next_fetch_at: feed.IsActive ? toIso(nextFetchAt(feed, defaultIntervalMinutes)) : null,
+        auto_disabled_at: toIso(feed.AutoDisabledAt),
+        history: fetches.map(row => ({
+            fetched_at: toIso(row.FetchedAt),
+            status: row.Status,
+            http_status: row.HttpStatus ?? null,
+            item_count: row.ItemCount ?? null,
+            latency_ms: row.LatencyMs ?? null,
+            error: row.Error || null
+        }))
+    };
+}
+
+/**
+ * Fetches active feeds and writes their items into Articles
+ * @param {Object} store - Repository from storage/createStore
+ * @param {Object} [options]
+ * @param {number} [options.defaultIntervalMinutes] - When set, only feeds whose refresh interval elapsed are fetched
+ * @param {number} [options.disableAfterFailures] - Consecutive failures after which a feed is deactivated
+ * @returns {Promise<Array>} - Per-feed results
+ */
+async function runIngestion(store, { defaultIntervalMinutes, disableAfterFailures = DEFAULT_DISABLE_AFTER_FAILURES } = {}) {
+    const feeds = (await store.listFeeds({ activeOnly: true }))
+        .filter(feed => !defaultIntervalMinutes || isFeedDue(feed, defaultIntervalMinutes));
+    const results = [];
+
+    for (const feed of feeds) {
+        const startedAt = Date.now();
+        try {
+            // Always revalidate; unchanged feeds answer 304 and are not re-written
+            const { articles, notModified, status } = await parseFeed(feed.FeedURL, { ttlSeconds: 0, scraper: feedScraper(feed) });
+            const inserted = notModified ? 0 : await store.upsertArticles(feed, articles.map(article => ({
+                ...article,
+                topics: classify(article),
+                deadlines: articleDeadlines(article),
+                references: articleReferences(article)
+            })));
+            const itemCount = articles.length;
+            await store.recordFeedStatus(feed.FeedID, {
+                status: 'ok', itemCount, httpStatus: status, latencyMs: Date.now() - startedAt
+            });
+            logger.info(`📥 Ingested ${feed.FeedName}: ${inserted} new of ${itemCount} items`);
+            results.push({ feedId: feed.FeedID, status: 'ok', itemCount, inserted });
+        } catch (err) {
+            logger.error(`❌ Ingestion failed for ${feed.FeedName}:`, { feedId: feed.FeedID, error: err.message });
+            try {
+                const updated = await store.recordFeedStatus(feed.FeedID, {
+                    status: 'error', error: err.message, httpStatus: err.status || null, latencyMs: Date.now() - startedAt
+                });
+                if (updated && updated.ConsecutiveFailures >= disableAfterFailures) {
+                    await store.updateFeed(feed.FeedID, { IsActive: false, AutoDisabledAt: new Date() });
+                    logger.warn(`⚠️ Disabled ${feed.FeedName} after ${updated.ConsecutiveFailures} consecutive failures`, { feedId: feed.FeedID });
+                }
+            } catch (statusErr) {
+                logger.error('Failed to record feed status:', statusErr);
+            }
+            results.push({ feedId: feed.FeedID, status: 'error', error: err.message });
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Starts the periodic ingestion job. Feeds are checked every minute and fetched
+ * once their own RefreshIntervalMinutes (or the default interval) has elapsed.
+ * @param {Object} store - Repository from storage/createStore
+ * @param {Object} [options]
+ * @param {number} [options.intervalMinutes] - Default refresh interval per feed
+ * @param {number} [options.disableAfterFailures] - Consecutive failures after which a feed is deactivated
+ * @returns {Function} - Stops the job
+ */
+function startIngestionWorker(store, { intervalMinutes = DEFAULT_INTERVAL_MINUTES, disableAfterFailures } = {}) {
+    let running = false;
+
+    const tick = async () => {
+        if (running || !store.isConnected()) {
+            return;
+        }
+
+        running = true;
+        try {
+            await runIngestion(store, { defaultIntervalMinutes: intervalMinutes, disableAfterFailures });
+        } catch (err) {
+            logger.error('Ingestion run failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info(`⏱️ Feed ingestion scheduled (default refresh every ${intervalMinutes} minutes)`);
+    const timer = setInterval(tick, TICK_MS);
+    tick();
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    DEFAULT_INTERVAL_MINUTES,
+    getItemGuid,
+    toArticles,
+    parseFeed,
+    isFeedDue,
+    feedHealth,
+    toApiFeedStatus,
+    runIngestion,
+    startIngestionWorker
+};
@@ -0,0 +1,43 @@
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+/**
+ * Creates the SMTP transport used for alert emails.
+ * SMTP_HOST and SMTP_PORT point at the relay (or a local sink such as MailHog in development),
+ * SMTP_SECURE=true enables implicit TLS and SMTP_USER/SMTP_PASS are optional credentials.
+ * @param {Object} env - Environment variables
+ * @returns {{from: string, send: Function}|null} - Null when SMTP is not configured
+ */
+function createMailer(env = process.env) {
+    if (!env.SMTP_HOST) {
+        return null;
+    }
+
+    const transport = nodemailer.createTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+        connectionTimeout: 10000
+    });
+    const from = env.MAIL_FROM || 'Greek Tax News Hub <no-reply@localhost>';
+
+    logger.info(`📧 SMTP transport configured (${env.SMTP_HOST}:${parseInt(env.SMTP_PORT) || 587})`);
+
+    return {
+        from,
+
+        /**
+         * Sends one message
+         * @param {Object} message - to, subject, text, html and optional headers
+         * @returns {Promise<Object>} - Transport info
+         */
+        send(message) {
+            return transport.sendMail({ from, ...message });
+        }
+    };
+}
+
+module.exports = {
+    createMailer
+};
@@ -0,0 +1,104 @@
+const { ValidationError } = require('./articles');
+
+// Citation forms of Greek tax legislation; Latin look-alike letters are accepted because
+// copied texts often mix them in. Circulars (Ε.) and decisions (Α.) need the dot and a
+// four-digit year, since a bare capital letter before a number is common in other contexts.
+const REFERENCE_TYPES = [
+    {
+        kind: 'law',
+        prefix: 'Ν',
+        pattern: /(?<![\p{L}\p{N}.])(?:ν|n|νόμου|νόμος|νόμο|νομου|νομος|νομο)\.?\s?(\d{1,4})\s?\/\s?(\d{4}|\d{2})(?![\p{N}/])/giu
+    },
+    {
+        kind: 'pol',
+        prefix: 'ΠΟΛ',
+        pattern: /(?<![\p{L}\p{N}.])(?:π[οo]λ|p[oο]l)\.?\s?(\d{1,4})\s?\/\s?(\d{4}|\d{2})(?![\p{N}/])/giu
+    },
+    {
+        kind: 'circular',
+        prefix: 'Ε',
+        pattern: /(?<![\p{L}\p{N}.])[ΕE]\.\s?(\d{1,5})\s?\/\s?(\d{4})(?![\p{N}/])/gu
+    },
+    {
+        kind: 'decision',
+        prefix: 'Α',
+        pattern: /(?<![\p{L}\p{N}.])[ΑA]\.\s?(\d{1,5})\s?\/\s?(\d{4})(?![\p{N}/])/gu
+    }
+];
+
+// Government Gazette issues ("ΦΕΚ Α.123/2020") look like decisions but are not references
+const GAZETTE_PREFIX = /(φεκ|φ\.ε\.κ\.)\s*$/iu;
+
+/**
+ * Expands a two-digit year ("ν. 2238/94") to four digits
+ * @param {string} value
+ * @returns {number}
+ */
+function fullYear(value) {
+    const year = parseInt(value);
+    if (value.length === 4) return year;
+    return year > new Date().getUTCFullYear() % 100 + 1 ? 1900 + year : 2000 + year;
+}
+
+/**
+ * Finds citations of laws, ΠΟΛ circulars, Ε. circulars and Α. decisions in text
+ * ("Ν. 5246/2025", "ΠΟΛ.1100/2015", "Ε.2045/2025", "Α.1123/2024")
+ * @param {string} text
+ * @returns {Array<{reference: string, kind: string, number: number, year: number}>} - Distinct references in order of appearance
+ */
+function extractReferences(text) {
+    const source = String(text || '');
+    const found = [];
+
+    REFERENCE_TYPES.forEach(({ kind, prefix, pattern }) => {
+        for (const match of source.matchAll(pattern)) {
+            if (GAZETTE_PREFIX.test(source.slice(Math.max(match.index - 8, 0), match.index))) continue;
+
+            const number = parseInt(match[1]);
+            const year = fullYear(match[2]);
+            if (number === 0 || year < 1900) continue;
+
+            found.push({ index: match.index, reference: `${prefix}.${number}/${year}`, kind, number, year });
+        }
+    });
+
+    const seen = new Set();
+    return found
+        .sort((a, b) => a.index - b.index)
+        .filter(({ reference }) => !seen.has(reference) && seen.add(reference))
+        .map(({ index, ...reference }) => reference);
+}
+
+/**
+ * Extracts the references cited by an article record
+ * @param {Object} article - Record with title and description
+ * @returns {Array}
+ */
+function articleReferences(article) {
+    return extractReferences(`${article.title || ''}\n${article.description || ''}`);
+}
+
+/**
+ * Parses a reference given in a URL. Besides the canonical form, dashes may replace
+ * the slash and Latin letters the Greek prefix ("N.4172-2013", "pol-1100-2015").
+ * @param {string} value - Raw path parameter
+ * @returns {Object} - Reference as returned by extractReferences
+ */
+function parseReference(value) {
+    const candidate = String(value || '')
+        .trim()
+        .toUpperCase()
+        .replace(/^([^\d]+?)[\s._-]*(\d+)[\s/_-]+(\d{2,4})$/u, '$1.$2/$3');
+    const [reference] = extractReferences(candidate);
+
+    if (!reference) {
+        throw new ValidationError(`Invalid reference: ${value}. Use forms like Ν.4172/2013, ΠΟΛ.1100/2015, Ε.2045/2025 or Α.1123/2024`);
+    }
+    return reference;
+}
+
+module.exports = {
+    extractReferences,
+    articleReferences,
+    parseReference
+};
@@ -0,0 +1,138 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address, possibly with an embedded IPv4 tail
+ * @returns {number[]}
+ */
+function ipv6Groups(address) {
+    let text = address.toLowerCase().split('%')[0];
+    const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4) {
+        const [a, b, c, d] = v4[1].split('.').map(Number);
+        text = text.slice(0, -v4[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = text.includes('::') ? 8 - headGroups.length - tailGroups.length : 0;
+    return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16) || 0);
+}
+
+function isPrivateIPv4(address) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127
+        || (a === 100 && b >= 64 && b <= 127)
+        || (a === 169 && b === 254)
+        || (a === 172 && b >= 16 && b <= 31)
+        || (a === 192 && b === 0)
+        || (a === 192 && b === 168)
+        || (a === 198 && (b === 18 || b === 19))
+        || a >= 224;
+}
+
+/**
+ * Checks whether an IP address belongs to the local machine, a private or shared network,
+ * or a reserved range. IPv4 addresses mapped or translated into IPv6 are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        return isPrivateIPv4(address);
+    }
+    if (!net.isIPv6(address)) {
+        return true;
+    }
+
+    const groups = ipv6Groups(address);
+    const embeddedV4 = `${groups[6] >> 8}.${groups[6] & 255}.${groups[7] >> 8}.${groups[7] & 255}`;
+    // ::ffff:a.b.c.d (mapped) and ::a.b.c.d (compatible)
+    if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0xffff || groups[5] === 0)) {
+        return groups[5] === 0 && groups[6] === 0 && groups[7] <= 1 ? true : isPrivateIPv4(embeddedV4);
+    }
+    // 64:ff9b::a.b.c.d (NAT64)
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+        return isPrivateIPv4(embeddedV4);
+    }
+
+    return (groups[0] & 0xfe00) === 0xfc00   // fc00::/7 unique local
+        || (groups[0] & 0xffc0) === 0xfe80    // fe80::/10 link local
+        || (groups[0] & 0xff00) === 0xff00;   // ff00::/8 multicast
+}
+
+/**
+ * Checks whether a hostname is a local name or a literal local/private address.
+ * Names are not resolved; see assertPublicHost for that.
+ * @param {string} hostname - URL hostname
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase().replace(/\.$/, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+        return true;
+    }
+    return net.isIP(host) ? isPrivateAddress(host) : false;
+}
+
+/**
+ * Resolves a hostname and rejects it when any of its addresses is local or private,
+ * so names such as localtest.me that point at 127.0.0.1 are caught as well
+ * @param {string} hostname - URL hostname
+ * @throws {Error} - When the host is private or cannot be resolved
+ */
+async function assertPublicHost(hostname) {
+    if (isPrivateHost(hostname)) {
+        throw new Error(`Refusing to fetch from local or private address ${hostname}`);
+    }
+
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true, verbatim: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+        throw new Error(`Refusing to fetch from ${hostname}: it resolves to private address ${blocked.address}`);
+    }
+}
+
+/**
+ * fetch() for URLs that come from users or feed content. Every hop, the first request and each
+ * redirect, must be http(s) and resolve to public addresses only; redirects are followed by hand.
+ * @param {string} url - Absolute http(s) URL
+ * @param {Object} [options] - fetch options; with `redirect: 'manual'` a redirect response is
+ *   returned as is, otherwise redirects are followed
+ * @returns {Promise<Response>} - Final response; response.url is the URL that answered
+ * @throws {Error} - When a hop is refused or there are more than MAX_REDIRECTS redirects
+ */
+async function safeFetch(url, options = {}) {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const parsed = new URL(current);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error(`Refusing to fetch ${current}: only http and https are allowed`);
+        }
+        await assertPublicHost(parsed.hostname);
+
+        const response = await fetch(current, { ...options, redirect: 'manual' });
+        const location = response.headers.get('location');
+        if (!REDIRECT_STATUSES.has(response.status) || !location || options.redirect === 'manual') {
+            return response;
+        }
+
+        await response.body?.cancel();
+        current = new URL(location, current).toString();
+    }
+
+    throw new Error(`Too many redirects fetching ${url}`);
+}
+
+module.exports = {
+    isPrivateAddress,
+    isPrivateHost,
+    assertPublicHost,
+    safeFetch
+};
@@ -0,0 +1,301 @@
+-- Greek Tax News Hub database schema (SQL Server)
+-- Safe to run repeatedly: tables and columns are only created when missing.
+
+IF OBJECT_ID('dbo.RSSFeeds', 'U') IS NULL
+BEGIN
+    CREATE TABLE RSSFeeds (
+        FeedID INT IDENTITY(1,1) PRIMARY KEY,
+        FeedName NVARCHAR(200) NOT NULL,
+        FeedURL NVARCHAR(1000) NOT NULL,
+        Category NVARCHAR(100) NULL,
+        IsActive BIT NOT NULL DEFAULT 1
+    );
+END
+GO
+
+-- Last fetch status written by the ingestion worker
+IF COL_LENGTH('RSSFeeds', 'LastFetchedAt') IS NULL
+    ALTER TABLE RSSFeeds ADD
+        LastFetchedAt DATETIME2 NULL,
+        LastFetchStatus NVARCHAR(20) NULL,
+        LastFetchError NVARCHAR(1000) NULL,
+        LastItemCount INT NULL;
+GO
+
+-- Per-feed refresh interval; NULL uses INGEST_INTERVAL_MINUTES
+IF COL_LENGTH('RSSFeeds', 'RefreshIntervalMinutes') IS NULL
+    ALTER TABLE RSSFeeds ADD RefreshIntervalMinutes INT NULL;
+GO
+
+-- 'rss' for RSS/Atom; 'html' pages are scraped with the JSON selector rules in ScraperRules
+IF COL_LENGTH('RSSFeeds', 'FeedType') IS NULL
+    ALTER TABLE RSSFeeds ADD
+        FeedType NVARCHAR(20) NOT NULL CONSTRAINT DF_RSSFeeds_FeedType DEFAULT 'rss',
+        ScraperRules NVARCHAR(MAX) NULL;
+GO
+
+-- Fetch health: failures back off the refresh interval and deactivate the feed after too many in a row
+IF COL_LENGTH('RSSFeeds', 'ConsecutiveFailures') IS NULL
+    ALTER TABLE RSSFeeds ADD
+        LastSuccessAt DATETIME2 NULL,
+        LastHttpStatus INT NULL,
+        LastLatencyMs INT NULL,
+        ConsecutiveFailures INT NOT NULL CONSTRAINT DF_RSSFeeds_ConsecutiveFailures DEFAULT 0,
+        AutoDisabledAt DATETIME2 NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_RSSFeeds_FeedURL')
+    CREATE UNIQUE INDEX UX_RSSFeeds_FeedURL ON RSSFeeds (FeedURL);
+GO
+
+-- Recent fetches of each feed, pruned to the latest ones by the ingestion worker
+IF OBJECT_ID('dbo.FeedFetches', 'U') IS NULL
+BEGIN
+    CREATE TABLE FeedFetches (
+        FetchID INT IDENTITY(1,1) PRIMARY KEY,
+        FeedID INT NOT NULL REFERENCES RSSFeeds(FeedID),
+        FetchedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        Status NVARCHAR(20) NOT NULL,
+        HttpStatus INT NULL,
+        ItemCount INT NULL,
+        LatencyMs INT NULL,
+        Error NVARCHAR(1000) NULL
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_FeedFetches_Feed')
+    CREATE INDEX IX_FeedFetches_Feed ON FeedFetches (FeedID, FetchID DESC);
+GO
+
+IF OBJECT_ID('dbo.Articles', 'U') IS NULL
+BEGIN
+    CREATE TABLE Articles (
+        ArticleID INT IDENTITY(1,1) PRIMARY KEY,
+        FeedID INT NOT NULL REFERENCES RSSFeeds(FeedID),
+        Guid NVARCHAR(500) NOT NULL,
+        Title NVARCHAR(500) NOT NULL,
+        Description NVARCHAR(MAX) NULL,
+        Link NVARCHAR(1000) NULL,
+        PublishDate DATETIME2 NULL,
+        Category NVARCHAR(100) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        UpdatedAt DATETIME2 NULL
+    );
+END
+GO
+
+IF COL_LENGTH('Articles', 'Guid') IS NULL
+    ALTER TABLE Articles ADD Guid NVARCHAR(500) NULL, UpdatedAt DATETIME2 NULL;
+GO
+
+-- Topic tags assigned by the classifier, stored as '|ΦΠΑ|myDATA|'
+IF COL_LENGTH('Articles', 'Topics') IS NULL
+    ALTER TABLE Articles ADD Topics NVARCHAR(500) NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_Articles_Feed_Guid')
+    CREATE UNIQUE INDEX UX_Articles_Feed_Guid ON Articles (FeedID, Guid) WHERE Guid IS NOT NULL;
+GO
+
+-- Items without a readable date keep a NULL PublishDate instead of the time they were fetched.
+-- The indexes on the column are dropped for the change and recreated below.
+IF COLUMNPROPERTY(OBJECT_ID('dbo.Articles'), 'PublishDate', 'AllowsNull') = 0
+BEGIN
+    DROP INDEX IF EXISTS IX_Articles_PublishDate ON Articles;
+    DROP INDEX IF EXISTS IX_Articles_Unenriched ON Articles;
+    ALTER TABLE Articles ALTER COLUMN PublishDate DATETIME2 NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Articles_PublishDate')
+    CREATE INDEX IX_Articles_PublishDate ON Articles (PublishDate DESC);
+GO
+
+-- Deadlines extracted from article text, replaced whenever the article is refreshed
+IF OBJECT_ID('dbo.Deadlines', 'U') IS NULL
+BEGIN
+    CREATE TABLE Deadlines (
+        DeadlineID INT IDENTITY(1,1) PRIMARY KEY,
+        ArticleID INT NOT NULL REFERENCES Articles(ArticleID),
+        DueDate DATE NOT NULL,
+        Kind NVARCHAR(20) NOT NULL,
+        Description NVARCHAR(500) NULL
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Deadlines_DueDate')
+    CREATE INDEX IX_Deadlines_DueDate ON Deadlines (DueDate) INCLUDE (ArticleID);
+GO
+
+-- Laws, circulars and decisions cited by articles ("Ν.4172/2013", "ΠΟΛ.1100/2015")
+IF OBJECT_ID('dbo.ArticleReferences', 'U') IS NULL
+BEGIN
+    CREATE TABLE ArticleReferences (
+        ReferenceID INT IDENTITY(1,1) PRIMARY KEY,
+        ArticleID INT NOT NULL REFERENCES Articles(ArticleID),
+        Reference NVARCHAR(40) NOT NULL,
+        Kind NVARCHAR(20) NOT NULL
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_ArticleReferences_Reference')
+    CREATE INDEX IX_ArticleReferences_Reference ON ArticleReferences (Reference, ArticleID);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_ArticleReferences_ArticleID')
+    CREATE INDEX IX_ArticleReferences_ArticleID ON ArticleReferences (ArticleID);
+GO
+
+-- Saved keyword/category/source queries delivered by email
+IF OBJECT_ID('dbo.AlertSubscriptions', 'U') IS NULL
+BEGIN
+    CREATE TABLE AlertSubscriptions (
+        SubscriptionID INT IDENTITY(1,1) PRIMARY KEY,
+        Email NVARCHAR(320) NOT NULL,
+        Frequency NVARCHAR(20) NOT NULL DEFAULT 'daily',
+        Criteria NVARCHAR(MAX) NOT NULL,
+        Token NVARCHAR(64) NOT NULL,
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        LastNotifiedAt DATETIME2 NULL
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_AlertSubscriptions_Token')
+    CREATE UNIQUE INDEX UX_AlertSubscriptions_Token ON AlertSubscriptions (Token);
+GO
+
+-- Double opt-in; subscriptions made before it count as confirmed
+IF COL_LENGTH('AlertSubscriptions', 'ConfirmedAt') IS NULL
+BEGIN
+    ALTER TABLE AlertSubscriptions ADD ConfirmedAt DATETIME2 NULL;
+    EXEC('UPDATE AlertSubscriptions SET ConfirmedAt = CreatedAt');
+END
+GO
+
+-- Outgoing webhooks and their delivery log
+IF OBJECT_ID('dbo.Webhooks', 'U') IS NULL
+BEGIN
+    CREATE TABLE Webhooks (
+        WebhookID INT IDENTITY(1,1) PRIMARY KEY,
+        URL NVARCHAR(1000) NOT NULL,
+        Description NVARCHAR(200) NULL,
+        Secret NVARCHAR(128) NOT NULL,
+        Criteria NVARCHAR(MAX) NOT NULL,
+        IsActive BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        LastEventAt DATETIME2 NULL
+    );
+END
+GO
+
+IF OBJECT_ID('dbo.WebhookDeliveries', 'U') IS NULL
+BEGIN
+    CREATE TABLE WebhookDeliveries (
+        DeliveryID INT IDENTITY(1,1) PRIMARY KEY,
+        WebhookID INT NOT NULL REFERENCES Webhooks(WebhookID),
+        ArticleID INT NULL,
+        Event NVARCHAR(50) NOT NULL,
+        Payload NVARCHAR(MAX) NOT NULL,
+        Status NVARCHAR(20) NOT NULL DEFAULT 'pending',
+        Attempts INT NOT NULL DEFAULT 0,
+        NextAttemptAt DATETIME2 NULL,
+        LastAttemptAt DATETIME2 NULL,
+        ResponseStatus INT NULL,
+        Error NVARCHAR(1000) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        DeliveredAt DATETIME2 NULL
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_WebhookDeliveries_Due')
+    CREATE INDEX IX_WebhookDeliveries_Due ON WebhookDeliveries (Status, NextAttemptAt);
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_WebhookDeliveries_Webhook')
+    CREATE INDEX IX_WebhookDeliveries_Webhook ON WebhookDeliveries (WebhookID, DeliveryID DESC);
+GO
+
+-- Text of the linked article page and its PDF/DOCX attachments, filled in by the enrichment worker
+IF COL_LENGTH('Articles', 'FullText') IS NULL
+    ALTER TABLE Articles ADD FullText NVARCHAR(MAX) NULL, EnrichedAt DATETIME2 NULL, EnrichmentError NVARCHAR(1000) NULL;
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Articles_Unenriched')
+    CREATE INDEX IX_Articles_Unenriched ON Articles (PublishDate DESC) WHERE EnrichedAt IS NULL;
+GO
+
+-- Body of the feed item as sanitized HTML (lists, emphasis, links), for the expanded article view
+IF COL_LENGTH('Articles', 'ContentHtml') IS NULL
+    ALTER TABLE Articles ADD ContentHtml NVARCHAR(MAX) NULL;
+GO
+
+IF OBJECT_ID('dbo.ArticleAttachments', 'U') IS NULL
+BEGIN
+    CREATE TABLE ArticleAttachments (
+        AttachmentID INT IDENTITY(1,1) PRIMARY KEY,
+        ArticleID INT NOT NULL REFERENCES Articles(ArticleID),
+        URL NVARCHAR(1000) NOT NULL,
+        Title NVARCHAR(300) NULL,
+        DocumentType NVARCHAR(10) NOT NULL,
+        TextContent NVARCHAR(MAX) NULL,
+        Error NVARCHAR(1000) NULL
+    );
+END
+GO
+
+-- Local accounts; read, bookmark and note state per user and article
+IF OBJECT_ID('dbo.Users', 'U') IS NULL
+BEGIN
+    CREATE TABLE Users (
+        UserID INT IDENTITY(1,1) PRIMARY KEY,
+        Username NVARCHAR(50) NOT NULL,
+        PasswordHash NVARCHAR(200) NOT NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_Users_Username')
+    CREATE UNIQUE INDEX UX_Users_Username ON Users (Username);
+GO
+
+IF OBJECT_ID('dbo.ApiTokens', 'U') IS NULL
+BEGIN
+    CREATE TABLE ApiTokens (
+        TokenID INT IDENTITY(1,1) PRIMARY KEY,
+        UserID INT NOT NULL REFERENCES Users(UserID),
+        TokenHash CHAR(64) NOT NULL,
+        Name NVARCHAR(100) NULL,
+        CreatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        LastUsedAt DATETIME2 NULL
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'UX_ApiTokens_TokenHash')
+    CREATE UNIQUE INDEX UX_ApiTokens_TokenHash ON ApiTokens (TokenHash);
+GO
+
+IF OBJECT_ID('dbo.ArticleStates', 'U') IS NULL
+BEGIN
+    CREATE TABLE ArticleStates (
+        UserID INT NOT NULL REFERENCES Users(UserID),
+        ArticleID INT NOT NULL REFERENCES Articles(ArticleID),
+        IsRead BIT NOT NULL DEFAULT 0,
+        IsBookmarked BIT NOT NULL DEFAULT 0,
+        Note NVARCHAR(4000) NULL,
+        UpdatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT PK_ArticleStates PRIMARY KEY (UserID, ArticleID)
+    );
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_ArticleStates_ArticleID')
+    CREATE INDEX IX_ArticleStates_ArticleID ON ArticleStates (ArticleID);
+GO
@@ -0,0 +1,109 @@
+const cheerio = require('cheerio');
+const { createItem } = require('../shared/feed-parser');
+
+const MAX_ITEMS = 100;
+
+/**
+ * Reads the scraper rules of a feed row
+ * @param {Object} feed - RSSFeeds row
+ * @returns {Object|null} - Rules for fetchFeed, null for RSS, Atom and JSON feeds
+ */
+function feedScraper(feed) {
+    if (feed.FeedType !== 'html' || !feed.ScraperRules) return null;
+    return typeof feed.ScraperRules === 'string' ? JSON.parse(feed.ScraperRules) : feed.ScraperRules;
+}
+
+/**
+ * Applies one field rule inside an item element; the after/before markers are matched as plain text
+ * @returns {string} - Collapsed text, empty when nothing matched
+ */
+function extractField($, element, rule) {
+    if (!rule) return '';
+
+    const target = rule.selector ? $(element).find(rule.selector).first() : $(element);
+    if (target.length === 0) return '';
+
+    let value = (rule.attribute ? target.attr(rule.attribute) || '' : target.text()).replace(/\s+/g, ' ').trim();
+    if (rule.after) {
+        const start = value.indexOf(rule.after);
+        value = start === -1 ? '' : value.slice(start + rule.after.length);
+    }
+    if (rule.before) {
+        const end = value.indexOf(rule.before);
+        value = end === -1 ? value : value.slice(0, end);
+    }
+    return value.trim();
+}
+
+function resolveLink(href, pageUrl) {
+    if (!href) return '';
+    try {
+        const url = new URL(href, pageUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Extracts the entries of an HTML listing page as items of the shared feed-parser schema.
+ * Works on any HTML string, so rules can be checked against saved copies of a page.
+ * @param {string} html - Page source
+ * @param {Object} rules - From feeds.validateScraperRules
+ * @param {string} sourceUrl - Page URL; relative links are resolved against it
+ * @returns {Array} - Items of FeedParser.createItem, keyed by their link;
+ *   pub_date is null when the entry shows no readable date
+ */
+function scrapeItems(html, rules, sourceUrl) {
+    return scrapeDocument(cheerio.load(html), rules, sourceUrl);
+}
+
+function scrapeDocument($, rules, sourceUrl) {
+    const seen = new Set();
+    const items = [];
+
+    $(rules.item).each((index, element) => {
+        if (items.length >= MAX_ITEMS) return false;
+
+        const title = extractField($, element, rules.title);
+        const link = resolveLink(extractField($, element, rules.link), sourceUrl);
+        if (!title || !link || seen.has(link)) return undefined;
+        seen.add(link);
+
+        items.push(createItem({
+            guid: link,
+            title,
+            description: extractField($, element, rules.description),
+            link,
+            pubDate: extractField($, element, rules.date)
+        }));
+        return undefined;
+    });
+
+    return items;
+}
+
+/**
+ * Scrapes a page into the FeedParser.parseFeed output shape used by feed-cache consumers
+ * @param {string} html - Page source
+ * @param {Object} rules - From feeds.validateScraperRules
+ * @param {string} url - Page URL
+ * @returns {{format: string, title: string, link: string, description: string, items: Array}} - format is "html"
+ */
+function scrapeFeed(html, rules, url) {
+    const $ = cheerio.load(html);
+    return {
+        format: 'html',
+        version: null,
+        title: $('title').first().text().replace(/\s+/g, ' ').trim(),
+        link: url,
+        description: $('meta[name="description"]').attr('content') || '',
+        items: scrapeDocument($, rules, url)
+    };
+}
+
+module.exports = {
+    feedScraper,
+    scrapeItems,
+    scrapeFeed
+};
@@ -0,0 +1,190 @@
+const GreekText = require('../shared/greek-text');
+
+const SNIPPET_RADIUS = 80;
+const TITLE_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+const PHRASE_BONUS = 5;
+// Matches in fetched page/attachment text count once each, up to this many per term
+const MAX_FULL_TEXT_MATCHES = 3;
+
+/**
+ * Splits a user query into unique normalized terms
+ * @param {string} query - Raw search query
+ * @returns {string[]}
+ */
+function parseQuery(query) {
+    return [...new Set(GreekText.tokenize(query))];
+}
+
+/**
+ * Escapes text for inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Finds every occurrence of the terms in a text, in original-text offsets
+ * @param {string} text - Text to search
+ * @param {string[]} terms - Normalized terms
+ * @returns {{text: string, ranges: Array<[number, number]>}} - Sorted, merged ranges
+ */
+function findMatches(text, terms) {
+    const { text: source, folded, map } = GreekText.normalizeWithMap(text);
+    const ranges = [];
+
+    terms.forEach(term => {
+        let index = folded.indexOf(term);
+        while (index !== -1) {
+            ranges.push([map[index], map[index + term.length]]);
+            index = folded.indexOf(term, index + term.length);
+        }
+    });
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    ranges.forEach(range => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    });
+
+    return { text: source, ranges: merged };
+}
+
+/**
+ * Renders a window of text as escaped HTML with <mark> around matches
+ * @param {string} text - Original text
+ * @param {Array<[number, number]>} ranges - Match ranges
+ * @param {number} [start] - Window start offset
+ * @param {number} [end] - Window end offset
+ * @returns {string}
+ */
+function highlight(text, ranges, start = 0, end = text.length) {
+    let html = '';
+    let cursor = start;
+
+    ranges
+        .filter(([from, to]) => from >= start && to <= end)
+        .forEach(([from, to]) => {
+            html += escapeHtml(text.slice(cursor, from)) + '<mark>' + escapeHtml(text.slice(from, to)) + '</mark>';
+            cursor = to;
+        });
+
+    return html + escapeHtml(text.slice(cursor, end));
+}
+
+/**
+ * Builds a highlighted excerpt centred on the first match
+ * @param {string} text - Original text
+ * @param {Array<[number, number]>} ranges - Match ranges
+ * @returns {string}
+ */
+function buildSnippet(text, ranges) {
+    if (ranges.length === 0) {
+        const excerpt = text.slice(0, SNIPPET_RADIUS * 2);
+        return escapeHtml(excerpt) + (text.length > excerpt.length ? '…' : '');
+    }
+
+    let start = Math.max(ranges[0][0] - SNIPPET_RADIUS, 0);
+    let end = Math.min(ranges[0][1] + SNIPPET_RADIUS, text.length);
+    // Avoid cutting words in half at the window edges
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > ranges[0][1] ? text.lastIndexOf(' ', end) : end;
+
+    return (start > 0 ? '…' : '') + highlight(text, ranges, start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Scores and highlights one article; returns null when not every term matches.
+ * An optional `full_text` (enriched page and attachment text) is searched too but not returned.
+ * @param {Object} article - Article in the API shape
+ * @param {string[]} terms - Normalized terms
+ * @param {string} phrase - Normalized full query
+ * @returns {Object|null}
+ */
+function scoreArticle(article, terms, phrase) {
+    const { full_text: fullText = '', ...fields } = article;
+    const title = findMatches(fields.title || '', terms);
+    const description = findMatches(fields.description || '', terms);
+    const foldedTitle = GreekText.normalize(fields.title);
+    const foldedDescription = GreekText.normalize(fields.description);
+    const foldedFullText = GreekText.normalize(fullText);
+
+    let score = 0;
+    for (const term of terms) {
+        const inTitle = foldedTitle.split(term).length - 1;
+        const inDescription = foldedDescription.split(term).length - 1;
+        const inFullText = foldedFullText ? foldedFullText.split(term).length - 1 : 0;
+        if (inTitle + inDescription + inFullText === 0) {
+            return null;
+        }
+        score += inTitle * TITLE_WEIGHT + inDescription * DESCRIPTION_WEIGHT + Math.min(inFullText, MAX_FULL_TEXT_MATCHES);
+    }
+
+    if (terms.length > 1 && (foldedTitle.includes(phrase) || foldedDescription.includes(phrase))) {
+        score += PHRASE_BONUS;
+    }
+
+    // Show where the match is: the description when it has one, otherwise the full text
+    let snippetSource = description;
+    if (description.ranges.length === 0 && fullText) {
+        const fullTextMatches = findMatches(fullText, terms);
+        if (fullTextMatches.ranges.length > 0) {
+            snippetSource = fullTextMatches;
+        }
+    }
+
+    return {
+        ...fields,
+        score,
+        highlights: {
+            title: highlight(title.text, title.ranges),
+            snippet: buildSnippet(snippetSource.text, snippetSource.ranges)
+        }
+    };
+}
+
+/**
+ * Searches an article list and orders the hits by relevance, then recency
+ * @param {Array} articles - Articles in the API shape
+ * @param {string} query - Raw search query
+ * @returns {Array} - Matching articles with score and highlights
+ */
+function searchArticles(articles, query) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return [];
+    const phrase = terms.join(' ');
+
+    return articles
+        .map(article => scoreArticle(article, terms, phrase))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || new Date(b.pub_date) - new Date(a.pub_date));
+}
+
+/**
+ * Builds a LIKE pattern that tolerates final sigma differences
+ * @param {string} term - Normalized term
+ * @returns {string}
+ */
+function toLikePattern(term) {
+    const escaped = term.replace(/[[%_]/g, char => `[${char}]`);
+    return `%${escaped.replace(/σ/g, '[σς]')}%`;
+}
+
+module.exports = {
+    parseQuery,
+    escapeHtml,
+    searchArticles,
+    toLikePattern
+};
@@ -1,143 +1,87 @@
 require('dotenv').config();
 const express = require('express');
-const sql = require('mssql');
 const cors = require('cors');
-const Parser = require('rss-parser');
-const winston = require('winston');
-
-// Configure Winston logger
-const logger = winston.createLogger({
-    level: 'info',
-    format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.json()
-    ),
-    transports: [
-        new winston.transports.File({ filename: 'error.log', level: 'error' }),
-        new winston.transports.File({ filename: 'combined.log' })
-    ]
-});
-
-// Add console logging in non-production
-if (process.env.NODE_ENV !== 'production') {
-    logger.add(new winston.transports.Console({
-        format: winston.format.simple()
-    }));
-}
+const logger = require('./logger');
+const { createStore } = require('./storage');
+const { startIngestionWorker, feedHealth, toApiFeedStatus } = require('./ingestion');
+const { startEnrichmentWorker } = require('./enrichment');
+const { fetchFeed, clearFeedCache } = require('./feed-cache');
+const {
+    DEFAULT_FEEDS,
+    ValidationError,
+    parseArticleFilters,
+    matchesFilters,
+    paginateArticles,
+    fetchFallbackArticles,
+    filterArticleList,
+    clusterPage
+} = require('./articles');
+const { parseQuery, searchArticles, escapeHtml } = require('./search');
+const { listTopics } = require('./classifier');
+const { articleDeadlines, matchesDeadlineFilters, toICalendar } = require('./deadlines');
+const { articleReferences, parseReference } = require('./references');
+const { CANDIDATE_ARTICLES, renderFeed } = require('./syndication');
+const { createMailer } = require('./mailer');
+const {
+    validateSubscriptionInput,
+    createSubscriptionToken,
+    toApiSubscription,
+    buildConfirmationEmail,
+    startAlertWorker
+} = require('./alerts');
+const {
+    validateWebhookInput,
+    createWebhookSecret,
+    toApiWebhook,
+    toApiDelivery,
+    parseDeliveryFilters,
+    buildDelivery,
+    startWebhookWorker
+} = require('./webhooks');
+const { validateFeedUrl, validateScraperRules, validateFeedInput, previewFeed, proxyFeed } = require('./feeds');
+const { feedScraper } = require('./scrapers');
+const { athensOffset } = require('../shared/greek-dates');
+const {
+    validateCredentials,
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    createApiToken,
+    readBearerToken,
+    validateStateInput,
+    parseStateFilters,
+    toApiUser,
+    toApiState
+} = require('./accounts');
+const { MAX_EXPORT_ARTICLES, parseExportFormat, renderExport } = require('./export');
+const { parsePeriod, buildDigest, renderDigestHtml } = require('./digests');
 
 const app = express();
-const parser = new Parser({
-    timeout: 10000,
-    maxRedirects: 5,
-});
 
-app.use(cors());
+// The export filename and counts are read by the frontend, which is served from another origin
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'X-Total-Count', 'X-Export-Truncated'] }));
 app.use(express.json());
 
-// Validate required environment variables
-const requiredEnvVars = ['DB_SERVER', 'DB_NAME', 'DB_USER', 'DB_PASSWORD'];
-const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-if (missingVars.length > 0) {
-    logger.error(`Missing required environment variables: ${missingVars.join(', ')}`);
+let store;
+try {
+    store = createStore();
+} catch (err) {
+    logger.error(err.message);
     process.exit(1);
 }
 
-// Database configuration with validation and pooling
-const dbConfig = {
-    server: process.env.DB_SERVER,
-    database: process.env.DB_NAME,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    options: {
-        encrypt: process.env.DB_ENCRYPT === 'true',
-        trustServerCertificate: true,
-        enableArithAbort: true,
-        connectionTimeout: 30000,
-        requestTimeout: 30000,
-        pool: {
-            max: 10,
-            min: 0,
-            idleTimeoutMillis: 30000
-        }
-    }
-};
-
-let pool;
-
-/**
- * Connects to the database with retry mechanism
- * @returns {Promise<void>}
- */
-async function connectDB() {
-    const maxRetries = 3;
-    let retryCount = 0;
-
-    while (retryCount < maxRetries) {
-        try {
-            logger.info('🔗 Attempting database connection...');
-            pool = await sql.connect(dbConfig);
-            logger.info('✅ Connected to SQL Server successfully!');
-            return;
-        } catch (err) {
-            retryCount++;
-            logger.error(`❌ Database connection attempt ${retryCount} failed:`, err);
-            
-            if (retryCount === maxRetries) {
-                logger.error('❌ Maximum database connection retries reached');
-                throw err;
-            }
-            
-            // Exponential backoff
-            const delay = Math.min(1000 * Math.pow(2, retryCount), 10000);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
-}
-
-/**
- * Parses date string with timezone handling
- * @param {string} dateString - Date string to parse
- * @returns {string} - ISO formatted date string
- */
-function parseDate(dateString) {
-    try {
-        const date = new Date(dateString);
-        if (!isNaN(date.getTime())) {
-            return date.toISOString();
-        }
-
-        // Try parsing various date formats
-        const formats = [
-            /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/, // DD/MM/YYYY or DD-MM-YYYY
-            /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/, // YYYY/MM/DD or YYYY-MM-DD
-            /^(\d{1,2}\s+\w+\s+\d{4})/ // DD Month YYYY
-        ];
-
-        for (const format of formats) {
-            const match = dateString.match(format);
-            if (match) {
-                const parsed = new Date(match[0]);
-                if (!isNaN(parsed.getTime())) {
-                    return parsed.toISOString();
-                }
-            }
-        }
-
-        throw new Error(`Unable to parse date: ${dateString}`);
-    } catch (err) {
-        logger.warn('Date parsing failed:', { dateString, error: err.message });
-        return new Date().toISOString(); // Fallback to current date
-    }
-}
+// Null when SMTP is not configured; alerts then cannot be created or sent
+const mailer = createMailer();
 
 // API Routes with improved error handling and pagination
 app.get('/api/health', async (req, res) => {
     try {
-        if (pool) {
-            await pool.request().query('SELECT 1 as status');
-            res.json({ status: 'healthy', database: 'connected' });
+        if (store.isConnected()) {
+            await store.healthCheck();
+            const feeds = summarizeFeedHealth(await store.listFeeds({ activeOnly: false }));
+            res.json({ status: 'healthy', storage: store.name, database: 'connected', feeds });
         } else {
-            res.json({ status: 'healthy', database: 'disconnected' });
+            res.json({ status: 'healthy', storage: store.name, database: 'disconnected' });
         }
     } catch (err) {
         logger.error('Health check failed:', err);
@@ -151,39 +95,29 @@ app.get('/api/aade-news', async (req, res) => {
         const pageSize = parseInt(req.query.pageSize) || 20;
         const offset = (page - 1) * pageSize;
 
-        if (pool) {
-            const result = await pool.request()
-                .input('pageSize', sql.Int, pageSize)
-                .input('offset', sql.Int, offset)
-                .query(`
-                    SELECT * FROM (
-                        SELECT *, ROW_NUMBER() OVER (ORDER BY PublishDate DESC) as RowNum
-                        FROM Articles
-                        WHERE FeedID = 1
-                    ) AS Paginated
-                    WHERE RowNum > @offset AND RowNum <= (@offset + @pageSize)
-                `);
-
-            const totalCount = await pool.request()
-                .query('SELECT COUNT(*) as total FROM Articles WHERE FeedID = 1');
+        if (store.isConnected()) {
+            const result = await store.listArticles({
+                ...parseArticleFilters({ page, pageSize }),
+                feedId: 1
+            });
 
             res.json({
-                articles: result.recordset,
+                articles: result.articles,
                 pagination: {
                     page,
-                    pageSize,
-                    totalItems: totalCount.recordset[0].total,
-                    totalPages: Math.ceil(totalCount.recordset[0].total / pageSize)
+                    pageSize: result.page_size,
+                    totalItems: result.total_items,
+                    totalPages: result.total_pages
                 }
             });
         } else {
-            // Fallback to direct RSS fetch with pagination
-            const feed = await parser.parseURL('https://www.aade.gr/deltia-typoy-anakoinoseis?format=rss');
+            // Fallback to direct RSS fetch with pagination, served from the feed cache while fresh
+            const { feed } = await fetchFeed('https://www.aade.gr/deltia-typoy-anakoinoseis?format=rss');
             const articles = feed.items.map(item => ({
                 title: item.title,
-                description: item.contentSnippet || '',
+                description: item.description,
                 link: item.link,
-                pubDate: parseDate(item.pubDate),
+                pubDate: item.pub_date,
                 source: 'rss'
             }));
 
@@ -208,47 +142,973 @@ app.get('/api/aade-news', async (req, res) => {
     }
 });
 
+/**
+ * Sends an error response, mapping validation errors to their 4xx status
+ * @param {Object} res - Express response
+ * @param {Error} err - Error raised by the route
+ * @param {string} message - Message for unexpected errors
+ */
+function sendError(res, err, message) {
+    if (err instanceof ValidationError) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    logger.error(`${message}:`, err);
+    res.status(500).json({
+        error: message,
+        details: err.message
+    });
+}
+
+/**
+ * Reads a numeric route parameter
+ * @param {string} value - Raw parameter
+ * @returns {number}
+ */
+function parseIdParam(value) {
+    const id = parseInt(value);
+    if (isNaN(id)) {
+        throw new ValidationError(`Invalid id: ${value}`);
+    }
+    return id;
+}
+
+/**
+ * Fails with 503 when feed changes cannot be persisted
+ */
+function requireStore() {
+    if (!store.isConnected()) {
+        throw new ValidationError('Storage is not available', 503);
+    }
+}
+
 app.get('/api/feeds', async (req, res) => {
     try {
-        if (pool) {
-            const result = await pool.request().query('SELECT * FROM RSSFeeds WHERE IsActive = 1');
-            res.json(result.recordset);
+        if (store.isConnected()) {
+            res.json(await store.listFeeds({ activeOnly: req.query.all !== 'true' }));
         } else {
-            res.json([{
-                FeedID: 1,
-                FeedName: 'AADE - Δελτία Τύπου',
-                FeedURL: 'https://www.aade.gr/deltia-typoy-anakoinoseis?format=rss',
-                Category: 'Tax Authority'
-            }]);
+            res.json(DEFAULT_FEEDS);
         }
     } catch (err) {
-        logger.error('Error fetching feeds:', err);
-        res.status(500).json({ 
-            error: 'Failed to fetch feeds', 
-            details: err.message 
+        sendError(res, err, 'Failed to fetch feeds');
+    }
+});
+
+// Default refresh interval of the ingestion worker, which also decides when a feed is stale
+const INGEST_INTERVAL_MINUTES = parseInt(process.env.INGEST_INTERVAL_MINUTES) || undefined;
+
+/**
+ * Counts feeds per health state
+ * @param {Object[]} feeds - RSSFeeds rows
+ * @returns {Object} - total plus a count per state from feedHealth
+ */
+function summarizeFeedHealth(feeds) {
+    const summary = { total: feeds.length, ok: 0, stale: 0, failing: 0, pending: 0, disabled: 0 };
+    feeds.forEach(feed => {
+        summary[feedHealth(feed, { defaultIntervalMinutes: INGEST_INTERVAL_MINUTES })]++;
+    });
+    return summary;
+}
+
+// Fetch health of every feed with its latest fetches, for the status panel
+app.get('/api/feeds/status', async (req, res) => {
+    try {
+        requireStore();
+        const historyLimit = Math.min(Math.max(parseInt(req.query.history) || 10, 1), 50);
+        const feeds = await store.listFeeds({ activeOnly: false });
+        const fetches = await store.listFeedFetches(historyLimit);
+
+        res.json({
+            generated_at: new Date().toISOString(),
+            summary: summarizeFeedHealth(feeds),
+            feeds: feeds.map(feed => toApiFeedStatus(
+                feed,
+                fetches.filter(row => row.FeedID === feed.FeedID),
+                { defaultIntervalMinutes: INGEST_INTERVAL_MINUTES }
+            ))
         });
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch feed status');
     }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, async () => {
-    logger.info(`🚀 Server running on port ${PORT}`);
+// Dry run of a feed; for "html" feeds the rules can be tried on a saved copy of the page via "html"
+app.post('/api/feeds/test', async (req, res) => {
     try {
-        await connectDB();
+        await requireAdmin(req);
+        const body = req.body || {};
+        const url = validateFeedUrl(body.url);
+        const scraper = body.type === 'html' ? validateScraperRules(body.rules) : null;
+        if (body.html !== undefined && (!scraper || typeof body.html !== 'string')) {
+            throw new ValidationError('"html" is a page source string and needs "type": "html" with "rules"');
+        }
+        res.json({ url, preview: await previewFeed(url, { scraper, html: scraper ? body.html : undefined }) });
     } catch (err) {
-        logger.error('Failed to establish initial database connection:', err);
+        sendError(res, err, 'Failed to test feed');
     }
 });
 
-// Global error handlers
-process.on('unhandledRejection', (reason, promise) => {
-    logger.error('Unhandled Rejection at:', {
-        promise,
-        reason
-    });
+app.post('/api/feeds', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        requireStore();
+        const fields = validateFeedInput(req.body);
+        if (await store.findFeedByUrl(fields.FeedURL)) {
+            throw new ValidationError(`A feed with URL ${fields.FeedURL} already exists`, 409);
+        }
+
+        const preview = await previewFeed(fields.FeedURL, { scraper: feedScraper(fields) });
+        const feed = await store.createFeed(fields);
+        logger.info(`➕ Added feed ${feed.FeedName}`, { feedId: feed.FeedID });
+        res.status(201).json({ feed, preview });
+    } catch (err) {
+        sendError(res, err, 'Failed to create feed');
+    }
 });
 
-process.on('uncaughtException', (error) => {
-    logger.error('Uncaught Exception:', error);
-    process.exit(1);
+app.patch('/api/feeds/:id', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        requireStore();
+        const feedId = parseIdParam(req.params.id);
+        const existing = await store.getFeed(feedId);
+        if (!existing) {
+            return res.status(404).json({ error: `Feed ${feedId} not found` });
+        }
+        const fields = validateFeedInput(req.body, { partial: true, existing });
+
+        const urlChanged = fields.FeedURL && fields.FeedURL !== existing.FeedURL;
+        if (urlChanged && await store.findFeedByUrl(fields.FeedURL)) {
+            throw new ValidationError(`A feed with URL ${fields.FeedURL} already exists`, 409);
+        }
+
+        // A new address or new scraper rules must still yield items
+        let preview = null;
+        if (urlChanged || fields.FeedType !== undefined || fields.ScraperRules !== undefined) {
+            const updated = { ...existing, ...fields };
+            preview = await previewFeed(updated.FeedURL, { scraper: feedScraper(updated) });
+        }
+
+        const feed = await store.updateFeed(feedId, fields);
+        if (preview) {
+            clearFeedCache(existing.FeedURL);
+        }
+        res.json({ feed, preview });
+    } catch (err) {
+        sendError(res, err, 'Failed to update feed');
+    }
+});
+
+app.delete('/api/feeds/:id', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        requireStore();
+        const feedId = parseIdParam(req.params.id);
+        if (!(await store.deleteFeed(feedId))) {
+            return res.status(404).json({ error: `Feed ${feedId} not found` });
+        }
+        logger.info('➖ Deleted feed', { feedId });
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err, 'Failed to delete feed');
+    }
+});
+
+// Same-origin feed access for the browser RSSParser, limited to registered feeds
+app.get('/api/proxy/feed', async (req, res) => {
+    try {
+        if (!req.query.url) {
+            throw new ValidationError('Query parameter "url" is required');
+        }
+
+        const feeds = store.isConnected()
+            ? await store.listFeeds({ activeOnly: false })
+            : DEFAULT_FEEDS;
+        const result = await proxyFeed(req.query.url, feeds);
+
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json(result);
+    } catch (err) {
+        sendError(res, err, 'Failed to proxy feed');
+    }
+});
+
+/**
+ * Sends a filtered, paginated article listing
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} [overrides] - Filters forced by the route
+ */
+async function sendArticles(req, res, overrides = {}) {
+    try {
+        const filters = { ...parseArticleFilters(req.query), ...overrides };
+
+        const page = store.isConnected()
+            ? await store.listArticles(filters)
+            : filterArticleList(await fetchFallbackArticles(), filters);
+        res.json(clusterPage(page));
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch articles');
+    }
+}
+
+app.get('/api/articles', (req, res) => sendArticles(req, res));
+
+// One article with the full text and attachments fetched from its source page
+app.get('/api/articles/:id', async (req, res) => {
+    try {
+        requireStore();
+        const articleId = parseIdParam(req.params.id);
+        const article = await store.getArticleContent(articleId);
+        if (!article) {
+            return res.status(404).json({ error: `Article ${articleId} not found` });
+        }
+        res.json(article);
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch article');
+    }
+});
+
+app.get('/api/feeds/:id/articles', (req, res) => {
+    const feedId = parseInt(req.params.id);
+    if (isNaN(feedId)) {
+        return res.status(400).json({ error: `Invalid feed id: ${req.params.id}` });
+    }
+    sendArticles(req, res, { feedId });
+});
+
+app.get('/api/topics', (req, res) => {
+    try {
+        res.json(listTopics());
+    } catch (err) {
+        sendError(res, err, 'Failed to load topics');
+    }
+});
+
+app.get('/api/search', async (req, res) => {
+    try {
+        const query = (req.query.q || '').trim();
+        if (parseQuery(query).length === 0) {
+            return res.status(400).json({ error: 'Query parameter "q" is required' });
+        }
+
+        const filters = parseArticleFilters(req.query);
+        let candidates;
+        if (store.isConnected()) {
+            candidates = await store.searchCandidates(query, filters);
+        } else {
+            candidates = (await fetchFallbackArticles()).filter(article => matchesFilters(article, filters));
+        }
+
+        res.json({
+            query,
+            ...paginateArticles(searchArticles(candidates, query), filters)
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to search articles');
+    }
+});
+
+// Articles citing a law, circular or decision, e.g. /api/references/ΠΟΛ.1100%2F2015/articles
+// or /api/references/POL.1100-2015/articles; order=asc follows how it was applied over time
+app.get('/api/references/:ref/articles', async (req, res) => {
+    try {
+        const { reference, kind } = parseReference(req.params.ref);
+        const filters = { ...parseArticleFilters(req.query), reference };
+
+        let page;
+        if (store.isConnected()) {
+            page = await store.listArticles(filters);
+        } else {
+            const articles = (await fetchFallbackArticles())
+                .filter(article => articleReferences(article).some(item => item.reference === reference));
+            page = filterArticleList(articles, filters);
+        }
+
+        res.json({ reference, kind, ...page });
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch articles for reference');
+    }
+});
+
+/**
+ * Loads upcoming deadlines; without storage they are extracted from the live feed
+ * @param {Object} query - Request query: from (default today), to, feedId, topic
+ * @returns {Promise<Array>} - Deadlines in the API shape, soonest first
+ */
+async function loadDeadlines(query) {
+    const { from, to, feedId, topic } = parseArticleFilters(query);
+    // Due dates are Athens calendar days compared as UTC midnights, so today is the Athens date
+    const now = new Date();
+    const today = new Date(`${new Date(now.getTime() + athensOffset(now)).toISOString().slice(0, 10)}T00:00:00Z`);
+    const filters = { from: from || today, to, feedId, topic };
+
+    if (store.isConnected()) {
+        return store.listDeadlines(filters);
+    }
+
+    const articles = await fetchFallbackArticles();
+    return articles
+        .flatMap(article => articleDeadlines(article).map(deadline => ({
+            id: `${article.id}-${deadline.due_date}`,
+            ...deadline,
+            article
+        })))
+        .filter(deadline => matchesDeadlineFilters(deadline, filters))
+        .sort((a, b) => a.due_date.localeCompare(b.due_date));
+}
+
+app.get('/api/deadlines', async (req, res) => {
+    try {
+        res.json(await loadDeadlines(req.query));
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch deadlines');
+    }
+});
+
+app.get('/api/deadlines.ics', async (req, res) => {
+    try {
+        const deadlines = await loadDeadlines(req.query);
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="greek-tax-deadlines.ics"');
+        res.set('Cache-Control', 'public, max-age=900');
+        res.send(toICalendar(deadlines, {
+            calendarName: req.query.topic ? `Greek Tax Deadlines: ${req.query.topic}` : undefined
+        }));
+    } catch (err) {
+        sendError(res, err, 'Failed to build deadlines calendar');
+    }
+});
+
+/**
+ * Base URL clients reach this API at, for links in feeds and emails
+ * @param {Object} [req] - Express request, used when PUBLIC_API_URL is not set
+ * @returns {string}
+ */
+function publicBaseUrl(req) {
+    if (process.env.PUBLIC_API_URL) {
+        return process.env.PUBLIC_API_URL.replace(/\/+$/, '');
+    }
+    return req ? `${req.protocol}://${req.get('host')}` : `http://localhost:${process.env.PORT || 3000}`;
+}
+
+/**
+ * Sends the newest articles matching the filters as an RSS, Atom or JSON Feed document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} title - Feed title suffix
+ * @param {Object} [overrides] - Filters forced by the route
+ */
+async function sendSyndicationFeed(req, res, title, overrides = {}) {
+    try {
+        const filters = {
+            ...parseArticleFilters({ pageSize: CANDIDATE_ARTICLES }),
+            ...overrides
+        };
+
+        let articles;
+        if (store.isConnected()) {
+            ({ articles } = await store.listArticles(filters));
+        } else {
+            ({ articles } = filterArticleList(await fetchFallbackArticles(), filters));
+        }
+
+        const baseUrl = publicBaseUrl(req);
+        const feed = renderFeed(req.params.format, {
+            title: `Greek Tax News Hub: ${title}`,
+            description: 'Φορολογικά νέα από ΑΑΔΕ και άλλες πηγές',
+            siteUrl: process.env.PUBLIC_SITE_URL || baseUrl,
+            selfUrl: `${baseUrl}${req.originalUrl}`
+        }, articles);
+
+        if (!feed) {
+            return res.status(404).json({ error: `Unknown feed format: ${req.params.format}. Use xml, atom or json` });
+        }
+
+        res.set('Content-Type', feed.contentType);
+        res.set('Cache-Control', 'public, max-age=600');
+        res.set('Last-Modified', feed.lastModified.toUTCString());
+        res.send(feed.body);
+    } catch (err) {
+        sendError(res, err, 'Failed to build feed');
+    }
+}
+
+app.get('/feeds/all.:format', (req, res) => sendSyndicationFeed(req, res, 'Όλα τα νέα'));
+
+app.get('/feeds/category/:category.:format', (req, res) => {
+    sendSyndicationFeed(req, res, req.params.category, { category: req.params.category });
+});
+
+app.get('/feeds/topic/:topic.:format', (req, res) => {
+    sendSyndicationFeed(req, res, req.params.topic, { topic: req.params.topic });
+});
+
+app.get('/feeds/source/:id.:format', async (req, res) => {
+    try {
+        const feedId = parseIdParam(req.params.id);
+        const feed = store.isConnected()
+            ? await store.getFeed(feedId)
+            : DEFAULT_FEEDS.find(candidate => candidate.FeedID === feedId);
+        if (!feed) {
+            return res.status(404).json({ error: `Feed ${feedId} not found` });
+        }
+        await sendSyndicationFeed(req, res, feed.FeedName, { feedId });
+    } catch (err) {
+        sendError(res, err, 'Failed to build feed');
+    }
+});
+
+/**
+ * Loads a subscription by the token from its manage/unsubscribe link
+ * @param {string} token
+ * @returns {Promise<Object>} - AlertSubscriptions row
+ */
+async function findSubscription(token) {
+    requireStore();
+    const row = typeof token === 'string' && token ? await store.findSubscriptionByToken(token) : null;
+    if (!row) {
+        throw new ValidationError('Alert subscription not found', 404);
+    }
+    return row;
+}
+
+/**
+ * Renders the minimal HTML page shown by the unsubscribe link
+ * @param {string} message - Paragraph text
+ * @param {string} [form] - Optional form markup
+ * @returns {string}
+ */
+function renderAlertPage(message, form = '') {
+    return `<!DOCTYPE html>
+<html lang="el">
+<head><meta charset="UTF-8"><title>Greek Tax News Hub</title></head>
+<body style="font-family:Arial,sans-serif;max-width:480px;margin:40px auto">
+    <h2>🇬🇷 Greek Tax News Hub</h2>
+    <p>${message}</p>
+    ${form}
+</body>
+</html>`;
+}
+
+/**
+ * Emails the link that activates a subscription
+ * @param {Object} row - AlertSubscriptions row
+ * @param {string} baseUrl - From publicBaseUrl
+ * @returns {Promise<void>}
+ */
+async function sendAlertConfirmation(row, baseUrl) {
+    const email = buildConfirmationEmail(row, { confirmUrl: `${baseUrl}/api/alerts/confirm?token=${row.Token}` });
+    try {
+        await mailer.send({ to: row.Email, ...email });
+    } catch (err) {
+        logger.error(`❌ Alert confirmation email failed: ${err.message}`, { subscriptionId: row.SubscriptionID });
+        throw new ValidationError('Confirmation email could not be sent', 502);
+    }
+}
+
+// The token is only emailed, so a subscription stays inactive until the address owner confirms it
+app.post('/api/alerts', async (req, res) => {
+    try {
+        requireStore();
+        if (!mailer) {
+            throw new ValidationError('Email alerts are not available', 503);
+        }
+        const fields = validateSubscriptionInput(req.body);
+        const row = await store.createSubscription({ ...fields, Token: createSubscriptionToken() });
+        try {
+            await sendAlertConfirmation(row, publicBaseUrl(req));
+        } catch (err) {
+            await store.deleteSubscription(row.SubscriptionID);
+            throw err;
+        }
+
+        logger.info('🔔 Created alert subscription awaiting confirmation', { subscriptionId: row.SubscriptionID, frequency: row.Frequency });
+        res.status(202).json({
+            subscription: toApiSubscription(row),
+            message: 'A confirmation link was sent to the email address'
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to create alert');
+    }
+});
+
+app.get('/api/alerts/confirm', async (req, res) => {
+    try {
+        const row = await findSubscription(req.query.token);
+        res.send(renderAlertPage(
+            `Ενεργοποίηση ειδοποιήσεων για <strong>${escapeHtml(row.Email)}</strong>;`,
+            `<form method="POST"><button type="submit">Επιβεβαίωση</button></form>`
+        ));
+    } catch (err) {
+        res.status(err.status || 500).send(renderAlertPage(escapeHtml(err.message)));
+    }
+});
+
+app.post('/api/alerts/confirm', async (req, res) => {
+    try {
+        const row = await findSubscription(req.query.token);
+        if (!row.ConfirmedAt) {
+            await store.updateSubscription(row.SubscriptionID, { IsActive: true, ConfirmedAt: new Date() });
+            logger.info('✅ Alert subscription confirmed', { subscriptionId: row.SubscriptionID });
+        }
+        res.send(renderAlertPage('Η ειδοποίηση ενεργοποιήθηκε. Θα λαμβάνετε email για νέα άρθρα.'));
+    } catch (err) {
+        res.status(err.status || 500).send(renderAlertPage(escapeHtml(err.message)));
+    }
+});
+
+// Link scanners prefetch GET requests, so the link only shows a confirmation form
+app.get('/api/alerts/unsubscribe', async (req, res) => {
+    try {
+        const row = await findSubscription(req.query.token);
+        res.send(renderAlertPage(
+            `Διακοπή ειδοποιήσεων για <strong>${escapeHtml(row.Email)}</strong>;`,
+            `<form method="POST"><button type="submit">Διακοπή ειδοποιήσεων</button></form>`
+        ));
+    } catch (err) {
+        res.status(err.status || 500).send(renderAlertPage(escapeHtml(err.message)));
+    }
+});
+
+// Handles the confirmation form and RFC 8058 one-click unsubscribe from mail clients
+app.post('/api/alerts/unsubscribe', async (req, res) => {
+    try {
+        const row = await findSubscription(req.query.token);
+        await store.updateSubscription(row.SubscriptionID, { IsActive: false });
+        logger.info('🔕 Alert unsubscribed', { subscriptionId: row.SubscriptionID });
+        res.send(renderAlertPage('Οι ειδοποιήσεις διακόπηκαν. Δεν θα λάβετε άλλα email.'));
+    } catch (err) {
+        res.status(err.status || 500).send(renderAlertPage(escapeHtml(err.message)));
+    }
+});
+
+app.get('/api/alerts/:token', async (req, res) => {
+    try {
+        res.json(toApiSubscription(await findSubscription(req.params.token)));
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch alert');
+    }
+});
+
+app.patch('/api/alerts/:token', async (req, res) => {
+    try {
+        const existing = await findSubscription(req.params.token);
+        const fields = validateSubscriptionInput(req.body, { existing });
+        if (fields.Token && !mailer) {
+            throw new ValidationError('Email alerts are not available', 503);
+        }
+        const row = await store.updateSubscription(existing.SubscriptionID, fields);
+        if (fields.Token) {
+            // New address: the old token no longer works and the new one is only emailed
+            await sendAlertConfirmation(row, publicBaseUrl(req));
+        }
+        res.json(toApiSubscription(row));
+    } catch (err) {
+        sendError(res, err, 'Failed to update alert');
+    }
+});
+
+app.delete('/api/alerts/:token', async (req, res) => {
+    try {
+        const row = await findSubscription(req.params.token);
+        await store.deleteSubscription(row.SubscriptionID);
+        logger.info('➖ Deleted alert subscription', { subscriptionId: row.SubscriptionID });
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err, 'Failed to delete alert');
+    }
+});
+
+/**
+ * Loads a webhook by the id route parameter
+ * @param {string} value - Raw id
+ * @returns {Promise<Object>} - Webhooks row
+ */
+async function findWebhook(value) {
+    requireStore();
+    const webhook = await store.getWebhook(parseIdParam(value));
+    if (!webhook) {
+        throw new ValidationError(`Webhook ${value} not found`, 404);
+    }
+    return webhook;
+}
+
+/**
+ * Loads a webhook that can receive deliveries; paused webhooks get nothing queued
+ * @param {string} value - Raw id
+ * @returns {Promise<Object>} - Webhooks row
+ */
+async function findActiveWebhook(value) {
+    const webhook = await findWebhook(value);
+    if (!webhook.IsActive) {
+        throw new ValidationError(`Webhook ${value} is not active`, 409);
+    }
+    return webhook;
+}
+
+app.get('/api/webhooks', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        requireStore();
+        res.json((await store.listWebhooks()).map(toApiWebhook));
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch webhooks');
+    }
+});
+
+app.post('/api/webhooks', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        requireStore();
+        const fields = validateWebhookInput(req.body);
+        const webhook = await store.createWebhook({ Secret: createWebhookSecret(), ...fields });
+        logger.info('🪝 Registered webhook', { webhookId: webhook.WebhookID });
+        // The secret is only returned once; receivers need it to verify signatures
+        res.status(201).json({ webhook: toApiWebhook(webhook), secret: webhook.Secret });
+    } catch (err) {
+        sendError(res, err, 'Failed to create webhook');
+    }
+});
+
+app.get('/api/webhooks/:id', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        res.json(toApiWebhook(await findWebhook(req.params.id)));
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch webhook');
+    }
+});
+
+app.patch('/api/webhooks/:id', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        const existing = await findWebhook(req.params.id);
+        const fields = validateWebhookInput(req.body, { existing });
+        res.json(toApiWebhook(await store.updateWebhook(existing.WebhookID, fields)));
+    } catch (err) {
+        sendError(res, err, 'Failed to update webhook');
+    }
+});
+
+app.delete('/api/webhooks/:id', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        const webhook = await findWebhook(req.params.id);
+        await store.deleteWebhook(webhook.WebhookID);
+        logger.info('➖ Deleted webhook', { webhookId: webhook.WebhookID });
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err, 'Failed to delete webhook');
+    }
+});
+
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        const webhook = await findWebhook(req.params.id);
+        const filters = parseDeliveryFilters(req.query);
+        const { rows, total } = await store.listDeliveries(webhook.WebhookID, filters);
+
+        res.json({
+            deliveries: rows.map(toApiDelivery),
+            page: filters.page,
+            page_size: filters.pageSize,
+            total_items: total,
+            total_pages: Math.ceil(total / filters.pageSize)
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch webhook deliveries');
+    }
+});
+
+// Queues a ping event so receivers can check their endpoint and signature verification
+app.post('/api/webhooks/:id/ping', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        const webhook = await findActiveWebhook(req.params.id);
+        await store.createDeliveries([buildDelivery(webhook, 'ping', { message: 'Greek Tax News Hub webhook test' }, new Date())]);
+        res.status(202).json({ status: 'queued' });
+    } catch (err) {
+        sendError(res, err, 'Failed to queue ping');
+    }
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', async (req, res) => {
+    try {
+        await requireAdmin(req);
+        const webhook = await findActiveWebhook(req.params.id);
+        const delivery = await store.getDelivery(parseIdParam(req.params.deliveryId));
+        if (!delivery || delivery.WebhookID !== webhook.WebhookID) {
+            throw new ValidationError(`Delivery ${req.params.deliveryId} not found`, 404);
+        }
+
+        const updated = await store.updateDelivery(delivery.DeliveryID, {
+            Status: 'pending', Attempts: 0, NextAttemptAt: new Date(), Error: null, DeliveredAt: null
+        });
+        res.status(202).json(toApiDelivery(updated));
+    } catch (err) {
+        sendError(res, err, 'Failed to queue redelivery');
+    }
+});
+
+/**
+ * Resolves the bearer token of a request to its user
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Users row
+ */
+async function authenticate(req) {
+    requireStore();
+    const token = readBearerToken(req);
+    const user = token ? await store.findUserByTokenHash(hashToken(token)) : null;
+    if (!user) {
+        throw new ValidationError('Authentication required', 401);
+    }
+    return user;
+}
+
+// Usernames, comma-separated, that may manage feeds and webhooks
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Resolves the bearer token of a request to a user listed in ADMIN_USERS
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Users row
+ */
+async function requireAdmin(req) {
+    const user = await authenticate(req);
+    if (!ADMIN_USERS.includes(user.Username.toLowerCase())) {
+        throw new ValidationError('Administrator access required', 403);
+    }
+    return user;
+}
+
+/**
+ * Issues a new API token for a user
+ * @param {Object} user - Users row
+ * @param {Object} req - Express request, its User-Agent names the token
+ * @returns {Promise<Object>} - Response body with the user and the token
+ */
+async function issueToken(user, req) {
+    const { token, hash } = createApiToken();
+    await store.createApiToken(user.UserID, { TokenHash: hash, Name: (req.get('user-agent') || '').substring(0, 100) || null });
+    return { user: toApiUser(user), token };
+}
+
+app.post('/api/users', async (req, res) => {
+    try {
+        requireStore();
+        if (process.env.ALLOW_SIGNUP === 'false') {
+            throw new ValidationError('Sign-up is disabled', 403);
+        }
+
+        const { username, password } = validateCredentials(req.body);
+        if (await store.findUserByUsername(username)) {
+            throw new ValidationError(`Username "${username}" is taken`, 409);
+        }
+
+        const user = await store.createUser({ Username: username, PasswordHash: await hashPassword(password) });
+        logger.info('👤 Registered user', { userId: user.UserID });
+        res.status(201).json(await issueToken(user, req));
+    } catch (err) {
+        sendError(res, err, 'Failed to create user');
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        requireStore();
+        const { username, password } = validateCredentials(req.body);
+        const user = await store.findUserByUsername(username);
+        if (!user || !(await verifyPassword(password, user.PasswordHash))) {
+            throw new ValidationError('Invalid username or password', 401);
+        }
+        res.json(await issueToken(user, req));
+    } catch (err) {
+        sendError(res, err, 'Failed to log in');
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await authenticate(req);
+        await store.deleteApiToken(hashToken(readBearerToken(req)));
+        res.status(204).end();
+    } catch (err) {
+        sendError(res, err, 'Failed to log out');
+    }
+});
+
+app.get('/api/me', async (req, res) => {
+    try {
+        res.json(toApiUser(await authenticate(req)));
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch user');
+    }
+});
+
+// Read, bookmark and note state of the current user; ?articleIds=1,2 for a page, ?since= for changes
+app.get('/api/me/states', async (req, res) => {
+    try {
+        const user = await authenticate(req);
+        const states = await store.listArticleStates(user.UserID, parseStateFilters(req.query));
+        res.json({ states: states.map(toApiState), synced_at: new Date().toISOString() });
+    } catch (err) {
+        sendError(res, err, 'Failed to fetch article states');
+    }
 });
+
+app.put('/api/me/states/:articleId', async (req, res) => {
+    try {
+        const user = await authenticate(req);
+        const articleId = parseIdParam(req.params.articleId);
+        const state = await store.saveArticleState(user.UserID, articleId, validateStateInput(req.body));
+        if (!state) {
+            throw new ValidationError(`Article ${req.params.articleId} not found`, 404);
+        }
+        res.json(toApiState(state));
+    } catch (err) {
+        sendError(res, err, 'Failed to save article state');
+    }
+});
+
+// CSV, PDF digest or DOCX report of the articles matching the listing filters;
+// bookmarked=true limits it to the signed-in user's bookmarks, and their notes are included
+app.get('/api/export', async (req, res) => {
+    try {
+        const format = parseExportFormat(req.query);
+        const filters = { ...parseArticleFilters(req.query), page: 1, pageSize: MAX_EXPORT_ARTICLES };
+        const bookmarked = req.query.bookmarked === 'true';
+        const user = bookmarked || (readBearerToken(req) && store.isConnected()) ? await authenticate(req) : null;
+        if (bookmarked) {
+            filters.bookmarkedBy = user.UserID;
+        }
+
+        const listing = store.isConnected()
+            ? await store.listArticles(filters)
+            : filterArticleList(await fetchFallbackArticles(), filters);
+        let articles = listing.articles;
+
+        if (user && articles.length > 0) {
+            const states = await store.listArticleStates(user.UserID, { articleIds: articles.map(article => article.id) });
+            const notes = new Map(states.filter(state => state.Note).map(state => [state.ArticleID, state.Note]));
+            articles = articles.map(article => ({ ...article, note: notes.get(article.id) || null }));
+        }
+
+        const total = listing.total_items;
+        const { body, contentType, filename } = await renderExport(format, articles, filters, total);
+        logger.info('📄 Exported articles', { format, count: articles.length, total });
+        res.set('Content-Type', contentType);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        // Only the newest MAX_EXPORT_ARTICLES are exported; the PDF and DOCX headings say so as well
+        res.set('X-Total-Count', String(total));
+        if (total > articles.length) {
+            res.set('X-Export-Truncated', 'true');
+        }
+        res.send(body);
+    } catch (err) {
+        sendError(res, err, 'Failed to export articles');
+    }
+});
+
+/**
+ * Builds the digest of the :period route parameter
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - From buildDigest
+ */
+async function loadDigest(req) {
+    const range = parsePeriod(req.params.period);
+
+    let articles;
+    if (store.isConnected()) {
+        articles = await store.listDigestArticles(range.from, range.to);
+    } else {
+        articles = (await fetchFallbackArticles())
+            .filter(article => new Date(article.pub_date) >= range.from && new Date(article.pub_date) < range.to)
+            .map(article => ({ ...article, deadlines: articleDeadlines(article), references: articleReferences(article) }));
+    }
+
+    return buildDigest(articles, range);
+}
+
+// "What changed" summary of a period: daily, weekly, 2026-10-19 or 2026-W42
+app.get('/api/digests/:period', async (req, res) => {
+    try {
+        res.set('Cache-Control', 'public, max-age=600');
+        res.json(await loadDigest(req));
+    } catch (err) {
+        sendError(res, err, 'Failed to build digest');
+    }
+});
+
+app.get('/digests/:period', async (req, res) => {
+    try {
+        const digest = await loadDigest(req);
+        const baseUrl = publicBaseUrl(req);
+        res.set('Cache-Control', 'public, max-age=600');
+        res.send(renderDigestHtml(digest, {
+            jsonUrl: `${baseUrl}/api/digests/${encodeURIComponent(req.params.period)}`,
+            referenceUrl: reference => `${baseUrl}/api/references/${encodeURIComponent(reference)}/articles`
+        }));
+    } catch (err) {
+        res.status(err.status || 500).send(renderAlertPage(escapeHtml(err.message)));
+    }
+});
+
+/**
+ * Connects the configured store, starts the background workers and listens
+ * @returns {http.Server}
+ */
+function start() {
+    const PORT = process.env.PORT || 3000;
+    return app.listen(PORT, async () => {
+        logger.info(`🚀 Server running on port ${PORT} (storage: ${store.name})`);
+        try {
+            await store.connect();
+        } catch (err) {
+            logger.error('Failed to establish initial database connection:', err);
+        }
+
+        if (process.env.INGEST_ENABLED !== 'false') {
+            startIngestionWorker(store, {
+                intervalMinutes: INGEST_INTERVAL_MINUTES,
+                disableAfterFailures: parseInt(process.env.FEED_DISABLE_AFTER_FAILURES) || undefined
+            });
+        }
+
+        if (process.env.ENRICH_ENABLED !== 'false') {
+            startEnrichmentWorker(store);
+        }
+
+        if (process.env.WEBHOOKS_ENABLED !== 'false') {
+            startWebhookWorker(store);
+        }
+
+        if (mailer) {
+            startAlertWorker(store, mailer, {
+                publicUrl: publicBaseUrl(),
+                digestHour: process.env.ALERT_DIGEST_HOUR ? parseInt(process.env.ALERT_DIGEST_HOUR) : undefined
+            });
+        } else {
+            logger.warn('⚠️ SMTP_HOST not set, email alerts are disabled');
+        }
+    });
+}
+
+if (require.main === module) {
+    start();
+
+    // Global error handlers
+    process.on('unhandledRejection', (reason, promise) => {
+        logger.error('Unhandled Rejection at:', {
+            promise,
+            reason
+        });
+    });
+
+    process.on('uncaughtException', (error) => {
+        logger.error('Uncaught Exception:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { app, store, start };
@@ -0,0 +1,56 @@
+const path = require('path');
+const MssqlStore = require('./mssql-store');
+const JsonStore = require('./json-store');
+
+const DEFAULT_JSON_STORE_PATH = path.join(__dirname, '..', 'data', 'store.json');
+
+/**
+ * Creates the article/feed repository selected by configuration.
+ *
+ * STORAGE_DRIVER=mssql requires DB_SERVER, DB_NAME, DB_USER and DB_PASSWORD.
+ * STORAGE_DRIVER=json keeps data in JSON_STORE_PATH (or in memory with ':memory:').
+ * Without STORAGE_DRIVER, mssql is used when DB_SERVER is set, json otherwise.
+ *
+ * @param {Object} [env] - Environment variables
+ * @returns {MssqlStore|JsonStore}
+ */
+function createStore(env = process.env) {
+    const driver = env.STORAGE_DRIVER || (env.DB_SERVER ? 'mssql' : 'json');
+
+    if (driver === 'json') {
+        return new JsonStore({ filePath: env.JSON_STORE_PATH || DEFAULT_JSON_STORE_PATH });
+    }
+
+    if (driver !== 'mssql') {
+        throw new Error(`Unknown STORAGE_DRIVER: ${driver}. Use "mssql" or "json"`);
+    }
+
+    // Validate required environment variables
+    const requiredEnvVars = ['DB_SERVER', 'DB_NAME', 'DB_USER', 'DB_PASSWORD'];
+    const missingVars = requiredEnvVars.filter(varName => !env[varName]);
+    if (missingVars.length > 0) {
+        throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+    }
+
+    // Database configuration with validation and pooling
+    return new MssqlStore({
+        server: env.DB_SERVER,
+        database: env.DB_NAME,
+        user: env.DB_USER,
+        password: env.DB_PASSWORD,
+        options: {
+            encrypt: env.DB_ENCRYPT === 'true',
+            trustServerCertificate: true,
+            enableArithAbort: true,
+            connectionTimeout: 30000,
+            requestTimeout: 30000,
+            pool: {
+                max: 10,
+                min: 0,
+                idleTimeoutMillis: 30000
+            }
+        }
+    });
+}
+
+module.exports = { createStore };
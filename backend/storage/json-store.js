@@ -0,0 +1,736 @@
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('../logger');
+const { DEFAULT_FEEDS, encodeTopics, toApiArticle, toApiDeadline, toApiReference, toApiAttachment, matchesFilters, filterArticleList } = require('../articles');
+const { matchesDeadlineFilters } = require('../deadlines');
+
+const MEMORY = ':memory:';
+
+// Collections kept in the file; missing ones are added when an older file is loaded
+const COLLECTIONS = ['feeds', 'articles', 'deadlines', 'references', 'attachments', 'subscriptions', 'webhooks', 'deliveries', 'users', 'tokens', 'states', 'fetches'];
+
+// Fetches kept per feed in the fetch history
+const FETCH_HISTORY_LIMIT = 50;
+
+// Token LastUsedAt is only rewritten when it is older than this, so requests do not rewrite the file
+const TOKEN_USE_RESOLUTION_MS = 60 * 60 * 1000;
+
+/**
+ * Copies column values onto a row, storing dates as ISO strings like the rest of the file
+ * @param {Object} row - Row to update
+ * @param {Object} fields - Column values
+ * @returns {Object} - The row
+ */
+function assignColumns(row, fields) {
+    Object.entries(fields).forEach(([column, value]) => {
+        row[column] = value instanceof Date ? value.toISOString() : value;
+    });
+    return row;
+}
+
+/**
+ * Article and feed repository kept in memory and persisted to a JSON file.
+ * Uses the same column names as the SQL Server tables so rows are interchangeable.
+ */
+class JsonStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - JSON file to persist to, or ':memory:' to keep nothing on disk
+     */
+    constructor({ filePath }) {
+        this.name = 'json';
+        this.filePath = filePath;
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async connect() {
+        if (this.filePath !== MEMORY) {
+            try {
+                this.data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+                COLLECTIONS.forEach(name => {
+                    this.data[name] = this.data[name] || [];
+                });
+                // Subscriptions made before double opt-in count as confirmed
+                this.data.subscriptions
+                    .filter(row => row.ConfirmedAt === undefined)
+                    .forEach(row => { row.ConfirmedAt = row.CreatedAt; });
+                logger.info(`✅ Loaded JSON store from ${this.filePath}`);
+                return;
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+        }
+
+        logger.info(`🆕 Initializing JSON store at ${this.filePath}`);
+        this.data = {
+            nextIds: { feed: DEFAULT_FEEDS.length + 1 },
+            ...Object.fromEntries(COLLECTIONS.map(name => [name, []])),
+            feeds: DEFAULT_FEEDS.map(feed => ({ ...feed, IsActive: true }))
+        };
+        await this.save();
+    }
+
+    isConnected() {
+        return this.data !== null;
+    }
+
+    async healthCheck() {
+        if (!this.data) {
+            throw new Error('JSON store not loaded');
+        }
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+
+    /**
+     * Persists the current state; writes are serialized and atomic (temp file + rename)
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (this.filePath === MEMORY) {
+            return Promise.resolve();
+        }
+
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tmpPath = `${this.filePath}.tmp`;
+                await fs.writeFile(tmpPath, JSON.stringify(this.data));
+                await fs.rename(tmpPath, this.filePath);
+            });
+
+        return this.writeQueue;
+    }
+
+    nextId(kind) {
+        this.data.nextIds[kind] = this.data.nextIds[kind] || 1;
+        return this.data.nextIds[kind]++;
+    }
+
+    // Feeds
+
+    async listFeeds({ activeOnly = true } = {}) {
+        return this.data.feeds.filter(feed => !activeOnly || feed.IsActive);
+    }
+
+    async getFeed(feedId) {
+        return this.data.feeds.find(feed => feed.FeedID === feedId) || null;
+    }
+
+    async findFeedByUrl(url) {
+        return this.data.feeds.find(feed => feed.FeedURL === url) || null;
+    }
+
+    async createFeed(fields) {
+        const feed = {
+            FeedID: this.nextId('feed'),
+            Category: null,
+            IsActive: true,
+            RefreshIntervalMinutes: null,
+            FeedType: 'rss',
+            ScraperRules: null,
+            ConsecutiveFailures: 0,
+            ...fields
+        };
+        this.data.feeds.push(feed);
+        await this.save();
+        return feed;
+    }
+
+    async updateFeed(feedId, fields) {
+        const feed = await this.getFeed(feedId);
+        if (!feed) return null;
+
+        assignColumns(feed, fields);
+        await this.save();
+        return feed;
+    }
+
+    /**
+     * Deletes a feed together with its fetch history and its articles
+     * @param {number} feedId - Feed identifier
+     * @returns {Promise<boolean>} - False when the feed does not exist
+     */
+    async deleteFeed(feedId) {
+        const index = this.data.feeds.findIndex(feed => feed.FeedID === feedId);
+        if (index === -1) return false;
+
+        const articleIds = new Set(this.data.articles.filter(row => row.FeedID === feedId).map(row => row.ArticleID));
+        this.data.feeds.splice(index, 1);
+        this.data.articles = this.data.articles.filter(row => row.FeedID !== feedId);
+        this.data.deadlines = this.data.deadlines.filter(row => !articleIds.has(row.ArticleID));
+        this.data.references = this.data.references.filter(row => !articleIds.has(row.ArticleID));
+        this.data.attachments = this.data.attachments.filter(row => !articleIds.has(row.ArticleID));
+        this.data.states = this.data.states.filter(row => !articleIds.has(row.ArticleID));
+        this.data.fetches = this.data.fetches.filter(row => row.FeedID !== feedId);
+        await this.save();
+        return true;
+    }
+
+    /**
+     * Records the outcome of a fetch on the feed row and in its fetch history
+     * @param {number} feedId - Feed identifier
+     * @param {Object} result - status ('ok' or 'error'), error, itemCount, httpStatus, latencyMs
+     * @returns {Promise<Object|null>} - The updated feed row
+     */
+    async recordFeedStatus(feedId, { status, error = null, itemCount = null, httpStatus = null, latencyMs = null }) {
+        const feed = await this.getFeed(feedId);
+        if (!feed) return null;
+
+        const now = new Date().toISOString();
+        Object.assign(feed, {
+            LastFetchedAt: now,
+            LastFetchStatus: status,
+            LastFetchError: error,
+            LastItemCount: itemCount,
+            LastHttpStatus: httpStatus,
+            LastLatencyMs: latencyMs,
+            LastSuccessAt: status === 'ok' ? now : feed.LastSuccessAt || null,
+            ConsecutiveFailures: status === 'ok' ? 0 : (feed.ConsecutiveFailures || 0) + 1
+        });
+
+        this.data.fetches.push({
+            FetchID: this.nextId('fetch'),
+            FeedID: feedId,
+            FetchedAt: now,
+            Status: status,
+            HttpStatus: httpStatus,
+            ItemCount: itemCount,
+            LatencyMs: latencyMs,
+            Error: error
+        });
+        const history = this.data.fetches.filter(row => row.FeedID === feedId);
+        if (history.length > FETCH_HISTORY_LIMIT) {
+            const pruned = new Set(history.slice(0, history.length - FETCH_HISTORY_LIMIT));
+            this.data.fetches = this.data.fetches.filter(row => !pruned.has(row));
+        }
+
+        await this.save();
+        return feed;
+    }
+
+    /**
+     * Latest fetches of every feed, newest first
+     * @param {number} limit - Fetches per feed
+     * @returns {Promise<Array>} - Fetch history rows
+     */
+    async listFeedFetches(limit) {
+        const counts = new Map();
+        return [...this.data.fetches].reverse().filter(row => {
+            const count = (counts.get(row.FeedID) || 0) + 1;
+            counts.set(row.FeedID, count);
+            return count <= limit;
+        });
+    }
+
+    // Articles
+
+    /**
+     * Inserts new articles of a feed and refreshes existing ones, keyed by (FeedID, Guid)
+     * @param {Object} feed - RSSFeeds row
+     * @param {Array} articles - Records with guid, title, description, link, publishDate, topics, deadlines, references
+     * @returns {Promise<number>} - Number of inserted articles
+     */
+    async upsertArticles(feed, articles) {
+        const byGuid = new Map(this.data.articles
+            .filter(row => row.FeedID === feed.FeedID)
+            .map(row => [row.Guid, row]));
+        const now = new Date().toISOString();
+        let inserted = 0;
+
+        articles.forEach(article => {
+            const existing = byGuid.get(article.guid);
+            if (existing) {
+                Object.assign(existing, {
+                    Title: article.title,
+                    Description: article.description,
+                    ContentHtml: article.contentHtml || null,
+                    Link: article.link,
+                    PublishDate: existing.PublishDate || (article.publishDate ? new Date(article.publishDate).toISOString() : null),
+                    UpdatedAt: now
+                });
+                // Topics, deadlines and references of enriched articles come from the full text
+                if (!existing.FullText) {
+                    existing.Topics = encodeTopics(article.topics);
+                    this.replaceDeadlines(existing.ArticleID, article.deadlines);
+                    this.replaceReferences(existing.ArticleID, article.references);
+                }
+                return;
+            }
+
+            const row = {
+                ArticleID: this.nextId('article'),
+                FeedID: feed.FeedID,
+                Guid: article.guid,
+                Title: article.title,
+                Description: article.description,
+                ContentHtml: article.contentHtml || null,
+                Link: article.link,
+                PublishDate: article.publishDate ? new Date(article.publishDate).toISOString() : null,
+                Category: feed.Category || null,
+                Topics: encodeTopics(article.topics),
+                CreatedAt: now,
+                UpdatedAt: null
+            };
+            this.data.articles.push(row);
+            byGuid.set(row.Guid, row);
+            this.replaceDeadlines(row.ArticleID, article.deadlines);
+            this.replaceReferences(row.ArticleID, article.references);
+            inserted++;
+        });
+
+        await this.save();
+        return inserted;
+    }
+
+    /**
+     * Replaces the extracted deadlines of an article; undefined leaves them untouched
+     * @param {number} articleId
+     * @param {Array} [deadlines] - Records with due_date, kind, description
+     */
+    replaceDeadlines(articleId, deadlines) {
+        if (!deadlines) return;
+
+        this.data.deadlines = this.data.deadlines.filter(row => row.ArticleID !== articleId);
+        deadlines.forEach(deadline => {
+            this.data.deadlines.push({
+                DeadlineID: this.nextId('deadline'),
+                ArticleID: articleId,
+                DueDate: deadline.due_date,
+                Kind: deadline.kind,
+                Description: deadline.description
+            });
+        });
+    }
+
+    /**
+     * Replaces the legal references cited by an article; undefined leaves them untouched
+     * @param {number} articleId
+     * @param {Array} [references] - Records with reference and kind
+     */
+    replaceReferences(articleId, references) {
+        if (!references) return;
+
+        this.data.references = this.data.references.filter(row => row.ArticleID !== articleId);
+        references.forEach(reference => {
+            this.data.references.push({
+                ReferenceID: this.nextId('reference'),
+                ArticleID: articleId,
+                Reference: reference.reference,
+                Kind: reference.kind
+            });
+        });
+    }
+
+    /**
+     * Lists deadlines of active feeds, soonest first
+     * @param {Object} filters - from/to Dates, feedId, topic
+     * @returns {Promise<Array>} - Deadlines in the API shape
+     */
+    async listDeadlines(filters) {
+        const articles = new Map(this.activeArticles().map(article => [article.id, article]));
+
+        return this.data.deadlines
+            .filter(row => articles.has(row.ArticleID))
+            .map(row => toApiDeadline({ ...row }, articles.get(row.ArticleID)))
+            .filter(deadline => matchesDeadlineFilters(deadline, filters))
+            .sort((a, b) => a.due_date.localeCompare(b.due_date));
+    }
+
+    /**
+     * Articles of active feeds in the API shape
+     * @param {Function} [mapRow] - Adds fields from the stored row to each article
+     * @returns {Array}
+     */
+    activeArticles(mapRow = () => ({})) {
+        const feeds = new Map(this.data.feeds.filter(feed => feed.IsActive).map(feed => [feed.FeedID, feed]));
+
+        return this.data.articles
+            .filter(row => feeds.has(row.FeedID))
+            .map(row => {
+                const feed = feeds.get(row.FeedID);
+                return { ...toApiArticle({ ...row, FeedName: feed.FeedName, FeedCategory: feed.Category }), ...mapRow(row) };
+            });
+    }
+
+    async listArticles(filters) {
+        let articles = this.activeArticles();
+        if (filters.reference) {
+            const citing = new Set(this.data.references
+                .filter(row => row.Reference === filters.reference)
+                .map(row => row.ArticleID));
+            articles = articles.filter(article => citing.has(article.id));
+        }
+        if (filters.bookmarkedBy) {
+            const bookmarked = new Set(this.data.states
+                .filter(row => row.UserID === filters.bookmarkedBy && row.IsBookmarked)
+                .map(row => row.ArticleID));
+            articles = articles.filter(article => bookmarked.has(article.id));
+        }
+        return filterArticleList(articles, filters);
+    }
+
+    async searchCandidates(query, filters) {
+        return this.activeArticles(row => ({ full_text: row.FullText || '' }))
+            .filter(article => matchesFilters(article, filters));
+    }
+
+    /**
+     * Articles of active feeds first stored within a time window, for alert matching
+     * @param {Date} since - Exclusive
+     * @param {Date} until - Inclusive
+     * @returns {Promise<Array>} - Articles in the API shape with created_at
+     */
+    async listArticlesCreatedBetween(since, until) {
+        return this.activeArticles(row => ({ created_at: row.CreatedAt }))
+            .filter(article => new Date(article.created_at) > since && new Date(article.created_at) <= until);
+    }
+
+    /**
+     * Articles published in a period with their text, deadlines and references, for digests
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {Promise<Array>}
+     */
+    async listDigestArticles(from, to) {
+        return this.activeArticles(row => ({ full_text: row.FullText || '' }))
+            .filter(article => new Date(article.pub_date) >= from && new Date(article.pub_date) < to)
+            .sort((a, b) => new Date(b.pub_date) - new Date(a.pub_date))
+            .map(article => ({
+                ...article,
+                deadlines: this.data.deadlines
+                    .filter(row => row.ArticleID === article.id)
+                    .sort((a, b) => a.DueDate.localeCompare(b.DueDate))
+                    .map(row => toApiDeadline(row)),
+                references: this.data.references
+                    .filter(row => row.ArticleID === article.id)
+                    .map(toApiReference)
+            }));
+    }
+
+    /**
+     * Articles of active feeds whose page has not been fetched yet, newest first
+     * @param {number} limit
+     * @returns {Promise<Array>} - Articles in the API shape
+     */
+    async listArticlesToEnrich(limit) {
+        const pending = new Set(this.data.articles.filter(row => !row.EnrichedAt && row.Link).map(row => row.ArticleID));
+
+        return this.activeArticles()
+            .filter(article => pending.has(article.id))
+            .sort((a, b) => new Date(b.pub_date) - new Date(a.pub_date))
+            .slice(0, limit);
+    }
+
+    /**
+     * Stores the outcome of enriching an article
+     * @param {number} articleId
+     * @param {Object} result - fullText, attachments, topics, deadlines and references, or only error on failure
+     */
+    async saveEnrichment(articleId, { fullText, attachments, topics, deadlines, references, error = null }) {
+        const row = this.data.articles.find(candidate => candidate.ArticleID === articleId);
+        if (!row) return;
+
+        Object.assign(row, { EnrichedAt: new Date().toISOString(), EnrichmentError: error });
+        if (!error) {
+            Object.assign(row, { FullText: fullText, Topics: encodeTopics(topics) });
+            this.replaceDeadlines(articleId, deadlines);
+            this.replaceReferences(articleId, references);
+            this.data.attachments = this.data.attachments.filter(attachment => attachment.ArticleID !== articleId);
+            attachments.forEach(attachment => {
+                this.data.attachments.push({
+                    AttachmentID: this.nextId('attachment'),
+                    ArticleID: articleId,
+                    URL: attachment.url,
+                    Title: attachment.title,
+                    DocumentType: attachment.type,
+                    TextContent: attachment.text,
+                    Error: attachment.error
+                });
+            });
+        }
+        await this.save();
+    }
+
+    /**
+     * An article of an active feed with its full text, attachments and legal references
+     * @param {number} articleId
+     * @returns {Promise<Object|null>}
+     */
+    async getArticleContent(articleId) {
+        const row = this.data.articles.find(candidate => candidate.ArticleID === articleId);
+        const article = row && this.activeArticles().find(candidate => candidate.id === articleId);
+        if (!article) return null;
+
+        return {
+            ...article,
+            content_html: row.ContentHtml || null,
+            full_text: row.FullText || null,
+            enriched_at: row.EnrichedAt || null,
+            enrichment_error: row.EnrichmentError || null,
+            references: this.data.references
+                .filter(row => row.ArticleID === articleId)
+                .map(toApiReference),
+            attachments: this.data.attachments
+                .filter(row => row.ArticleID === articleId)
+                .map(toApiAttachment)
+        };
+    }
+
+    // Alert subscriptions
+
+    async listSubscriptions({ activeOnly = false } = {}) {
+        return this.data.subscriptions.filter(row => !activeOnly || row.IsActive);
+    }
+
+    async findSubscriptionByToken(token) {
+        return this.data.subscriptions.find(row => row.Token === token) || null;
+    }
+
+    async createSubscription(fields) {
+        const row = {
+            SubscriptionID: this.nextId('subscription'),
+            IsActive: true,
+            CreatedAt: new Date().toISOString(),
+            ConfirmedAt: null,
+            LastNotifiedAt: null,
+            ...fields
+        };
+        this.data.subscriptions.push(row);
+        await this.save();
+        return row;
+    }
+
+    async updateSubscription(subscriptionId, fields) {
+        const row = this.data.subscriptions.find(candidate => candidate.SubscriptionID === subscriptionId);
+        if (!row) return null;
+
+        assignColumns(row, fields);
+        await this.save();
+        return row;
+    }
+
+    async deleteSubscription(subscriptionId) {
+        const index = this.data.subscriptions.findIndex(row => row.SubscriptionID === subscriptionId);
+        if (index === -1) return false;
+
+        this.data.subscriptions.splice(index, 1);
+        await this.save();
+        return true;
+    }
+
+    // Webhooks
+
+    async listWebhooks({ activeOnly = false } = {}) {
+        return this.data.webhooks.filter(row => !activeOnly || row.IsActive);
+    }
+
+    async getWebhook(webhookId) {
+        return this.data.webhooks.find(row => row.WebhookID === webhookId) || null;
+    }
+
+    async createWebhook(fields) {
+        const row = {
+            WebhookID: this.nextId('webhook'),
+            Description: null,
+            IsActive: true,
+            CreatedAt: new Date().toISOString(),
+            LastEventAt: null,
+            ...fields
+        };
+        this.data.webhooks.push(row);
+        await this.save();
+        return row;
+    }
+
+    async updateWebhook(webhookId, fields) {
+        const row = await this.getWebhook(webhookId);
+        if (!row) return null;
+
+        assignColumns(row, fields);
+        await this.save();
+        return row;
+    }
+
+    /**
+     * Deletes a webhook together with its delivery log
+     * @param {number} webhookId
+     * @returns {Promise<boolean>} - False when the webhook does not exist
+     */
+    async deleteWebhook(webhookId) {
+        const index = this.data.webhooks.findIndex(row => row.WebhookID === webhookId);
+        if (index === -1) return false;
+
+        this.data.webhooks.splice(index, 1);
+        this.data.deliveries = this.data.deliveries.filter(row => row.WebhookID !== webhookId);
+        await this.save();
+        return true;
+    }
+
+    async createDeliveries(rows) {
+        const now = new Date().toISOString();
+        rows.forEach(fields => {
+            const row = {
+                DeliveryID: this.nextId('delivery'),
+                CreatedAt: now,
+                LastAttemptAt: null,
+                ResponseStatus: null,
+                Error: null,
+                DeliveredAt: null
+            };
+            this.data.deliveries.push(assignColumns(row, fields));
+        });
+        await this.save();
+    }
+
+    async getDelivery(deliveryId) {
+        return this.data.deliveries.find(row => row.DeliveryID === deliveryId) || null;
+    }
+
+    async updateDelivery(deliveryId, fields) {
+        const row = await this.getDelivery(deliveryId);
+        if (!row) return null;
+
+        assignColumns(row, fields);
+        await this.save();
+        return row;
+    }
+
+    /**
+     * Pending deliveries of active webhooks whose next attempt is due, oldest first.
+     * Deliveries of paused webhooks wait, without holding up the others, until it is reactivated.
+     * @param {Date} now
+     * @param {number} limit
+     * @returns {Promise<Array>}
+     */
+    async listDueDeliveries(now, limit) {
+        const active = new Set(this.data.webhooks.filter(row => row.IsActive).map(row => row.WebhookID));
+        return this.data.deliveries
+            .filter(row => row.Status === 'pending' && new Date(row.NextAttemptAt) <= now && active.has(row.WebhookID))
+            .sort((a, b) => new Date(a.NextAttemptAt) - new Date(b.NextAttemptAt) || a.DeliveryID - b.DeliveryID)
+            .slice(0, limit);
+    }
+
+    /**
+     * Delivery log of a webhook, newest first
+     * @param {number} webhookId
+     * @param {Object} filters - status, page, pageSize
+     * @returns {Promise<{rows: Array, total: number}>}
+     */
+    async listDeliveries(webhookId, { status, page, pageSize }) {
+        const matching = this.data.deliveries
+            .filter(row => row.WebhookID === webhookId && (!status || row.Status === status))
+            .sort((a, b) => b.DeliveryID - a.DeliveryID);
+
+        return {
+            rows: matching.slice((page - 1) * pageSize, page * pageSize),
+            total: matching.length
+        };
+    }
+
+    // Users, API tokens and per-user article state
+
+    async createUser({ Username, PasswordHash }) {
+        const row = {
+            UserID: this.nextId('user'),
+            Username,
+            PasswordHash,
+            CreatedAt: new Date().toISOString()
+        };
+        this.data.users.push(row);
+        await this.save();
+        return row;
+    }
+
+    async findUserByUsername(username) {
+        return this.data.users.find(row => row.Username === username) || null;
+    }
+
+    async createApiToken(userId, { TokenHash, Name = null }) {
+        const row = {
+            TokenID: this.nextId('token'),
+            UserID: userId,
+            TokenHash,
+            Name,
+            CreatedAt: new Date().toISOString(),
+            LastUsedAt: null
+        };
+        this.data.tokens.push(row);
+        await this.save();
+        return row;
+    }
+
+    /**
+     * Resolves a token hash to its user and records the use, at most once per TOKEN_USE_RESOLUTION_MS
+     * @param {string} tokenHash - sha256 of the bearer token
+     * @returns {Promise<Object|null>} - Users row
+     */
+    async findUserByTokenHash(tokenHash) {
+        const token = this.data.tokens.find(row => row.TokenHash === tokenHash);
+        if (!token) return null;
+
+        const now = new Date();
+        if (!token.LastUsedAt || now - new Date(token.LastUsedAt) >= TOKEN_USE_RESOLUTION_MS) {
+            token.LastUsedAt = now.toISOString();
+            await this.save();
+        }
+        return this.data.users.find(row => row.UserID === token.UserID) || null;
+    }
+
+    async deleteApiToken(tokenHash) {
+        const before = this.data.tokens.length;
+        this.data.tokens = this.data.tokens.filter(row => row.TokenHash !== tokenHash);
+        await this.save();
+        return this.data.tokens.length < before;
+    }
+
+    /**
+     * Article states of a user, most recently changed first
+     * @param {number} userId
+     * @param {Object} filters - articleIds, since, bookmarked (from parseStateFilters)
+     * @returns {Promise<Array>}
+     */
+    async listArticleStates(userId, { articleIds, since, bookmarked }) {
+        const ids = articleIds ? new Set(articleIds) : null;
+        return this.data.states
+            .filter(row => row.UserID === userId &&
+                (!ids || ids.has(row.ArticleID)) &&
+                (!since || new Date(row.UpdatedAt) > since) &&
+                (!bookmarked || row.IsBookmarked))
+            .sort((a, b) => new Date(b.UpdatedAt) - new Date(a.UpdatedAt));
+    }
+
+    /**
+     * Stores read/bookmark/note changes of a user. A change older than the stored
+     * state (an offline edit replayed late) leaves the newer state in place.
+     * @param {number} userId
+     * @param {number} articleId
+     * @param {Object} fields - From validateStateInput
+     * @returns {Promise<Object|null>} - The resulting row, null when the article does not exist
+     */
+    async saveArticleState(userId, articleId, fields) {
+        if (!this.data.articles.some(row => row.ArticleID === articleId)) return null;
+
+        let row = this.data.states.find(state => state.UserID === userId && state.ArticleID === articleId);
+        if (!row) {
+            row = { UserID: userId, ArticleID: articleId, IsRead: false, IsBookmarked: false, Note: null, UpdatedAt: null };
+            this.data.states.push(row);
+        } else if (new Date(row.UpdatedAt) > fields.UpdatedAt) {
+            return row;
+        }
+
+        assignColumns(row, fields);
+        await this.save();
+        return row;
+    }
+}
+
+JsonStore.MEMORY = MEMORY;
+
+module.exports = JsonStore;
@@ -0,0 +1,1026 @@
+const sql = require('mssql');
+const logger = require('../logger');
+const { toApiArticle, toApiDeadline, toApiReference, toApiAttachment, buildPage, encodeTopics } = require('../articles');
+const { parseQuery, toLikePattern } = require('../search');
+
+const SORT_COLUMNS = {
+    date: 'a.PublishDate',
+    title: 'a.Title',
+    source: 'f.FeedName'
+};
+
+const MAX_SEARCH_CANDIDATES = 500;
+
+// Article columns for listings; FullText is only loaded where it is needed
+const ARTICLE_COLUMNS = 'a.ArticleID, a.FeedID, a.Guid, a.Title, a.Description, a.Link, a.PublishDate, a.Category, a.Topics, a.CreatedAt, a.UpdatedAt';
+
+// Writable AlertSubscriptions columns and their parameter types
+const SUBSCRIPTION_COLUMNS = {
+    Email: sql.NVarChar(320),
+    Frequency: sql.NVarChar(20),
+    Criteria: sql.NVarChar(sql.MAX),
+    Token: sql.NVarChar(64),
+    IsActive: sql.Bit,
+    ConfirmedAt: sql.DateTime2,
+    LastNotifiedAt: sql.DateTime2
+};
+
+// Writable Webhooks columns and their parameter types
+const WEBHOOK_COLUMNS = {
+    URL: sql.NVarChar(1000),
+    Description: sql.NVarChar(200),
+    Secret: sql.NVarChar(128),
+    Criteria: sql.NVarChar(sql.MAX),
+    IsActive: sql.Bit,
+    LastEventAt: sql.DateTime2
+};
+
+// Writable WebhookDeliveries columns and their parameter types
+const DELIVERY_COLUMNS = {
+    WebhookID: sql.Int,
+    ArticleID: sql.Int,
+    Event: sql.NVarChar(50),
+    Payload: sql.NVarChar(sql.MAX),
+    Status: sql.NVarChar(20),
+    Attempts: sql.Int,
+    NextAttemptAt: sql.DateTime2,
+    LastAttemptAt: sql.DateTime2,
+    ResponseStatus: sql.Int,
+    Error: sql.NVarChar(1000),
+    DeliveredAt: sql.DateTime2
+};
+
+// Writable ArticleStates columns and their parameter types
+const STATE_COLUMNS = {
+    IsRead: sql.Bit,
+    IsBookmarked: sql.Bit,
+    Note: sql.NVarChar(4000),
+    UpdatedAt: sql.DateTime2
+};
+
+// Writable RSSFeeds columns and their parameter types
+const FEED_COLUMNS = {
+    FeedName: sql.NVarChar(200),
+    FeedURL: sql.NVarChar(1000),
+    Category: sql.NVarChar(100),
+    IsActive: sql.Bit,
+    RefreshIntervalMinutes: sql.Int,
+    FeedType: sql.NVarChar(20),
+    ScraperRules: sql.NVarChar(sql.MAX),
+    ConsecutiveFailures: sql.Int,
+    AutoDisabledAt: sql.DateTime2
+};
+
+// Fetches kept per feed in FeedFetches
+const FETCH_HISTORY_LIMIT = 50;
+
+/**
+ * Adds the feed, category, topic, date and legal reference filters to a request
+ * @param {sql.Request} request - Request to bind inputs on
+ * @param {Object} filters - Listing options from parseArticleFilters
+ * @returns {string[]} - WHERE conditions referencing the bound inputs
+ */
+function bindArticleFilters(request, filters) {
+    const conditions = ['f.IsActive = 1'];
+
+    if (filters.feedId !== null && filters.feedId !== undefined) {
+        request.input('feedId', sql.Int, filters.feedId);
+        conditions.push('a.FeedID = @feedId');
+    }
+    if (filters.category) {
+        request.input('category', sql.NVarChar(100), filters.category);
+        conditions.push('COALESCE(a.Category, f.Category) = @category');
+    }
+    if (filters.topic) {
+        request.input('topic', sql.NVarChar(100), `%|${filters.topic}|%`);
+        conditions.push('a.Topics LIKE @topic');
+    }
+    if (filters.from) {
+        request.input('from', sql.DateTime2, filters.from);
+        conditions.push('a.PublishDate >= @from');
+    }
+    if (filters.to) {
+        request.input('to', sql.DateTime2, filters.to);
+        conditions.push('a.PublishDate <= @to');
+    }
+    if (filters.reference) {
+        request.input('reference', sql.NVarChar(40), filters.reference);
+        conditions.push('EXISTS (SELECT 1 FROM ArticleReferences r WHERE r.ArticleID = a.ArticleID AND r.Reference = @reference)');
+    }
+    if (filters.bookmarkedBy) {
+        request.input('bookmarkedBy', sql.Int, filters.bookmarkedBy);
+        conditions.push('EXISTS (SELECT 1 FROM ArticleStates s WHERE s.ArticleID = a.ArticleID AND s.UserID = @bookmarkedBy AND s.IsBookmarked = 1)');
+    }
+
+    return conditions;
+}
+
+/**
+ * Article and feed repository backed by SQL Server
+ */
+class MssqlStore {
+    constructor(config) {
+        this.name = 'mssql';
+        this.config = config;
+        this.pool = null;
+    }
+
+    /**
+     * Connects to the database with retry mechanism
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        const maxRetries = 3;
+        let retryCount = 0;
+
+        while (retryCount < maxRetries) {
+            try {
+                logger.info('🔗 Attempting database connection...');
+                this.pool = await sql.connect(this.config);
+                logger.info('✅ Connected to SQL Server successfully!');
+                return;
+            } catch (err) {
+                retryCount++;
+                logger.error(`❌ Database connection attempt ${retryCount} failed:`, err);
+
+                if (retryCount === maxRetries) {
+                    logger.error('❌ Maximum database connection retries reached');
+                    throw err;
+                }
+
+                // Exponential backoff
+                const delay = Math.min(1000 * Math.pow(2, retryCount), 10000);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    isConnected() {
+        return Boolean(this.pool);
+    }
+
+    async healthCheck() {
+        await this.pool.request().query('SELECT 1 as status');
+    }
+
+    async close() {
+        if (this.pool) {
+            await this.pool.close();
+            this.pool = null;
+        }
+    }
+
+    // Feeds
+
+    async listFeeds({ activeOnly = true } = {}) {
+        const result = await this.pool.request()
+            .query(`SELECT * FROM RSSFeeds${activeOnly ? ' WHERE IsActive = 1' : ''}`);
+        return result.recordset;
+    }
+
+    async getFeed(feedId) {
+        const result = await this.pool.request()
+            .input('feedId', sql.Int, feedId)
+            .query('SELECT * FROM RSSFeeds WHERE FeedID = @feedId');
+        return result.recordset[0] || null;
+    }
+
+    async findFeedByUrl(url) {
+        const result = await this.pool.request()
+            .input('url', sql.NVarChar(1000), url)
+            .query('SELECT * FROM RSSFeeds WHERE FeedURL = @url');
+        return result.recordset[0] || null;
+    }
+
+    async createFeed(fields) {
+        const request = this.pool.request();
+        const columns = Object.keys(fields).filter(column => FEED_COLUMNS[column]);
+        columns.forEach(column => request.input(column, FEED_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            INSERT INTO RSSFeeds (${columns.join(', ')})
+            OUTPUT INSERTED.*
+            VALUES (${columns.map(column => `@${column}`).join(', ')})
+        `);
+        return result.recordset[0];
+    }
+
+    async updateFeed(feedId, fields) {
+        const request = this.pool.request().input('feedId', sql.Int, feedId);
+        const columns = Object.keys(fields).filter(column => FEED_COLUMNS[column]);
+        columns.forEach(column => request.input(column, FEED_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            UPDATE RSSFeeds
+            SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+            OUTPUT INSERTED.*
+            WHERE FeedID = @feedId
+        `);
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Deletes a feed together with its fetch history, its articles and their deadlines, references, attachments and user states
+     * @param {number} feedId - Feed identifier
+     * @returns {Promise<boolean>} - False when the feed does not exist
+     */
+    async deleteFeed(feedId) {
+        const transaction = new sql.Transaction(this.pool);
+        await transaction.begin();
+        try {
+            await new sql.Request(transaction)
+                .input('feedId', sql.Int, feedId)
+                .query('DELETE FROM Deadlines WHERE ArticleID IN (SELECT ArticleID FROM Articles WHERE FeedID = @feedId)');
+            await new sql.Request(transaction)
+                .input('feedId', sql.Int, feedId)
+                .query('DELETE FROM ArticleReferences WHERE ArticleID IN (SELECT ArticleID FROM Articles WHERE FeedID = @feedId)');
+            await new sql.Request(transaction)
+                .input('feedId', sql.Int, feedId)
+                .query('DELETE FROM ArticleAttachments WHERE ArticleID IN (SELECT ArticleID FROM Articles WHERE FeedID = @feedId)');
+            await new sql.Request(transaction)
+                .input('feedId', sql.Int, feedId)
+                .query('DELETE FROM ArticleStates WHERE ArticleID IN (SELECT ArticleID FROM Articles WHERE FeedID = @feedId)');
+            await new sql.Request(transaction)
+                .input('feedId', sql.Int, feedId)
+                .query('DELETE FROM Articles WHERE FeedID = @feedId');
+            await new sql.Request(transaction)
+                .input('feedId', sql.Int, feedId)
+                .query('DELETE FROM FeedFetches WHERE FeedID = @feedId');
+            const result = await new sql.Request(transaction)
+                .input('feedId', sql.Int, feedId)
+                .query('DELETE FROM RSSFeeds WHERE FeedID = @feedId');
+            await transaction.commit();
+            return result.rowsAffected[0] > 0;
+        } catch (err) {
+            await transaction.rollback();
+            throw err;
+        }
+    }
+
+    /**
+     * Records the outcome of a fetch on the feed row and in its fetch history
+     * @param {number} feedId - Feed identifier
+     * @param {Object} result - status ('ok' or 'error'), error, itemCount, httpStatus, latencyMs
+     * @returns {Promise<Object|null>} - The updated feed row
+     */
+    async recordFeedStatus(feedId, { status, error = null, itemCount = null, httpStatus = null, latencyMs = null }) {
+        const result = await this.pool.request()
+            .input('feedId', sql.Int, feedId)
+            .input('status', sql.NVarChar(20), status)
+            .input('error', sql.NVarChar(1000), error ? error.substring(0, 1000) : null)
+            .input('itemCount', sql.Int, itemCount)
+            .input('httpStatus', sql.Int, httpStatus)
+            .input('latencyMs', sql.Int, latencyMs)
+            .input('keep', sql.Int, FETCH_HISTORY_LIMIT)
+            .query(`
+                UPDATE RSSFeeds
+                SET LastFetchedAt = SYSUTCDATETIME(),
+                    LastFetchStatus = @status,
+                    LastFetchError = @error,
+                    LastItemCount = @itemCount,
+                    LastHttpStatus = @httpStatus,
+                    LastLatencyMs = @latencyMs,
+                    LastSuccessAt = CASE WHEN @status = 'ok' THEN SYSUTCDATETIME() ELSE LastSuccessAt END,
+                    ConsecutiveFailures = CASE WHEN @status = 'ok' THEN 0 ELSE ConsecutiveFailures + 1 END
+                OUTPUT INSERTED.*
+                WHERE FeedID = @feedId;
+
+                INSERT INTO FeedFetches (FeedID, Status, HttpStatus, ItemCount, LatencyMs, Error)
+                SELECT FeedID, @status, @httpStatus, @itemCount, @latencyMs, @error FROM RSSFeeds WHERE FeedID = @feedId;
+
+                DELETE FROM FeedFetches
+                WHERE FeedID = @feedId AND FetchID NOT IN (
+                    SELECT TOP (@keep) FetchID FROM FeedFetches WHERE FeedID = @feedId ORDER BY FetchID DESC
+                );
+            `);
+        return result.recordsets[0][0] || null;
+    }
+
+    /**
+     * Latest fetches of every feed, newest first
+     * @param {number} limit - Fetches per feed
+     * @returns {Promise<Array>} - FeedFetches rows
+     */
+    async listFeedFetches(limit) {
+        const result = await this.pool.request()
+            .input('limit', sql.Int, limit)
+            .query(`
+                SELECT * FROM (
+                    SELECT *, ROW_NUMBER() OVER (PARTITION BY FeedID ORDER BY FetchID DESC) AS Position
+                    FROM FeedFetches
+                ) f
+                WHERE Position <= @limit
+                ORDER BY FeedID, FetchID DESC
+            `);
+        return result.recordset;
+    }
+
+    // Articles
+
+    /**
+     * Inserts new articles of a feed and refreshes existing ones, keyed by (FeedID, Guid)
+     * @param {Object} feed - RSSFeeds row
+     * @param {Array} articles - Records with guid, title, description, link, publishDate, topics, deadlines, references
+     * @returns {Promise<number>} - Number of inserted articles
+     */
+    async upsertArticles(feed, articles) {
+        let inserted = 0;
+
+        for (const article of articles) {
+            const result = await this.pool.request()
+                .input('feedId', sql.Int, feed.FeedID)
+                .input('guid', sql.NVarChar(500), article.guid)
+                .input('title', sql.NVarChar(500), article.title.substring(0, 500))
+                .input('description', sql.NVarChar(sql.MAX), article.description)
+                .input('contentHtml', sql.NVarChar(sql.MAX), article.contentHtml || null)
+                .input('link', sql.NVarChar(1000), article.link)
+                .input('publishDate', sql.DateTime2, article.publishDate ? new Date(article.publishDate) : null)
+                .input('category', sql.NVarChar(100), feed.Category || null)
+                .input('topics', sql.NVarChar(500), encodeTopics(article.topics))
+                .query(`
+                    MERGE Articles AS target
+                    USING (SELECT @feedId AS FeedID, @guid AS Guid) AS source
+                    ON target.FeedID = source.FeedID AND target.Guid = source.Guid
+                    WHEN MATCHED THEN
+                        UPDATE SET Title = @title, Description = @description, ContentHtml = @contentHtml, Link = @link,
+                            UpdatedAt = SYSUTCDATETIME(),
+                            PublishDate = COALESCE(target.PublishDate, @publishDate),
+                            Topics = CASE WHEN target.FullText IS NULL THEN @topics ELSE target.Topics END
+                    WHEN NOT MATCHED THEN
+                        INSERT (FeedID, Guid, Title, Description, ContentHtml, Link, PublishDate, Category, Topics, CreatedAt)
+                        VALUES (@feedId, @guid, @title, @description, @contentHtml, @link, @publishDate, @category, @topics, SYSUTCDATETIME())
+                    OUTPUT $action AS action, INSERTED.ArticleID,
+                        CASE WHEN INSERTED.FullText IS NULL THEN 0 ELSE 1 END AS Enriched;
+                `);
+
+            const row = result.recordset[0];
+            if (row?.action === 'INSERT') {
+                inserted++;
+            }
+            // Topics, deadlines and references of enriched articles come from the full text
+            if (row && !row.Enriched) {
+                if (article.deadlines) {
+                    await this.replaceDeadlines(row.ArticleID, article.deadlines);
+                }
+                if (article.references) {
+                    await this.replaceReferences(row.ArticleID, article.references);
+                }
+            }
+        }
+
+        return inserted;
+    }
+
+    /**
+     * Replaces the extracted deadlines of an article
+     * @param {number} articleId
+     * @param {Array} deadlines - Records with due_date, kind, description
+     */
+    async replaceDeadlines(articleId, deadlines) {
+        const transaction = new sql.Transaction(this.pool);
+        await transaction.begin();
+        try {
+            await new sql.Request(transaction)
+                .input('articleId', sql.Int, articleId)
+                .query('DELETE FROM Deadlines WHERE ArticleID = @articleId');
+
+            for (const deadline of deadlines) {
+                await new sql.Request(transaction)
+                    .input('articleId', sql.Int, articleId)
+                    .input('dueDate', sql.Date, deadline.due_date)
+                    .input('kind', sql.NVarChar(20), deadline.kind)
+                    .input('description', sql.NVarChar(500), deadline.description)
+                    .query(`
+                        INSERT INTO Deadlines (ArticleID, DueDate, Kind, Description)
+                        VALUES (@articleId, @dueDate, @kind, @description)
+                    `);
+            }
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback();
+            throw err;
+        }
+    }
+
+    /**
+     * Replaces the legal references cited by an article
+     * @param {number} articleId
+     * @param {Array} references - Records with reference and kind
+     */
+    async replaceReferences(articleId, references) {
+        const transaction = new sql.Transaction(this.pool);
+        await transaction.begin();
+        try {
+            await new sql.Request(transaction)
+                .input('articleId', sql.Int, articleId)
+                .query('DELETE FROM ArticleReferences WHERE ArticleID = @articleId');
+
+            for (const reference of references) {
+                await new sql.Request(transaction)
+                    .input('articleId', sql.Int, articleId)
+                    .input('reference', sql.NVarChar(40), reference.reference)
+                    .input('kind', sql.NVarChar(20), reference.kind)
+                    .query(`
+                        INSERT INTO ArticleReferences (ArticleID, Reference, Kind)
+                        VALUES (@articleId, @reference, @kind)
+                    `);
+            }
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback();
+            throw err;
+        }
+    }
+
+    /**
+     * Lists deadlines of active feeds, soonest first
+     * @param {Object} filters - from/to Dates, feedId, topic
+     * @returns {Promise<Array>} - Deadlines in the API shape
+     */
+    async listDeadlines(filters) {
+        const request = this.pool.request();
+        const conditions = bindArticleFilters(request, { feedId: filters.feedId, topic: filters.topic });
+
+        if (filters.from) {
+            request.input('dueFrom', sql.Date, filters.from);
+            conditions.push('d.DueDate >= @dueFrom');
+        }
+        if (filters.to) {
+            request.input('dueTo', sql.Date, filters.to);
+            conditions.push('d.DueDate <= @dueTo');
+        }
+
+        const result = await request.query(`
+            SELECT d.DeadlineID, d.DueDate, d.Kind, d.Description AS DeadlineDescription,
+                ${ARTICLE_COLUMNS}, f.FeedName, f.Category AS FeedCategory
+            FROM Deadlines d
+            INNER JOIN Articles a ON a.ArticleID = d.ArticleID
+            INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY d.DueDate, d.DeadlineID
+        `);
+
+        return result.recordset.map(row => toApiDeadline(
+            { ...row, Description: row.DeadlineDescription },
+            toApiArticle(row)
+        ));
+    }
+
+    /**
+     * Lists articles of active feeds
+     * @param {Object} filters - Listing options from parseArticleFilters
+     * @returns {Promise<Object>} - Paginated response
+     */
+    async listArticles(filters) {
+        const pageRequest = this.pool.request();
+        const conditions = bindArticleFilters(pageRequest, filters);
+        const from = `
+            FROM Articles a
+            INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+            WHERE ${conditions.join(' AND ')}
+        `;
+        // Articles of unknown date come last in either direction
+        const undatedLast = filters.sort === 'date' ? 'CASE WHEN a.PublishDate IS NULL THEN 1 ELSE 0 END, ' : '';
+        const orderBy = `${undatedLast}${SORT_COLUMNS[filters.sort]} ${filters.order.toUpperCase()}, a.ArticleID DESC`;
+
+        const result = await pageRequest
+            .input('pageSize', sql.Int, filters.pageSize)
+            .input('offset', sql.Int, (filters.page - 1) * filters.pageSize)
+            .query(`
+                SELECT * FROM (
+                    SELECT ${ARTICLE_COLUMNS}, f.FeedName, f.Category AS FeedCategory,
+                        ROW_NUMBER() OVER (ORDER BY ${orderBy}) as RowNum
+                    ${from}
+                ) AS Paginated
+                WHERE RowNum > @offset AND RowNum <= (@offset + @pageSize)
+                ORDER BY RowNum
+            `);
+
+        const countRequest = this.pool.request();
+        bindArticleFilters(countRequest, filters);
+        const totalCount = await countRequest.query(`SELECT COUNT(*) as total ${from}`);
+
+        return buildPage(result.recordset.map(toApiArticle), totalCount.recordset[0].total, filters);
+    }
+
+    /**
+     * Loads the most recent articles matching every term, using an accent- and
+     * case-insensitive Greek collation so the database does the coarse filtering
+     * @param {string} query - Raw search query
+     * @param {Object} filters - Listing options from parseArticleFilters
+     * @returns {Promise<Array>} - Articles in the API shape
+     */
+    async searchCandidates(query, filters) {
+        const request = this.pool.request().input('limit', sql.Int, MAX_SEARCH_CANDIDATES);
+        const conditions = bindArticleFilters(request, filters);
+
+        parseQuery(query).forEach((term, i) => {
+            request.input(`term${i}`, sql.NVarChar(200), toLikePattern(term));
+            conditions.push(`(a.Title COLLATE Greek_CI_AI LIKE @term${i} OR a.Description COLLATE Greek_CI_AI LIKE @term${i}`
+                + ` OR a.FullText COLLATE Greek_CI_AI LIKE @term${i})`);
+        });
+
+        const result = await request.query(`
+            SELECT TOP (@limit) ${ARTICLE_COLUMNS}, a.FullText, f.FeedName, f.Category AS FeedCategory
+            FROM Articles a
+            INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY a.PublishDate DESC
+        `);
+
+        return result.recordset.map(row => ({ ...toApiArticle(row), full_text: row.FullText || '' }));
+    }
+
+    /**
+     * Articles of active feeds first stored within a time window, for alert matching
+     * @param {Date} since - Exclusive
+     * @param {Date} until - Inclusive
+     * @returns {Promise<Array>} - Articles in the API shape with created_at
+     */
+    async listArticlesCreatedBetween(since, until) {
+        const result = await this.pool.request()
+            .input('since', sql.DateTime2, since)
+            .input('until', sql.DateTime2, until)
+            .query(`
+                SELECT ${ARTICLE_COLUMNS}, f.FeedName, f.Category AS FeedCategory
+                FROM Articles a
+                INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+                WHERE f.IsActive = 1 AND a.CreatedAt > @since AND a.CreatedAt <= @until
+                ORDER BY a.PublishDate DESC
+            `);
+
+        return result.recordset.map(row => ({ ...toApiArticle(row), created_at: row.CreatedAt.toISOString() }));
+    }
+
+    /**
+     * Articles published in a period with their text, deadlines and references, for digests
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {Promise<Array>} - Articles in the API shape plus full_text, deadlines and references
+     */
+    async listDigestArticles(from, to) {
+        const bind = request => request
+            .input('from', sql.DateTime2, from)
+            .input('to', sql.DateTime2, to);
+        const period = 'f.IsActive = 1 AND a.PublishDate >= @from AND a.PublishDate < @to';
+
+        const articles = await bind(this.pool.request()).query(`
+            SELECT ${ARTICLE_COLUMNS}, a.FullText, f.FeedName, f.Category AS FeedCategory
+            FROM Articles a
+            INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+            WHERE ${period}
+            ORDER BY a.PublishDate DESC
+        `);
+        const deadlines = await bind(this.pool.request()).query(`
+            SELECT d.* FROM Deadlines d
+            INNER JOIN Articles a ON a.ArticleID = d.ArticleID
+            INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+            WHERE ${period}
+            ORDER BY d.DueDate
+        `);
+        const references = await bind(this.pool.request()).query(`
+            SELECT r.* FROM ArticleReferences r
+            INNER JOIN Articles a ON a.ArticleID = r.ArticleID
+            INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+            WHERE ${period}
+            ORDER BY r.ReferenceID
+        `);
+
+        const forArticle = (rows, articleId) => rows.filter(row => row.ArticleID === articleId);
+        return articles.recordset.map(row => ({
+            ...toApiArticle(row),
+            full_text: row.FullText || '',
+            deadlines: forArticle(deadlines.recordset, row.ArticleID).map(deadline => toApiDeadline(deadline)),
+            references: forArticle(references.recordset, row.ArticleID).map(toApiReference)
+        }));
+    }
+
+    /**
+     * Articles of active feeds whose page has not been fetched yet, newest first
+     * @param {number} limit
+     * @returns {Promise<Array>} - Articles in the API shape
+     */
+    async listArticlesToEnrich(limit) {
+        const result = await this.pool.request()
+            .input('limit', sql.Int, limit)
+            .query(`
+                SELECT TOP (@limit) ${ARTICLE_COLUMNS}, f.FeedName, f.Category AS FeedCategory
+                FROM Articles a
+                INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+                WHERE f.IsActive = 1 AND a.EnrichedAt IS NULL AND a.Link IS NOT NULL
+                ORDER BY a.PublishDate DESC
+            `);
+        return result.recordset.map(toApiArticle);
+    }
+
+    /**
+     * Stores the outcome of enriching an article
+     * @param {number} articleId
+     * @param {Object} result - fullText, attachments, topics, deadlines and references, or only error on failure
+     */
+    async saveEnrichment(articleId, { fullText, attachments, topics, deadlines, references, error = null }) {
+        if (error) {
+            await this.pool.request()
+                .input('articleId', sql.Int, articleId)
+                .input('error', sql.NVarChar(1000), error)
+                .query('UPDATE Articles SET EnrichedAt = SYSUTCDATETIME(), EnrichmentError = @error WHERE ArticleID = @articleId');
+            return;
+        }
+
+        const transaction = new sql.Transaction(this.pool);
+        await transaction.begin();
+        try {
+            await new sql.Request(transaction)
+                .input('articleId', sql.Int, articleId)
+                .input('fullText', sql.NVarChar(sql.MAX), fullText)
+                .input('topics', sql.NVarChar(500), encodeTopics(topics))
+                .query(`
+                    UPDATE Articles
+                    SET FullText = @fullText, Topics = @topics, EnrichedAt = SYSUTCDATETIME(), EnrichmentError = NULL
+                    WHERE ArticleID = @articleId
+                `);
+            await new sql.Request(transaction)
+                .input('articleId', sql.Int, articleId)
+                .query('DELETE FROM ArticleAttachments WHERE ArticleID = @articleId');
+
+            for (const attachment of attachments) {
+                await new sql.Request(transaction)
+                    .input('articleId', sql.Int, articleId)
+                    .input('url', sql.NVarChar(1000), attachment.url)
+                    .input('title', sql.NVarChar(300), attachment.title)
+                    .input('type', sql.NVarChar(10), attachment.type)
+                    .input('text', sql.NVarChar(sql.MAX), attachment.text)
+                    .input('error', sql.NVarChar(1000), attachment.error)
+                    .query(`
+                        INSERT INTO ArticleAttachments (ArticleID, URL, Title, DocumentType, TextContent, Error)
+                        VALUES (@articleId, @url, @title, @type, @text, @error)
+                    `);
+            }
+            await transaction.commit();
+        } catch (err) {
+            await transaction.rollback();
+            throw err;
+        }
+
+        await this.replaceDeadlines(articleId, deadlines);
+        await this.replaceReferences(articleId, references);
+    }
+
+    /**
+     * An article of an active feed with its full text, attachments and legal references
+     * @param {number} articleId
+     * @returns {Promise<Object|null>}
+     */
+    async getArticleContent(articleId) {
+        const result = await this.pool.request()
+            .input('articleId', sql.Int, articleId)
+            .query(`
+                SELECT a.*, f.FeedName, f.Category AS FeedCategory
+                FROM Articles a
+                INNER JOIN RSSFeeds f ON f.FeedID = a.FeedID
+                WHERE f.IsActive = 1 AND a.ArticleID = @articleId
+            `);
+        const row = result.recordset[0];
+        if (!row) return null;
+
+        const references = await this.pool.request()
+            .input('articleId', sql.Int, articleId)
+            .query('SELECT * FROM ArticleReferences WHERE ArticleID = @articleId ORDER BY ReferenceID');
+        const attachments = await this.pool.request()
+            .input('articleId', sql.Int, articleId)
+            .query('SELECT * FROM ArticleAttachments WHERE ArticleID = @articleId ORDER BY AttachmentID');
+
+        return {
+            ...toApiArticle(row),
+            content_html: row.ContentHtml || null,
+            full_text: row.FullText || null,
+            enriched_at: row.EnrichedAt ? row.EnrichedAt.toISOString() : null,
+            enrichment_error: row.EnrichmentError || null,
+            references: references.recordset.map(toApiReference),
+            attachments: attachments.recordset.map(toApiAttachment)
+        };
+    }
+
+    // Alert subscriptions
+
+    async listSubscriptions({ activeOnly = false } = {}) {
+        const result = await this.pool.request().query(`
+            SELECT * FROM AlertSubscriptions
+            ${activeOnly ? 'WHERE IsActive = 1' : ''}
+            ORDER BY SubscriptionID
+        `);
+        return result.recordset;
+    }
+
+    async findSubscriptionByToken(token) {
+        const result = await this.pool.request()
+            .input('token', sql.NVarChar(64), token)
+            .query('SELECT * FROM AlertSubscriptions WHERE Token = @token');
+        return result.recordset[0] || null;
+    }
+
+    async createSubscription(fields) {
+        const request = this.pool.request();
+        const columns = Object.keys(fields).filter(column => SUBSCRIPTION_COLUMNS[column]);
+        columns.forEach(column => request.input(column, SUBSCRIPTION_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            INSERT INTO AlertSubscriptions (${columns.join(', ')})
+            OUTPUT INSERTED.*
+            VALUES (${columns.map(column => `@${column}`).join(', ')})
+        `);
+        return result.recordset[0];
+    }
+
+    async updateSubscription(subscriptionId, fields) {
+        const request = this.pool.request().input('subscriptionId', sql.Int, subscriptionId);
+        const columns = Object.keys(fields).filter(column => SUBSCRIPTION_COLUMNS[column]);
+        columns.forEach(column => request.input(column, SUBSCRIPTION_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            UPDATE AlertSubscriptions
+            SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+            OUTPUT INSERTED.*
+            WHERE SubscriptionID = @subscriptionId
+        `);
+        return result.recordset[0] || null;
+    }
+
+    async deleteSubscription(subscriptionId) {
+        const result = await this.pool.request()
+            .input('subscriptionId', sql.Int, subscriptionId)
+            .query('DELETE FROM AlertSubscriptions WHERE SubscriptionID = @subscriptionId');
+        return result.rowsAffected[0] > 0;
+    }
+
+    // Webhooks
+
+    async listWebhooks({ activeOnly = false } = {}) {
+        const result = await this.pool.request().query(`
+            SELECT * FROM Webhooks
+            ${activeOnly ? 'WHERE IsActive = 1' : ''}
+            ORDER BY WebhookID
+        `);
+        return result.recordset;
+    }
+
+    async getWebhook(webhookId) {
+        const result = await this.pool.request()
+            .input('webhookId', sql.Int, webhookId)
+            .query('SELECT * FROM Webhooks WHERE WebhookID = @webhookId');
+        return result.recordset[0] || null;
+    }
+
+    async createWebhook(fields) {
+        const request = this.pool.request();
+        const columns = Object.keys(fields).filter(column => WEBHOOK_COLUMNS[column]);
+        columns.forEach(column => request.input(column, WEBHOOK_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            INSERT INTO Webhooks (${columns.join(', ')})
+            OUTPUT INSERTED.*
+            VALUES (${columns.map(column => `@${column}`).join(', ')})
+        `);
+        return result.recordset[0];
+    }
+
+    async updateWebhook(webhookId, fields) {
+        const request = this.pool.request().input('webhookId', sql.Int, webhookId);
+        const columns = Object.keys(fields).filter(column => WEBHOOK_COLUMNS[column]);
+        columns.forEach(column => request.input(column, WEBHOOK_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            UPDATE Webhooks
+            SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+            OUTPUT INSERTED.*
+            WHERE WebhookID = @webhookId
+        `);
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Deletes a webhook together with its delivery log
+     * @param {number} webhookId
+     * @returns {Promise<boolean>} - False when the webhook does not exist
+     */
+    async deleteWebhook(webhookId) {
+        const transaction = new sql.Transaction(this.pool);
+        await transaction.begin();
+        try {
+            await new sql.Request(transaction)
+                .input('webhookId', sql.Int, webhookId)
+                .query('DELETE FROM WebhookDeliveries WHERE WebhookID = @webhookId');
+            const result = await new sql.Request(transaction)
+                .input('webhookId', sql.Int, webhookId)
+                .query('DELETE FROM Webhooks WHERE WebhookID = @webhookId');
+            await transaction.commit();
+            return result.rowsAffected[0] > 0;
+        } catch (err) {
+            await transaction.rollback();
+            throw err;
+        }
+    }
+
+    async createDeliveries(rows) {
+        for (const fields of rows) {
+            const request = this.pool.request();
+            const columns = Object.keys(fields).filter(column => DELIVERY_COLUMNS[column]);
+            columns.forEach(column => request.input(column, DELIVERY_COLUMNS[column], fields[column]));
+
+            await request.query(`
+                INSERT INTO WebhookDeliveries (${columns.join(', ')})
+                VALUES (${columns.map(column => `@${column}`).join(', ')})
+            `);
+        }
+    }
+
+    async getDelivery(deliveryId) {
+        const result = await this.pool.request()
+            .input('deliveryId', sql.Int, deliveryId)
+            .query('SELECT * FROM WebhookDeliveries WHERE DeliveryID = @deliveryId');
+        return result.recordset[0] || null;
+    }
+
+    async updateDelivery(deliveryId, fields) {
+        const request = this.pool.request().input('deliveryId', sql.Int, deliveryId);
+        const columns = Object.keys(fields).filter(column => DELIVERY_COLUMNS[column]);
+        columns.forEach(column => request.input(column, DELIVERY_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            UPDATE WebhookDeliveries
+            SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+            OUTPUT INSERTED.*
+            WHERE DeliveryID = @deliveryId
+        `);
+        return result.recordset[0] || null;
+    }
+
+    /**
+     * Pending deliveries of active webhooks whose next attempt is due, oldest first.
+     * Deliveries of paused webhooks wait, without holding up the others, until it is reactivated.
+     * @param {Date} now
+     * @param {number} limit
+     * @returns {Promise<Array>}
+     */
+    async listDueDeliveries(now, limit) {
+        const result = await this.pool.request()
+            .input('now', sql.DateTime2, now)
+            .input('limit', sql.Int, limit)
+            .query(`
+                SELECT TOP (@limit) d.* FROM WebhookDeliveries d
+                JOIN Webhooks w ON w.WebhookID = d.WebhookID
+                WHERE d.Status = 'pending' AND d.NextAttemptAt <= @now AND w.IsActive = 1
+                ORDER BY d.NextAttemptAt, d.DeliveryID
+            `);
+        return result.recordset;
+    }
+
+    /**
+     * Delivery log of a webhook, newest first
+     * @param {number} webhookId
+     * @param {Object} filters - status, page, pageSize
+     * @returns {Promise<{rows: Array, total: number}>}
+     */
+    async listDeliveries(webhookId, { status, page, pageSize }) {
+        const bind = request => {
+            request.input('webhookId', sql.Int, webhookId);
+            if (status) request.input('status', sql.NVarChar(20), status);
+            return request;
+        };
+        const where = `WHERE WebhookID = @webhookId${status ? ' AND Status = @status' : ''}`;
+
+        const result = await bind(this.pool.request())
+            .input('offset', sql.Int, (page - 1) * pageSize)
+            .input('pageSize', sql.Int, pageSize)
+            .query(`
+                SELECT * FROM WebhookDeliveries
+                ${where}
+                ORDER BY DeliveryID DESC
+                OFFSET @offset ROWS FETCH NEXT @pageSize ROWS ONLY
+            `);
+        const count = await bind(this.pool.request()).query(`SELECT COUNT(*) AS total FROM WebhookDeliveries ${where}`);
+
+        return { rows: result.recordset, total: count.recordset[0].total };
+    }
+
+    // Users, API tokens and per-user article state
+
+    async createUser({ Username, PasswordHash }) {
+        const result = await this.pool.request()
+            .input('username', sql.NVarChar(50), Username)
+            .input('passwordHash', sql.NVarChar(200), PasswordHash)
+            .query(`
+                INSERT INTO Users (Username, PasswordHash)
+                OUTPUT INSERTED.*
+                VALUES (@username, @passwordHash)
+            `);
+        return result.recordset[0];
+    }
+
+    async findUserByUsername(username) {
+        const result = await this.pool.request()
+            .input('username', sql.NVarChar(50), username)
+            .query('SELECT * FROM Users WHERE Username = @username');
+        return result.recordset[0] || null;
+    }
+
+    async createApiToken(userId, { TokenHash, Name = null }) {
+        const result = await this.pool.request()
+            .input('userId', sql.Int, userId)
+            .input('tokenHash', sql.Char(64), TokenHash)
+            .input('name', sql.NVarChar(100), Name)
+            .query(`
+                INSERT INTO ApiTokens (UserID, TokenHash, Name)
+                OUTPUT INSERTED.*
+                VALUES (@userId, @tokenHash, @name)
+            `);
+        return result.recordset[0];
+    }
+
+    /**
+     * Resolves a token hash to its user and records the use, at most once an hour
+     * @param {string} tokenHash - sha256 of the bearer token
+     * @returns {Promise<Object|null>} - Users row
+     */
+    async findUserByTokenHash(tokenHash) {
+        const result = await this.pool.request()
+            .input('tokenHash', sql.Char(64), tokenHash)
+            .query(`
+                UPDATE ApiTokens SET LastUsedAt = SYSUTCDATETIME()
+                WHERE TokenHash = @tokenHash AND (LastUsedAt IS NULL OR LastUsedAt < DATEADD(HOUR, -1, SYSUTCDATETIME()));
+                SELECT u.* FROM ApiTokens t
+                JOIN Users u ON u.UserID = t.UserID
+                WHERE t.TokenHash = @tokenHash
+            `);
+        return result.recordset[0] || null;
+    }
+
+    async deleteApiToken(tokenHash) {
+        const result = await this.pool.request()
+            .input('tokenHash', sql.Char(64), tokenHash)
+            .query('DELETE FROM ApiTokens WHERE TokenHash = @tokenHash');
+        return result.rowsAffected[0] > 0;
+    }
+
+    /**
+     * Article states of a user, most recently changed first
+     * @param {number} userId
+     * @param {Object} filters - articleIds, since, bookmarked (from parseStateFilters)
+     * @returns {Promise<Array>} - ArticleStates rows
+     */
+    async listArticleStates(userId, { articleIds, since, bookmarked }) {
+        const request = this.pool.request().input('userId', sql.Int, userId);
+        const conditions = ['UserID = @userId'];
+
+        if (articleIds) {
+            articleIds.forEach((id, index) => request.input(`articleId${index}`, sql.Int, id));
+            conditions.push(`ArticleID IN (${articleIds.map((id, index) => `@articleId${index}`).join(', ') || 'NULL'})`);
+        }
+        if (since) {
+            request.input('since', sql.DateTime2, since);
+            conditions.push('UpdatedAt > @since');
+        }
+        if (bookmarked) {
+            conditions.push('IsBookmarked = 1');
+        }
+
+        const result = await request.query(`
+            SELECT * FROM ArticleStates
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY UpdatedAt DESC
+        `);
+        return result.recordset;
+    }
+
+    /**
+     * Stores read/bookmark/note changes of a user. A change older than the stored
+     * state (an offline edit replayed late) leaves the newer state in place.
+     * @param {number} userId
+     * @param {number} articleId
+     * @param {Object} fields - From validateStateInput
+     * @returns {Promise<Object|null>} - The resulting ArticleStates row, null when the article does not exist
+     */
+    async saveArticleState(userId, articleId, fields) {
+        const request = this.pool.request()
+            .input('userId', sql.Int, userId)
+            .input('articleId', sql.Int, articleId);
+        const columns = Object.keys(fields).filter(column => STATE_COLUMNS[column]);
+        columns.forEach(column => request.input(column, STATE_COLUMNS[column], fields[column]));
+
+        const result = await request.query(`
+            MERGE ArticleStates WITH (HOLDLOCK) AS target
+            USING (SELECT @userId AS UserID, ArticleID FROM Articles WHERE ArticleID = @articleId) AS source
+            ON target.UserID = source.UserID AND target.ArticleID = source.ArticleID
+            WHEN MATCHED AND target.UpdatedAt <= @UpdatedAt THEN
+                UPDATE SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+            WHEN NOT MATCHED THEN
+                INSERT (UserID, ArticleID, ${columns.join(', ')})
+                VALUES (@userId, @articleId, ${columns.map(column => `@${column}`).join(', ')});
+
+            SELECT * FROM ArticleStates WHERE UserID = @userId AND ArticleID = @articleId;
+        `);
+        return result.recordset[0] || null;
+    }
+}
+
+module.exports = MssqlStore;
@@ -0,0 +1,197 @@
+const Dedup = require('../shared/dedup');
+
+const FEED_ITEMS = 50;
+// Articles loaded per feed, so duplicates beyond the last item can still be merged
+const CANDIDATE_ARTICLES = 100;
+const GENERATOR = 'Greek Tax News Hub';
+
+// Output formats by file extension
+const FORMATS = {
+    xml: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+    rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+    atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+    json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+/**
+ * Escapes text for XML and drops characters XML 1.0 does not allow
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Stable GUID of a story: the content hash of its link, so refetches and restarts keep it
+ * @param {Object} article - Article in the API shape
+ * @returns {string}
+ */
+function itemGuid(article) {
+    return `urn:greek-tax-news-hub:${Dedup.articleId(article)}`;
+}
+
+/**
+ * Newest publish date of the items, used for lastBuildDate and Last-Modified
+ * @param {Array} items
+ * @returns {Date}
+ */
+function latestDate(items) {
+    const times = items.filter(item => item.pub_date).map(item => new Date(item.pub_date).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : new Date(0);
+}
+
+/**
+ * Merges articles that report the same story and keeps the newest stories. Clustering runs
+ * before the cut, so a duplicate just past the last item still joins its story.
+ * @param {Array} articles - Articles in the API shape, newest first
+ * @param {number} [limit]
+ * @returns {Array} - Lead articles with `sources` and `alternates`, the other sources' links
+ */
+function prepareItems(articles, limit = FEED_ITEMS) {
+    return Dedup.clusterArticles(articles).slice(0, limit).map(({ articles: members, ...story }) => ({
+        ...story,
+        alternates: story.sources.slice(1).filter(source => source.link)
+    }));
+}
+
+/**
+ * Renders an RSS 2.0 document
+ * @param {Object} meta - title, description, siteUrl, selfUrl
+ * @param {Array} items - Stories from prepareItems
+ * @returns {string}
+ */
+function buildRss(meta, items) {
+    const entries = items.map(item => [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.link)}</link>`,
+        `      <guid isPermaLink="false">${escapeXml(itemGuid(item))}</guid>`,
+        // Items of unknown date have no pubDate rather than an invented one
+        ...(item.pub_date ? [`      <pubDate>${new Date(item.pub_date).toUTCString()}</pubDate>`] : []),
+        `      <description>${escapeXml(item.description)}</description>`,
+        `      <source url="${escapeXml(meta.selfUrl)}">${escapeXml(item.source)}</source>`,
+        ...item.alternates.map(alternate =>
+            `      <atom:link rel="related" href="${escapeXml(alternate.link)}" title="${escapeXml(alternate.source)}"/>`),
+        ...[item.category, ...(item.topics || [])].filter(Boolean)
+            .map(category => `      <category>${escapeXml(category)}</category>`),
+        '    </item>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(meta.title)}</title>`,
+        `    <link>${escapeXml(meta.siteUrl)}</link>`,
+        `    <description>${escapeXml(meta.description)}</description>`,
+        '    <language>el</language>',
+        `    <generator>${GENERATOR}</generator>`,
+        `    <lastBuildDate>${latestDate(items).toUTCString()}</lastBuildDate>`,
+        `    <atom:link href="${escapeXml(meta.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+        ...entries,
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Renders an Atom 1.0 document
+ * @param {Object} meta - title, description, siteUrl, selfUrl
+ * @param {Array} items - Stories from prepareItems
+ * @returns {string}
+ */
+function buildAtom(meta, items) {
+    const updated = latestDate(items).toISOString();
+    // Atom requires <updated>; entries of unknown date use the feed's and have no <published>
+    const entries = items.map(item => [
+        '  <entry>',
+        `    <id>${escapeXml(itemGuid(item))}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link href="${escapeXml(item.link)}"/>`,
+        ...item.alternates.map(alternate =>
+            `    <link rel="related" href="${escapeXml(alternate.link)}" title="${escapeXml(alternate.source)}"/>`),
+        `    <updated>${item.pub_date ? new Date(item.pub_date).toISOString() : updated}</updated>`,
+        ...(item.pub_date ? [`    <published>${new Date(item.pub_date).toISOString()}</published>`] : []),
+        `    <author><name>${escapeXml(item.source)}</name></author>`,
+        `    <summary>${escapeXml(item.description)}</summary>`,
+        ...[item.category, ...(item.topics || [])].filter(Boolean)
+            .map(category => `    <category term="${escapeXml(category)}"/>`),
+        '  </entry>'
+    ].join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="el">',
+        `  <id>${escapeXml(meta.selfUrl)}</id>`,
+        `  <title>${escapeXml(meta.title)}</title>`,
+        `  <subtitle>${escapeXml(meta.description)}</subtitle>`,
+        `  <updated>${updated}</updated>`,
+        `  <link href="${escapeXml(meta.siteUrl)}"/>`,
+        `  <link href="${escapeXml(meta.selfUrl)}" rel="self" type="application/atom+xml"/>`,
+        `  <generator>${GENERATOR}</generator>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Renders a JSON Feed 1.1 document
+ * @param {Object} meta - title, description, siteUrl, selfUrl
+ * @param {Array} items - Stories from prepareItems
+ * @returns {string}
+ */
+function buildJsonFeed(meta, items) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: meta.title,
+        home_page_url: meta.siteUrl,
+        feed_url: meta.selfUrl,
+        description: meta.description,
+        language: 'el',
+        items: items.map(item => ({
+            id: itemGuid(item),
+            url: item.link,
+            title: item.title,
+            summary: item.description,
+            content_text: item.description,
+            date_published: item.pub_date ? new Date(item.pub_date).toISOString() : undefined,
+            authors: [{ name: item.source }],
+            tags: [item.category, ...(item.topics || [])].filter(Boolean),
+            // Other sources of the story; JSON Feed has no field for related links
+            _hub: { sources: item.sources, alternates: item.alternates.map(({ source, link }) => ({ source, url: link })) }
+        }))
+    }, null, 2);
+}
+
+/**
+ * Renders articles in one of the supported formats
+ * @param {string} format - Extension: xml, rss, atom or json
+ * @param {Object} meta - title, description, siteUrl, selfUrl
+ * @param {Array} articles - Articles in the API shape, newest first
+ * @returns {{contentType: string, body: string, lastModified: Date}|null} - Null for unknown formats
+ */
+function renderFeed(format, meta, articles) {
+    const output = FORMATS[format];
+    if (!output) return null;
+
+    const items = prepareItems(articles);
+    return {
+        contentType: output.contentType,
+        body: output.build(meta, items),
+        lastModified: latestDate(items)
+    };
+}
+
+module.exports = {
+    CANDIDATE_ARTICLES,
+    renderFeed
+};
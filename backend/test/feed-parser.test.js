@@ -0,0 +1,209 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed, parseXml } = require('../../shared/feed-parser');
+const { sanitize } = require('../../shared/html-sanitizer');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+
+test('parses RSS 2.0 with namespaced dates, authors, categories and enclosures', () => {
+    const feed = parseFeed(fixture('rss2-aade.xml'), { sourceUrl: 'https://www.aade.gr/rss.xml' });
+
+    assert.equal(feed.format, 'rss');
+    assert.equal(feed.version, '2.0');
+    assert.equal(feed.title, 'ΑΑΔΕ & Δελτία Τύπου');
+    assert.equal(feed.link, 'https://www.aade.gr/');
+    assert.equal(feed.description, 'Ανακοινώσεις της Ανεξάρτητης Αρχής Δημοσίων Εσόδων');
+    assert.equal(feed.items.length, 3);
+
+    const [first, second, third] = feed.items;
+    assert.equal(first.guid, 'aade-2026-1042');
+    assert.equal(first.title, 'Παράταση προθεσμίας ΦΠΑ');
+    assert.equal(first.description, 'Η προθεσμία υποβολής λήγει στις 31/10/2026.');
+    assert.equal(first.content, '<p>Η προθεσμία&nbsp;υποβολής λήγει στις 31/10/2026.</p>');
+    assert.equal(first.link, 'https://www.aade.gr/deltia-typoy/paratasi-fpa');
+    assert.equal(first.pub_date, '2026-10-18T11:30:00.000Z');
+    assert.deepEqual(first.authors, ['Γραφείο Τύπου', 'Διεύθυνση Επικοινωνίας']);
+    assert.deepEqual(first.categories, ['ΦΠΑ', 'Προθεσμίες']);
+    assert.deepEqual(first.enclosures, [
+        { url: 'https://www.aade.gr/files/paratasi.pdf', type: 'application/pdf', length: 48213 },
+        { url: 'https://www.aade.gr/files/paratasi-eng.pdf', type: 'application/pdf', length: 31000 }
+    ]);
+
+    // A permalink guid is the link; a date without a time is Athens midnight
+    assert.equal(second.link, 'https://www.aade.gr/mydata/odigies');
+    assert.equal(second.pub_date, '2026-10-16T21:00:00.000Z');
+    assert.equal(second.description, 'Νέες οδηγίες για το myDATA.');
+    assert.equal(second.content, '<p>Νέες <strong>οδηγίες</strong> για το myDATA.</p>');
+
+    assert.equal(third.title, 'Untitled');
+    assert.equal(third.link, '');
+    assert.equal(third.pub_date, null);
+});
+
+test('gives items stable ids that do not depend on the fetch', () => {
+    const first = parseFeed(fixture('rss2-aade.xml')).items.map(item => item.id);
+    const second = parseFeed(fixture('rss2-aade.xml')).items.map(item => item.id);
+
+    assert.deepEqual(first, second);
+    assert.equal(new Set(first).size, first.length);
+});
+
+test('parses RSS 1.0 (RDF) with items next to the channel', () => {
+    const feed = parseFeed(fixture('rss1-rdf.xml'));
+
+    assert.equal(feed.format, 'rss');
+    assert.equal(feed.version, '1.0');
+    assert.equal(feed.title, 'Taxheaven');
+    assert.deepEqual(feed.items.map(({ guid, title, link, pub_date, authors, categories }) => ({ guid, title, link, pub_date, authors, categories })), [
+        {
+            guid: 'https://www.taxheaven.gr/news/1',
+            title: 'Εγκύκλιος Ε.2100/2026 για τον ΦΠΑ',
+            link: 'https://www.taxheaven.gr/news/1',
+            pub_date: '2026-10-18T07:00:00.000Z',
+            authors: ['Σύνταξη'],
+            categories: ['Φόροι']
+        },
+        {
+            // Without <link> the rdf:about URI is used
+            guid: 'https://www.taxheaven.gr/news/2',
+            title: 'Χωρίς στοιχείο link',
+            link: 'https://www.taxheaven.gr/news/2',
+            pub_date: '2026-10-17T09:15:00.000Z',
+            authors: [],
+            categories: []
+        }
+    ]);
+});
+
+test('parses Atom with xml:base, text constructs and enclosure links', () => {
+    const feed = parseFeed(fixture('atom-blog.xml'), { sourceUrl: 'https://blog.forin.gr/atom.xml' });
+
+    assert.equal(feed.format, 'atom');
+    assert.equal(feed.version, '1.0');
+    assert.equal(feed.title, 'Forin Φορολογικά');
+    assert.equal(feed.link, 'https://blog.forin.gr/');
+    assert.equal(feed.description, 'Ειδήσεις και αναλύσεις');
+
+    const [first, second] = feed.items;
+    assert.equal(first.guid, 'urn:forin:1');
+    assert.equal(first.title, 'Ρύθμιση οφειλών σε 72 δόσεις');
+    assert.equal(first.description, 'Αναλυτικά οι όροι');
+    assert.equal(first.content, '<b>Αναλυτικά</b> οι όροι');
+    assert.equal(first.link, 'https://blog.forin.gr/posts/rythmisi-72-doseon');
+    assert.equal(first.pub_date, '2026-10-18T09:00:00.000Z');
+    assert.equal(first.updated_date, '2026-10-18T10:00:00.000Z');
+    assert.deepEqual(first.authors, ['Forin']);
+    assert.deepEqual(first.categories, ['Οφειλές', 'efka']);
+    assert.deepEqual(first.enclosures, [{ url: 'https://blog.forin.gr/media/rythmisi.mp3', type: 'audio/mpeg', length: 99 }]);
+
+    // Entry-level xml:base, XHTML title and content, and the update date standing in for publication
+    assert.equal(second.title, 'Νέος ΚΦΔ');
+    assert.equal(second.link, 'https://blog.forin.gr/archive/kfd-2026');
+    assert.equal(second.content, '<p>Το νέο πλαίσιο.</p>');
+    assert.equal(second.pub_date, '2026-10-17T10:00:00.000Z');
+    assert.deepEqual(second.authors, ['Μ. Παπαδόπουλος']);
+});
+
+test('parses JSON Feed items, resolving links against the home page', () => {
+    const feed = parseFeed(fixture('json-feed.json'), { sourceUrl: 'https://news.logistis.gr/feed.json' });
+
+    assert.equal(feed.format, 'json');
+    assert.equal(feed.version, '1.1');
+    assert.equal(feed.title, 'Λογιστικά Νέα');
+    assert.equal(feed.link, 'https://news.logistis.gr/');
+    // Entries that are not objects are skipped
+    assert.equal(feed.items.length, 2);
+
+    const [first, second] = feed.items;
+    assert.equal(first.guid, '1');
+    assert.equal(first.link, 'https://news.logistis.gr/posts/e9-2026');
+    assert.equal(first.description, 'Οδηγίες & παραδείγματα');
+    assert.equal(first.content, '<p>Οδηγίες &amp; παραδείγματα</p>');
+    assert.equal(first.pub_date, '2026-10-18T07:00:00.000Z');
+    assert.equal(first.updated_date, '2026-10-18T09:00:00.000Z');
+    assert.deepEqual(first.authors, ['Ομάδα σύνταξης']);
+    assert.deepEqual(first.categories, ['ΕΝΦΙΑ', 'Ε9']);
+    assert.deepEqual(first.enclosures, [{ url: 'https://news.logistis.gr/files/e9.pdf', type: 'application/pdf', length: 2048 }]);
+
+    assert.equal(second.link, 'https://www.aade.gr/enfia');
+    assert.equal(second.description, 'Σύνοψη');
+    assert.equal(second.content, 'Πλήρες κείμενο');
+    assert.deepEqual(second.authors, ['Γ. Νικολάου']);
+});
+
+test('reads malformed XML without throwing', () => {
+    const feed = parseFeed(fixture('malformed.xml'));
+
+    assert.equal(feed.title, 'Ημιτελές © feed');
+    assert.equal(feed.items.length, 2);
+    assert.equal(feed.items[0].title, 'Τίτλος με & χωρίς escape');
+    assert.equal(feed.items[0].link, 'https://www.example.gr/a');
+    assert.equal(feed.items[0].description, 'Κείμενο με ανοιχτό tag');
+    assert.equal(feed.items[0].pub_date, null);
+    // The unclosed title swallows the rest of the document
+    assert.equal(feed.items[1].link, '');
+});
+
+test('parses long runs of broken markup in linear time', () => {
+    const hostile = ['<', '<!--', '<![CDATA[', '<a b="', '<a x', '<script', '<a>'].map(run => run.repeat(50000));
+    const started = Date.now();
+
+    hostile.forEach(markup => {
+        const feed = parseFeed(`<rss><channel><item><title>Τίτλος</title><description>${markup}</description></item></channel></rss>`);
+        assert.equal(feed.items.length, 1);
+        sanitize(markup);
+    });
+    parseXml('<a>'.repeat(50000) + '</b>'.repeat(50000));
+
+    // Quadratic scanning takes minutes on these inputs
+    assert.ok(Date.now() - started < 5000, `took ${Date.now() - started} ms`);
+});
+
+test('refuses documents larger than the parser reads', () => {
+    assert.throws(() => parseXml(`<rss>${' '.repeat(8 * 1024 * 1024)}</rss>`), /Document larger than/);
+});
+
+test('rejects documents that are not feeds', () => {
+    assert.throws(() => parseFeed('<html><body>Σελίδα</body></html>'), /Unsupported feed format: <html>/);
+    assert.throws(() => parseFeed('just text'), /Document is not XML or JSON/);
+    assert.throws(() => parseFeed('{"title": "not a feed"}'), /not a JSON Feed/);
+    assert.throws(() => parseFeed('{"version": '), /Invalid JSON Feed/);
+    assert.throws(() => parseFeed(''), /Document is not XML or JSON/);
+});
+
+test('resolves relative links against the channel link and the feed URL', () => {
+    const feed = parseFeed(fixture('relative-links.xml'), { sourceUrl: 'https://www.efka.gov.gr/el/rss.xml' });
+
+    assert.equal(feed.link, 'https://www.efka.gov.gr/news/');
+    assert.deepEqual(feed.items.map(item => item.link), [
+        'https://www.efka.gov.gr/news/2026/10/paratasi',
+        'https://www.efka.gov.gr/deltia/2',
+        'https://www.efka.gov.gr/el/guid-link'
+    ]);
+    assert.deepEqual(feed.items[0].enclosures, [{ url: 'https://www.efka.gov.gr/files/paratasi.pdf', type: 'application/pdf', length: null }]);
+});
+
+test('drops relative links when there is no absolute URL to resolve them against', () => {
+    const feed = parseFeed(fixture('relative-links.xml'));
+
+    assert.equal(feed.link, '');
+    assert.deepEqual(feed.items.map(item => item.link), ['', '', 'https://www.efka.gov.gr/el/guid-link']);
+    assert.deepEqual(feed.items[0].enclosures, []);
+});
+
+test('never returns javascript: or data: URLs and strips markup from titles', () => {
+    const feed = parseFeed(fixture('javascript-links.xml'));
+    const [first, second] = feed.items;
+
+    assert.equal(first.title, 'Τίτλος');
+    assert.equal(first.description, 'Απλό κείμενο');
+    assert.equal(first.link, '');
+    assert.deepEqual(first.enclosures, []);
+    assert.equal(second.link, '');
+    assert.deepEqual(second.enclosures, []);
+
+    // content keeps the feed's markup as written; it is only shown after sanitizing
+    assert.equal(sanitize(first.content, { baseUrl: feed.link }), '<p>Λίστα:</p>κακός');
+});
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { scrapeItems, scrapeFeed, feedScraper } = require('../scrapers');
+const { validateScraperRules } = require('../feeds');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'scrapers', name), 'utf8');
+
+const pick = items => items.map(({ title, link, pub_date, description }) => ({ title, link, pub_date, description }));
+
+test('scrapes a Drupal listing with relative links and Greek dates', () => {
+    const rules = validateScraperRules({
+        item: '.views-row',
+        title: 'h3 a',
+        date: '.date',
+        description: '.teaser'
+    });
+
+    const items = scrapeItems(fixture('efka-announcements.html'), rules, 'https://www.efka.gov.gr/el/anakoinoseis');
+
+    assert.deepEqual(pick(items), [
+        {
+            title: 'Παράταση προθεσμίας υποβολής ΑΠΔ Σεπτεμβρίου',
+            link: 'https://www.efka.gov.gr/el/anakoinoseis/paratasi-apd-septembrioy',
+            pub_date: '2026-10-14T21:00:00.000Z',
+            description: 'Η προθεσμία υποβολής της ΑΠΔ παρατείνεται έως 31 Οκτωβρίου 2026.'
+        },
+        {
+            title: 'Νέες εισφορές μη μισθωτών για το 2027',
+            link: 'https://www.efka.gov.gr/el/eisphores-mi-misthoton-2027',
+            pub_date: '2026-09-02T21:00:00.000Z',
+            description: ''
+        },
+        {
+            title: 'Προγραμματισμένη διακοπή ηλεκτρονικών υπηρεσιών',
+            link: 'https://www.efka.gov.gr/el/anakoinoseis/programmatismeni-diakopi',
+            pub_date: null,
+            description: 'Οι υπηρεσίες δεν θα είναι διαθέσιμες το Σαββατοκύριακο.'
+        }
+    ]);
+});
+
+test('skips entries without a title, with a javascript: link or with a link already seen', () => {
+    const rules = validateScraperRules({ item: '.views-row', title: 'h3 a' });
+    const items = scrapeItems(fixture('efka-announcements.html'), rules, 'https://www.efka.gov.gr/el/anakoinoseis');
+
+    assert.equal(items.length, 3);
+    assert.ok(items.every(item => item.link.startsWith('https://www.efka.gov.gr/')));
+    assert.ok(!items.some(item => item.title.includes('επανάληψη')));
+});
+
+test('cuts field values with the after and before markers', () => {
+    const rules = validateScraperRules({
+        item: 'ul.press-list > li',
+        title: 'a.title',
+        date: { selector: '.meta', after: 'Ημερομηνία:', before: '|' },
+        description: '.summary'
+    });
+
+    const items = scrapeItems(fixture('aade-press-releases.html'), rules, 'https://www.aade.gr/');
+
+    assert.deepEqual(pick(items), [
+        {
+            title: 'Νέες ψηφιακές υπηρεσίες στο myAADE',
+            link: 'https://www.aade.gr/deltia-typoy/myaade-nees-ypiresies?utm_source=home',
+            pub_date: '2026-10-14T08:30:00.000Z',
+            description: 'Ενεργοποιήθηκαν νέες υπηρεσίες για φυσικά πρόσωπα.'
+        },
+        {
+            title: 'Επέκταση εφαρμογής myDATA & ηλεκτρονικής τιμολόγησης',
+            link: 'https://www.aade.gr/deltia-typoy/efarmogi-myDATA',
+            pub_date: '2026-10-01T21:00:00.000Z',
+            description: 'Οδηγίες προς τις επιχειρήσεις για τη μετάβαση.'
+        },
+        {
+            title: 'Διευκολύνσεις εξόφλησης οφειλών',
+            link: 'https://www.aade.gr/deltia-typoy/eksoflisi-ofeilon',
+            pub_date: null,
+            description: ''
+        }
+    ]);
+});
+
+test('reads titles and links from attributes', () => {
+    const rules = validateScraperRules({
+        item: 'table.decisions tbody tr',
+        title: { selector: 'td.doc a', attribute: 'data-title' },
+        link: { selector: 'td.doc a' },
+        date: 'td.date',
+        description: 'td.subject'
+    });
+
+    const items = scrapeItems(fixture('minfin-decisions.html'), rules, 'https://www.minfin.gr/web/guest/apofaseis');
+
+    assert.deepEqual(pick(items), [
+        {
+            title: 'Απόφαση Α.1120/2026',
+            link: 'https://www.minfin.gr/files/A1120-2026.pdf',
+            pub_date: '2026-10-11T21:00:00.000Z',
+            description: 'Α.1120/2026: Κοινοποίηση διατάξεων του ν. 5100/2026'
+        },
+        {
+            title: 'Εγκύκλιος Ε.2100/2026',
+            link: 'https://www.minfin.gr/files/E2100-2026.pdf',
+            pub_date: '2026-10-04T21:00:00.000Z',
+            description: 'Ε.2100/2026: Οδηγίες για την εφαρμογή του ΦΠΑ'
+        }
+    ]);
+});
+
+test('scrapeFeed returns the page as an "html" feed', () => {
+    const rules = validateScraperRules({ item: '.views-row', title: 'h3 a', date: '.date' });
+    const feed = scrapeFeed(fixture('efka-announcements.html'), rules, 'https://www.efka.gov.gr/el/anakoinoseis');
+
+    assert.equal(feed.format, 'html');
+    assert.equal(feed.title, 'Ανακοινώσεις | e-ΕΦΚΑ');
+    assert.equal(feed.link, 'https://www.efka.gov.gr/el/anakoinoseis');
+    assert.equal(feed.description, 'Ανακοινώσεις του Ηλεκτρονικού Εθνικού Φορέα Κοινωνικής Ασφάλισης');
+    assert.equal(feed.items.length, 3);
+    assert.equal(feed.items[0].guid, feed.items[0].link);
+});
+
+test('feedScraper reads the stored rules of "html" feeds only', () => {
+    const rules = { item: 'li', title: { selector: 'a' } };
+
+    assert.deepEqual(feedScraper({ FeedType: 'html', ScraperRules: JSON.stringify(rules) }), rules);
+    assert.equal(feedScraper({ FeedType: 'rss', ScraperRules: null }), null);
+});
+
+test('rules take text markers, not regular expressions', () => {
+    assert.throws(
+        () => validateScraperRules({ item: 'li', title: { selector: 'a', pattern: '^(a+)+$' } }),
+        /"title\.pattern" is not supported/
+    );
+    assert.throws(
+        () => validateScraperRules({ item: 'li', title: 'a', date: { selector: '.date', after: '' } }),
+        /"date\.after" must be text/
+    );
+    assert.throws(() => validateScraperRules({ item: 'li' }), /"title" is required/);
+    assert.throws(() => validateScraperRules({ item: 'li', title: 'a', author: '.by' }), /Unknown scraper rules: author/);
+});
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { ValidationError } = require('./articles');
+const { validatePublicUrl } = require('./feeds');
+const { safeFetch } = require('./safe-fetch');
+const { parseCriteria, validateCriteriaInput, matchCriteria } = require('./criteria');
+
+const TICK_MS = 15 * 1000;
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const DELIVERY_BATCH = 20;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const USER_AGENT = 'GreekTaxNewsHub-Webhooks/1.0';
+
+/**
+ * Validates a webhook create/update body and maps it to Webhooks columns
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {Object} [options.existing] - Row being updated (PATCH); missing fields keep its values
+ * @returns {Object} - Column values to write
+ */
+function validateWebhookInput(body, { existing = null } = {}) {
+    if (!body || typeof body !== 'object') {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+
+    const fields = {};
+
+    if (body.url !== undefined || !existing) {
+        fields.URL = validatePublicUrl(body.url, 'Webhook');
+    }
+
+    if (body.description !== undefined) {
+        if (body.description !== null && typeof body.description !== 'string') {
+            throw new ValidationError('Webhook "description" must be a string');
+        }
+        fields.Description = body.description ? body.description.trim().substring(0, 200) : null;
+    }
+
+    if (body.secret !== undefined) {
+        if (typeof body.secret !== 'string' || body.secret.length < 16 || body.secret.length > 128) {
+            throw new ValidationError('Webhook "secret" must be a string of 16 to 128 characters');
+        }
+        fields.Secret = body.secret;
+    }
+
+    if (body.isActive !== undefined) {
+        if (typeof body.isActive !== 'boolean') {
+            throw new ValidationError('Webhook "isActive" must be a boolean');
+        }
+        fields.IsActive = body.isActive;
+    }
+
+    const criteria = validateCriteriaInput(body, existing ? parseCriteria(existing.Criteria) : null, 'Webhook');
+    if (criteria) {
+        fields.Criteria = JSON.stringify(criteria);
+    }
+
+    if (Object.keys(fields).length === 0) {
+        throw new ValidationError('No webhook fields to update');
+    }
+
+    return fields;
+}
+
+/**
+ * Creates a signing secret for a new webhook
+ * @returns {string}
+ */
+function createWebhookSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Signs a payload. Receivers recompute HMAC-SHA256 over `${timestamp}.${body}` with their
+ * secret, compare it to the X-GreekTaxHub-Signature header and reject stale timestamps.
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix seconds, sent as X-GreekTaxHub-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const toIso = value => (value instanceof Date ? value.toISOString() : value || null);
+
+/**
+ * Maps a Webhooks row to the API shape (without its secret)
+ * @param {Object} row - Webhooks row
+ * @returns {Object}
+ */
+function toApiWebhook(row) {
+    const criteria = parseCriteria(row.Criteria);
+
+    return {
+        id: row.WebhookID,
+        url: row.URL,
+        description: row.Description || null,
+        keywords: criteria.keywords,
+        categories: criteria.categories,
+        topics: criteria.topics,
+        feed_ids: criteria.feedIds,
+        is_active: Boolean(row.IsActive),
+        created_at: toIso(row.CreatedAt),
+        last_event_at: toIso(row.LastEventAt)
+    };
+}
+
+/**
+ * Maps a WebhookDeliveries row to the API shape
+ * @param {Object} row - WebhookDeliveries row
+ * @returns {Object}
+ */
+function toApiDelivery(row) {
+    return {
+        id: row.DeliveryID,
+        webhook_id: row.WebhookID,
+        event: row.Event,
+        article_id: row.ArticleID || null,
+        status: row.Status,
+        attempts: row.Attempts,
+        next_attempt_at: row.Status === 'pending' ? toIso(row.NextAttemptAt) : null,
+        last_attempt_at: toIso(row.LastAttemptAt),
+        response_status: row.ResponseStatus || null,
+        error: row.Error || null,
+        created_at: toIso(row.CreatedAt),
+        delivered_at: toIso(row.DeliveredAt),
+        payload: JSON.parse(row.Payload)
+    };
+}
+
+/**
+ * Reads and validates the filters of a delivery log request
+ * @param {Object} query - Express req.query
+ * @returns {{status: string|null, page: number, pageSize: number}}
+ */
+function parseDeliveryFilters(query) {
+    const status = query.status || null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        throw new ValidationError(`Invalid status: ${status}. Use one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+
+    return {
+        status,
+        page: Math.max(parseInt(query.page) || 1, 1),
+        pageSize: Math.min(Math.max(parseInt(query.pageSize) || 20, 1), 100)
+    };
+}
+
+/**
+ * Builds a delivery row ready to be queued
+ * @param {Object} webhook - Webhooks row
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {Date} now
+ * @returns {Object} - WebhookDeliveries columns
+ */
+function buildDelivery(webhook, event, data, now) {
+    return {
+        WebhookID: webhook.WebhookID,
+        ArticleID: data.article ? data.article.id : null,
+        Event: event,
+        Payload: JSON.stringify({ event, webhook_id: webhook.WebhookID, created_at: now.toISOString(), data }),
+        Status: 'pending',
+        Attempts: 0,
+        NextAttemptAt: now
+    };
+}
+
+/**
+ * Delay before the next attempt: exponential from 30 seconds, capped at an hour, with jitter
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Milliseconds
+ */
+function backoffDelay(attempts) {
+    const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Queues an `article.created` delivery for every active webhook whose filters match
+ * an article stored since the webhook last checked, then advances its watermark
+ * @param {Object} store - Storage backend
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of queued deliveries
+ */
+async function queueArticleEvents(store, now) {
+    const webhooks = await store.listWebhooks({ activeOnly: true });
+    if (webhooks.length === 0) return 0;
+
+    const watermark = row => new Date(row.LastEventAt || row.CreatedAt);
+    const since = new Date(Math.min(...webhooks.map(row => watermark(row).getTime())));
+    const articles = await store.listArticlesCreatedBetween(since, now);
+    let queued = 0;
+
+    for (const webhook of webhooks) {
+        const after = watermark(webhook);
+        const criteria = parseCriteria(webhook.Criteria);
+        const deliveries = articles
+            .filter(article => new Date(article.created_at) > after)
+            .map(article => matchCriteria(article, criteria))
+            .filter(Boolean)
+            .map(({ score, highlights, ...article }) => buildDelivery(webhook, 'article.created', { article }, now));
+
+        if (deliveries.length > 0) {
+            await store.createDeliveries(deliveries);
+            queued += deliveries.length;
+        }
+        await store.updateWebhook(webhook.WebhookID, { LastEventAt: now });
+    }
+
+    return queued;
+}
+
+/**
+ * Makes one delivery attempt and records its outcome
+ * @param {Object} store - Storage backend
+ * @param {Object} delivery - WebhookDeliveries row
+ * @param {Object} webhook - Webhooks row
+ * @returns {Promise<boolean>} - True when the receiver answered 2xx
+ */
+async function attemptDelivery(store, delivery, webhook) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const attempts = delivery.Attempts + 1;
+    const now = new Date();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        // The URL must still resolve to public addresses when sent, and redirects are not followed,
+        // so neither a DNS change nor a redirect can point deliveries at internal hosts
+        const response = await safeFetch(webhook.URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'User-Agent': USER_AGENT,
+                'X-GreekTaxHub-Event': delivery.Event,
+                'X-GreekTaxHub-Delivery': String(delivery.DeliveryID),
+                'X-GreekTaxHub-Timestamp': timestamp,
+                'X-GreekTaxHub-Signature': signPayload(webhook.Secret, timestamp, delivery.Payload)
+            },
+            body: delivery.Payload,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        });
+        responseStatus = response.status;
+        if (!response.ok) {
+            error = `HTTP ${response.status}`;
+        }
+    } catch (err) {
+        error = err.message;
+    }
+
+    if (!error) {
+        await store.updateDelivery(delivery.DeliveryID, {
+            Status: 'delivered', Attempts: attempts, LastAttemptAt: now, ResponseStatus: responseStatus, Error: null, DeliveredAt: now
+        });
+        return true;
+    }
+
+    const failed = attempts >= MAX_ATTEMPTS;
+    await store.updateDelivery(delivery.DeliveryID, {
+        Status: failed ? 'failed' : 'pending',
+        Attempts: attempts,
+        LastAttemptAt: now,
+        NextAttemptAt: failed ? null : new Date(now.getTime() + backoffDelay(attempts)),
+        ResponseStatus: responseStatus,
+        Error: error.substring(0, 1000)
+    });
+    logger.warn(`⚠️ Webhook delivery ${failed ? 'failed permanently' : 'will be retried'}: ${error}`, {
+        webhookId: webhook.WebhookID,
+        deliveryId: delivery.DeliveryID,
+        attempts
+    });
+    return false;
+}
+
+/**
+ * Queues new article events and attempts the deliveries that are due
+ * @param {Object} store - Storage backend
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<{queued: number, delivered: number, failed: number}>}
+ */
+async function runWebhookDispatch(store, { now = new Date() } = {}) {
+    const queued = await queueArticleEvents(store, now);
+    const due = await store.listDueDeliveries(now, DELIVERY_BATCH);
+    const webhooks = new Map((await store.listWebhooks()).map(row => [row.WebhookID, row]));
+    let delivered = 0;
+    let failed = 0;
+
+    for (const delivery of due) {
+        const webhook = webhooks.get(delivery.WebhookID);
+        if (!webhook || !webhook.IsActive) continue;
+
+        if (await attemptDelivery(store, delivery, webhook)) {
+            delivered++;
+        } else {
+            failed++;
+        }
+    }
+
+    if (queued + delivered + failed > 0) {
+        logger.info(`🪝 Webhooks: ${queued} queued, ${delivered} delivered, ${failed} failed attempts`);
+    }
+    return { queued, delivered, failed };
+}
+
+/**
+ * Starts the background job that dispatches webhook deliveries
+ * @param {Object} store - Storage backend
+ * @returns {Function} - Stops the worker
+ */
+function startWebhookWorker(store) {
+    let running = false;
+
+    const tick = async () => {
+        if (running || !store.isConnected()) {
+            return;
+        }
+
+        running = true;
+        try {
+            await runWebhookDispatch(store);
+        } catch (err) {
+            logger.error('Webhook dispatch failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    logger.info(`⏱️ Webhook dispatch scheduled every ${TICK_MS / 1000} seconds`);
+    const timer = setInterval(tick, TICK_MS);
+    tick();
+
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    validateWebhookInput,
+    createWebhookSecret,
+    signPayload,
+    toApiWebhook,
+    toApiDelivery,
+    parseDeliveryFilters,
+    buildDelivery,
+    runWebhookDispatch,
+    startWebhookWorker
+};
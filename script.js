@@ -1,37 +1,474 @@
-const API = "https://greek-tax-api-1.onrender.com/api/articles";
+const API_BASE = "https://greek-tax-api-1.onrender.com/api";
 
 let currentPage = 1;
 let totalPages = 1;
+let currentQuery = "";
+let currentTopic = "";
+
+// Signed-in user and their read/bookmark/note state, kept locally so cards render offline
+let authToken = localStorage.getItem("authToken");
+let accountName = localStorage.getItem("accountName");
+let articleStates = JSON.parse(localStorage.getItem("articleStates") || "{}");
+let visibleIds = [];
+
+function buildUrl(page) {
+  const params = new URLSearchParams({ page });
+  if (currentQuery) params.set("q", currentQuery);
+  if (currentTopic) params.set("topic", currentTopic);
+  return `${API_BASE}/${currentQuery ? "search" : "articles"}?${params}`;
+}
+
+// Shown while offline or while the service worker answers from its cache
+function showOffline(cachedAt) {
+  const banner = document.getElementById("offlineBanner");
+  const offline = !navigator.onLine || Boolean(cachedAt);
+  banner.hidden = !offline;
+  if (!offline) return;
+
+  banner.innerText = cachedAt
+    ? `Εκτός σύνδεσης · Αποθηκευμένα άρθρα από ${new Date(cachedAt).toLocaleString("el-GR")}`
+    : "Εκτός σύνδεσης";
+}
 
 async function fetchNews(page = 1) {
-  const res = await fetch(`${API}?page=${page}`);
+  const res = await fetch(buildUrl(page));
   const data = await res.json();
-console.log(data);
   const container = document.getElementById("news-container");
   container.innerHTML = "";
+  showOffline(res.headers.get("X-Cached-At"));
 
-  data.articles.forEach(article => {
-    const card = document.createElement("div");
-    card.className = "card";
+  if (data.offline) {
+    showOffline();
+    container.innerHTML = `<p class="empty">Η σελίδα δεν είναι διαθέσιμη εκτός σύνδεσης.</p>`;
+    return;
+  }
 
-    card.innerHTML = `
-      <div class="badge">${article.category || "General"}</div>
-      <h3>${article.title}</h3>
-      <div class="meta">${article.source}</div>
-      <a href="${article.link}" target="_blank">Διαβάστε περισσότερα →</a>
-    `;
+  if (data.articles.length === 0) {
+    container.innerHTML = `<p class="empty">Δεν βρέθηκαν άρθρα.</p>`;
+  }
 
-    container.appendChild(card);
-  });
+  data.articles.forEach(article => container.appendChild(renderCard(article)));
 
   currentPage = data.page;
   totalPages = data.total_pages;
 
-  document.getElementById("pageInfo").innerText =
-    `Σελίδα ${currentPage} από ${totalPages}`;
+  document.getElementById("topicFilter").hidden = !currentTopic;
+  document.getElementById("topicName").innerText = currentTopic;
+
+  document.getElementById("pageInfo").innerText = currentQuery
+    ? `${data.total_items} αποτελέσματα για «${currentQuery}» · Σελίδα ${currentPage} από ${totalPages}`
+    : `Σελίδα ${currentPage} από ${totalPages}`;
 
   document.getElementById("prevBtn").disabled = currentPage === 1;
   document.getElementById("nextBtn").disabled = currentPage === totalPages;
+
+  visibleIds = data.articles.map(article => article.id).filter(Number.isInteger);
+  syncStates();
+}
+
+// Article cards. Feed text is set with textContent and feed HTML passes through
+// HtmlSanitizer, so titles, sources and links cannot inject markup.
+
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+// Links with an unsafe or unreadable URL are shown as plain text
+function externalLink(url, text, className) {
+  const href = HtmlSanitizer.safeUrl(url);
+  const link = createElement(href ? "a" : "span", className, text);
+  if (href) {
+    link.href = href;
+    link.target = "_blank";
+    link.rel = "noopener noreferrer";
+  }
+  return link;
+}
+
+function renderCard(article) {
+  const card = createElement("div", "card");
+
+  const badges = createElement("div", "badges");
+  if (article.topics && article.topics.length) {
+    article.topics.forEach(topic => {
+      const badge = createElement("button", "badge", topic);
+      badge.onclick = () => setTopic(topic);
+      badges.appendChild(badge);
+    });
+  } else {
+    badges.appendChild(createElement("div", "badge", article.category || "General"));
+  }
+
+  // Search results carry server-escaped highlights; sanitizing keeps their <mark> tags
+  const title = createElement("h3");
+  if (article.highlights) {
+    title.innerHTML = HtmlSanitizer.sanitize(article.highlights.title);
+  } else {
+    title.textContent = article.title;
+  }
+  card.append(badges, title);
+
+  if (article.highlights) {
+    const snippet = createElement("p", "snippet");
+    snippet.innerHTML = HtmlSanitizer.sanitize(article.highlights.snippet);
+    card.appendChild(snippet);
+  }
+
+  card.appendChild(createElement("div", "meta", `${article.source} · ${GreekDates.formatDate(article.pub_date)}`));
+
+  // The same story from other sources, merged by the API
+  const alternates = (article.sources || []).slice(1);
+  if (alternates.length) {
+    const sources = createElement("div", "sources", "Επίσης σε: ");
+    alternates.forEach((source, index) => {
+      if (index > 0) sources.append(" · ");
+      sources.appendChild(externalLink(source.link, source.source));
+    });
+    card.appendChild(sources);
+  }
+
+  const body = createElement("div", "card-body");
+  body.hidden = true;
+  const expand = createElement("button", "expand-btn", "Περισσότερα ▾");
+  expand.onclick = () => {
+    body.hidden = !body.hidden;
+    expand.textContent = body.hidden ? "Περισσότερα ▾" : "Λιγότερα ▴";
+    if (!body.hidden && !body.dataset.loaded) {
+      body.dataset.loaded = "true";
+      loadArticleBody(article, body);
+    }
+  };
+  card.append(expand, body);
+
+  const readMore = externalLink(article.link, "Διαβάστε περισσότερα →", "read-more");
+
+  // Only stored articles have numeric ids; those served from the fallback feeds carry
+  // their GUID or link as id and cannot carry state
+  if (authToken && Number.isInteger(article.id)) {
+    const actions = createElement("div", "card-actions");
+    actions.innerHTML = `
+      <button data-action="read" title="Διαβάστηκε">✓</button>
+      <button data-action="bookmarked" title="Σελιδοδείκτης">★</button>
+      <button data-action="note" title="Σημείωση">📝</button>
+    `;
+    card.append(actions, createElement("p", "note"));
+
+    card.dataset.articleId = article.id;
+    actions.querySelector("[data-action=read]").onclick = () => toggleState(article.id, "read");
+    actions.querySelector("[data-action=bookmarked]").onclick = () => toggleState(article.id, "bookmarked");
+    actions.querySelector("[data-action=note]").onclick = () => editNote(article.id);
+    readMore.addEventListener("click", () => {
+      if (!stateOf(article.id).read) saveState(article.id, { read: true });
+    });
+    renderState(card, article.id);
+  }
+
+  card.appendChild(readMore);
+  return card;
+}
+
+// The expanded view: the feed body, else the text read from the article page, and its attachments
+async function loadArticleBody(article, body) {
+  let detail = article;
+  if (Number.isInteger(article.id)) {
+    body.appendChild(createElement("p", "empty", "Φόρτωση…"));
+    try {
+      const res = await fetch(`${API_BASE}/articles/${article.id}`);
+      if (res.ok) detail = { ...article, ...(await res.json()) };
+    } catch (error) {
+      console.error("Loading the article failed:", error);
+    }
+  }
+  renderArticleBody(body, detail);
+}
+
+function renderArticleBody(body, article) {
+  body.innerHTML = "";
+
+  const html = HtmlSanitizer.sanitize(article.content_html, { baseUrl: article.link });
+  if (html) {
+    const content = createElement("div", "article-content");
+    content.innerHTML = html;
+    body.appendChild(content);
+  } else {
+    const paragraphs = (article.full_text || article.description || "").split(/\n{2,}/).filter(text => text.trim());
+    paragraphs.forEach(text => body.appendChild(createElement("p", "article-text", text.trim())));
+    if (paragraphs.length === 0) {
+      body.appendChild(createElement("p", "empty", "Δεν υπάρχει κείμενο για αυτό το άρθρο."));
+    }
+  }
+
+  if (article.attachments && article.attachments.length) {
+    const list = createElement("ul", "attachments");
+    article.attachments.forEach(attachment => {
+      const item = createElement("li");
+      item.appendChild(externalLink(attachment.url, `📎 ${attachment.title || attachment.url}`));
+      list.appendChild(item);
+    });
+    body.appendChild(list);
+  }
+}
+
+/**
+ * Calls the API with the signed-in user's token; a rejected token signs the user out
+ * @param {string} path - Path below API_BASE
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+async function apiFetch(path, options = {}) {
+  const headers = { "Content-Type": "application/json", ...(options.headers || {}) };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  const res = await fetch(`${API_BASE}${path}`, { ...options, headers });
+  if (res.status === 401 && authToken) setAccount(null);
+  return res;
+}
+
+function stateOf(articleId) {
+  return articleStates[articleId] || { read: false, bookmarked: false, note: null };
+}
+
+function storeStates() {
+  localStorage.setItem("articleStates", JSON.stringify(articleStates));
+}
+
+function renderState(card, articleId) {
+  const state = stateOf(articleId);
+  card.classList.toggle("read", state.read);
+  card.querySelector("[data-action=read]").classList.toggle("active", state.read);
+  card.querySelector("[data-action=bookmarked]").classList.toggle("active", state.bookmarked);
+  card.querySelector("[data-action=note]").classList.toggle("active", Boolean(state.note));
+
+  const note = card.querySelector(".note");
+  note.hidden = !state.note;
+  note.textContent = state.note || "";
+}
+
+function renderStates() {
+  document.querySelectorAll(".card[data-article-id]").forEach(card => {
+    renderState(card, Number(card.dataset.articleId));
+  });
+}
+
+// Loads the server state of the articles on screen; newer local changes are kept
+async function syncStates() {
+  if (!authToken || visibleIds.length === 0 || !navigator.onLine) return;
+
+  try {
+    const res = await apiFetch(`/me/states?articleIds=${visibleIds.join(",")}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    if (data.offline) return;
+
+    data.states.forEach(state => {
+      const local = articleStates[state.article_id];
+      if (!local || !local.updated_at || local.updated_at <= state.updated_at) {
+        articleStates[state.article_id] = state;
+      }
+    });
+    storeStates();
+    renderStates();
+  } catch (error) {
+    console.error("State sync failed:", error);
+  }
+}
+
+/**
+ * Applies a change locally and sends it; offline changes are queued by the service worker
+ * @param {number} articleId
+ * @param {Object} changes - read, bookmarked and/or note
+ */
+async function saveState(articleId, changes) {
+  const previous = stateOf(articleId);
+  const updatedAt = new Date().toISOString();
+  articleStates[articleId] = { ...previous, ...changes, article_id: articleId, updated_at: updatedAt };
+  storeStates();
+  renderStates();
+
+  try {
+    const res = await apiFetch(`/me/states/${articleId}`, {
+      method: "PUT",
+      body: JSON.stringify({ ...changes, updated_at: updatedAt })
+    });
+    if (res.status === 202) return;
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    articleStates[articleId] = await res.json();
+  } catch (error) {
+    console.error("Saving article state failed:", error);
+    articleStates[articleId] = previous;
+  }
+  storeStates();
+  renderStates();
+}
+
+function toggleState(articleId, field) {
+  saveState(articleId, { [field]: !stateOf(articleId)[field] });
+}
+
+function editNote(articleId) {
+  const note = prompt("Σημείωση για το άρθρο:", stateOf(articleId).note || "");
+  if (note !== null) saveState(articleId, { note });
+}
+
+// Export of the current topic and date range as a PDF digest, DOCX report or CSV
+async function exportArticles() {
+  const button = document.getElementById("exportBtn");
+  const params = new URLSearchParams({ format: document.getElementById("exportFormat").value });
+  const from = document.getElementById("exportFrom").value;
+  const to = document.getElementById("exportTo").value;
+  if (currentTopic) params.set("topic", currentTopic);
+  if (from) params.set("from", from);
+  if (to) params.set("to", `${to}T23:59:59`);
+  if (authToken && document.getElementById("exportBookmarked").checked) params.set("bookmarked", "true");
+
+  button.disabled = true;
+  try {
+    const res = await apiFetch(`/export?${params}`);
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.offline ? "Η εξαγωγή δεν είναι διαθέσιμη εκτός σύνδεσης" : data.error || `HTTP ${res.status}`);
+    }
+
+    const filename = (/filename="([^"]+)"/.exec(res.headers.get("Content-Disposition") || "") || [])[1];
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = filename || `tax-news.${params.get("format")}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    if (res.headers.get("X-Export-Truncated") === "true") {
+      const total = res.headers.get("X-Total-Count");
+      alert(`Η εξαγωγή περιέχει μόνο τα νεότερα άρθρα από τα ${total} που ταιριάζουν. Περιορίστε το διάστημα για πλήρη εξαγωγή.`);
+    }
+  } catch (error) {
+    alert(`Η εξαγωγή απέτυχε: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Feed status
+
+const HEALTH_LABELS = {
+  ok: "Ενημερωμένη",
+  stale: "Καθυστερεί",
+  failing: "Σφάλματα",
+  pending: "Αναμονή",
+  disabled: "Ανενεργή"
+};
+
+// Which sources are fetched normally and which have gone stale or keep failing
+async function loadFeedStatus() {
+  try {
+    const res = await fetch(`${API_BASE}/feeds/status`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.offline ? "Εκτός σύνδεσης" : data.error || `HTTP ${res.status}`);
+    renderFeedStatus(data);
+  } catch (error) {
+    document.getElementById("statusSummary").innerText = `Η κατάσταση των πηγών δεν είναι διαθέσιμη: ${error.message}`;
+    document.getElementById("statusRows").innerHTML = "";
+  }
+}
+
+function renderFeedStatus(data) {
+  const { summary } = data;
+  const problems = summary.stale + summary.failing;
+  document.getElementById("statusBtn").innerText = problems ? `📡 Πηγές ⚠ ${problems}` : "📡 Πηγές";
+  document.getElementById("statusSummary").innerText =
+    `${summary.ok} από ${summary.total} πηγές ενημερωμένες · ${summary.stale} καθυστερούν · ` +
+    `${summary.failing} με σφάλματα · ${summary.disabled} ανενεργές`;
+
+  const rows = document.getElementById("statusRows");
+  rows.innerHTML = "";
+  data.feeds.forEach(feed => {
+    const row = document.createElement("tr");
+    if (feed.next_fetch_at) row.title = `Επόμενος έλεγχος: ${new Date(feed.next_fetch_at).toLocaleString("el-GR")}`;
+
+    let label = HEALTH_LABELS[feed.health] || feed.health;
+    if (feed.health === "failing") label += ` (${feed.consecutive_failures})`;
+    if (feed.auto_disabled_at) label += " λόγω σφαλμάτων";
+
+    const badge = document.createElement("span");
+    badge.className = `health health-${feed.health}`;
+    badge.innerText = label;
+
+    const cells = [
+      feed.name,
+      badge,
+      feed.last_success_at ? new Date(feed.last_success_at).toLocaleString("el-GR") : "Ποτέ",
+      feed.last_item_count !== null ? feed.last_item_count : "–",
+      feed.last_latency_ms !== null ? `${feed.last_latency_ms} ms` : "–",
+      feed.last_error || ""
+    ];
+    cells.forEach((value, index) => {
+      const cell = document.createElement("td");
+      if (value instanceof Node) {
+        cell.appendChild(value);
+      } else {
+        cell.innerText = value;
+      }
+      if (index === cells.length - 1) {
+        cell.className = "status-error";
+        cell.title = value;
+      }
+      row.appendChild(cell);
+    });
+
+    rows.appendChild(row);
+  });
+}
+
+// Account
+
+function setAccount(account) {
+  authToken = account ? account.token : null;
+  accountName = account ? account.user.username : null;
+  articleStates = {};
+
+  if (account) {
+    localStorage.setItem("authToken", authToken);
+    localStorage.setItem("accountName", accountName);
+  } else {
+    localStorage.removeItem("authToken");
+    localStorage.removeItem("accountName");
+  }
+  storeStates();
+  renderAccount();
+}
+
+function renderAccount() {
+  document.getElementById("accountBtn").innerText = accountName ? `👤 ${accountName}` : "👤 Σύνδεση";
+  document.getElementById("loginFields").hidden = Boolean(accountName);
+  document.getElementById("accountInfo").hidden = !accountName;
+  document.getElementById("accountName").innerText = accountName || "";
+  document.getElementById("accountError").hidden = true;
+  document.getElementById("exportBookmarkedLabel").hidden = !accountName;
+}
+
+async function signIn(path) {
+  const error = document.getElementById("accountError");
+  try {
+    const res = await apiFetch(path, {
+      method: "POST",
+      body: JSON.stringify({
+        username: document.getElementById("usernameInput").value,
+        password: document.getElementById("passwordInput").value
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.offline ? "Εκτός σύνδεσης" : data.error || `HTTP ${res.status}`);
+
+    document.getElementById("passwordInput").value = "";
+    document.getElementById("accountPanel").hidden = true;
+    setAccount(data);
+    fetchNews(currentPage);
+  } catch (err) {
+    error.innerText = err.message;
+    error.hidden = false;
+  }
 }
 
 document.getElementById("prevBtn").onclick = () => {
@@ -42,8 +479,80 @@ document.getElementById("nextBtn").onclick = () => {
   if (currentPage < totalPages) fetchNews(currentPage + 1);
 };
 
+document.getElementById("searchForm").onsubmit = (event) => {
+  event.preventDefault();
+  currentQuery = document.getElementById("searchInput").value.trim();
+  document.getElementById("clearSearch").hidden = !currentQuery;
+  fetchNews(1);
+};
+
+document.getElementById("clearSearch").onclick = () => {
+  document.getElementById("searchInput").value = "";
+  currentQuery = "";
+  document.getElementById("clearSearch").hidden = true;
+  fetchNews(1);
+};
+
+function setTopic(topic) {
+  currentTopic = topic;
+  fetchNews(1);
+}
+
+document.getElementById("clearTopic").onclick = () => setTopic("");
+
+document.getElementById("statusBtn").onclick = () => {
+  const panel = document.getElementById("statusPanel");
+  panel.hidden = !panel.hidden;
+  if (!panel.hidden) loadFeedStatus();
+};
+
+document.getElementById("accountBtn").onclick = () => {
+  const panel = document.getElementById("accountPanel");
+  panel.hidden = !panel.hidden;
+};
+
+document.getElementById("accountPanel").onsubmit = (event) => {
+  event.preventDefault();
+  signIn("/auth/login");
+};
+
+document.getElementById("registerBtn").onclick = () => signIn("/users");
+
+document.getElementById("logoutBtn").onclick = async () => {
+  await apiFetch("/auth/logout", { method: "POST" }).catch(() => {});
+  setAccount(null);
+  document.getElementById("accountPanel").hidden = true;
+  fetchNews(currentPage);
+};
+
+document.getElementById("exportBtn").onclick = exportArticles;
+
 document.getElementById("darkToggle").onclick = () => {
   document.body.classList.toggle("light");
 };
 
+window.addEventListener("offline", () => showOffline());
+
+// Queued changes are sent and cached pages refreshed by the service worker
+window.addEventListener("online", () => {
+  showOffline();
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage({ type: "online" });
+  } else {
+    fetchNews(currentPage);
+  }
+});
+
+// Picks up changes made on other devices
+window.addEventListener("focus", syncStates);
+
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch(error => console.error("Service worker registration failed:", error));
+  navigator.serviceWorker.addEventListener("message", event => {
+    if (event.data && event.data.type === "refreshed") fetchNews(currentPage);
+  });
+}
+
+renderAccount();
 fetchNews();
+loadFeedStatus();
@@ -0,0 +1,179 @@
+// Stable article IDs and cross-source near-duplicate detection, shared by the backend and the browser
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./greek-text'));
+    } else {
+        root.Dedup = factory(root.GreekText);
+    }
+})(typeof self !== 'undefined' ? self : this, function (GreekText) {
+    // Click-tracking parameters added by analytics and ad platforms. Generic names such as
+    // ref, source or format are kept: sites use them to pick a different page.
+    const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl)$/i;
+    const DEFAULT_SIMILARITY = 0.8;
+    const MIN_TITLE_TOKENS = 3;
+    // Republications of one announcement appear within a few days of each other
+    const DUPLICATE_WINDOW_MS = 72 * 60 * 60 * 1000;
+
+    /**
+     * Normalizes a link so http/https, www., trailing slashes, fragments and tracking
+     * parameters do not produce different keys for the same page
+     * @param {string} link - Article URL
+     * @returns {string}
+     */
+    function normalizeUrl(link) {
+        if (!link) return '';
+
+        try {
+            const url = new URL(String(link).trim());
+            const params = [...url.searchParams.entries()]
+                .filter(([key]) => !TRACKING_PARAMS.test(key))
+                .sort(([a], [b]) => a.localeCompare(b));
+            const query = params.map(([key, value]) => `${key}=${value}`).join('&');
+            const host = url.hostname.toLowerCase().replace(/^www\./, '');
+            const path = url.pathname.replace(/\/+$/, '');
+
+            return `${host}${path}${query ? `?${query}` : ''}`;
+        } catch {
+            return String(link).trim().toLowerCase();
+        }
+    }
+
+    /**
+     * 53-bit string hash (cyrb53), synchronous so it works the same in Node and the browser
+     * @param {string} text - Text to hash
+     * @returns {string} - Hex digest
+     */
+    function hashString(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ code, 2654435761);
+            h2 = Math.imul(h2 ^ code, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    /**
+     * Builds a content-hash ID that stays the same across fetches.
+     * The normalized link is preferred, then a URL-like GUID, then the GUID itself, then the title.
+     * @param {Object} item
+     * @param {string} [item.link]
+     * @param {string} [item.guid]
+     * @param {string} [item.title]
+     * @returns {string}
+     */
+    function articleId({ link, guid, title } = {}) {
+        let key;
+        if (link) {
+            key = `url:${normalizeUrl(link)}`;
+        } else if (guid && /^https?:\/\//i.test(guid)) {
+            key = `url:${normalizeUrl(guid)}`;
+        } else if (guid) {
+            key = `guid:${String(guid).trim()}`;
+        } else {
+            key = `title:${GreekText.normalize(title)}`;
+        }
+
+        return `a${hashString(key)}`;
+    }
+
+    /**
+     * Normalized, de-duplicated title tokens, ignoring one-letter words
+     * @param {string} title
+     * @returns {Set<string>}
+     */
+    function titleTokens(title) {
+        return new Set(GreekText.tokenize(title).filter(token => token.length > 1));
+    }
+
+    /**
+     * Jaccard similarity of normalized title tokens
+     * @param {string} a - First title
+     * @param {string} b - Second title
+     * @returns {number} - 0..1
+     */
+    function titleSimilarity(a, b) {
+        const tokensA = titleTokens(a);
+        const tokensB = titleTokens(b);
+        if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+        let shared = 0;
+        tokensA.forEach(token => {
+            if (tokensB.has(token)) shared++;
+        });
+
+        return shared / (tokensA.size + tokensB.size - shared);
+    }
+
+    /**
+     * Checks whether two articles are reports of the same story by different sources: similar
+     * titles, different `source` and publish dates at most DUPLICATE_WINDOW_MS apart. Articles
+     * of unknown date never match. Very short titles ("Ανακοίνωση") only match exactly, to avoid
+     * merging unrelated items.
+     * @param {Object} a - Article with title, source and pub_date
+     * @param {Object} b - Article with title, source and pub_date
+     * @param {number} [threshold]
+     * @returns {boolean}
+     */
+    function isNearDuplicate(a, b, threshold = DEFAULT_SIMILARITY) {
+        if (!a.source || !b.source || a.source === b.source) return false;
+
+        const timeA = new Date(a.pub_date || NaN).getTime();
+        const timeB = new Date(b.pub_date || NaN).getTime();
+        if (isNaN(timeA) || isNaN(timeB) || Math.abs(timeA - timeB) > DUPLICATE_WINDOW_MS) return false;
+
+        if (titleTokens(a.title).size < MIN_TITLE_TOKENS || titleTokens(b.title).size < MIN_TITLE_TOKENS) {
+            return GreekText.normalize(a.title).trim() === GreekText.normalize(b.title).trim();
+        }
+        return titleSimilarity(a.title, b.title) >= threshold;
+    }
+
+    /**
+     * Groups articles into stories. The first article of each group (in input order)
+     * becomes the story and lists every source that published it; a story takes at most
+     * one article per source. No article is dropped: each one is kept in `articles`.
+     * @param {Array} articles - Articles with title, source, link and pub_date
+     * @param {Object} [options]
+     * @param {number} [options.threshold] - Title similarity needed to merge
+     * @param {Function} [options.getLink] - Reads the article link
+     * @returns {Array} - Stories: the lead article plus `sources`, `articles` and `duplicate_count`
+     */
+    function clusterArticles(articles, { threshold = DEFAULT_SIMILARITY, getLink = article => article.link } = {}) {
+        const stories = [];
+
+        articles.forEach(article => {
+            const link = getLink(article);
+            const entry = { source: article.source, link, pub_date: article.pub_date };
+            const story = stories.find(candidate => isNearDuplicate(candidate, article, threshold)
+                && !candidate.articles.some(member => member.source === article.source));
+
+            if (story) {
+                if (!story.sources.some(existing => normalizeUrl(existing.link) === normalizeUrl(link))) {
+                    story.sources.push(entry);
+                }
+                story.articles.push(article);
+                story.duplicate_count++;
+            } else {
+                stories.push({ ...article, sources: [entry], articles: [article], duplicate_count: 0 });
+            }
+        });
+
+        return stories;
+    }
+
+    return {
+        DUPLICATE_WINDOW_MS,
+        normalizeUrl,
+        hashString,
+        articleId,
+        titleSimilarity,
+        isNearDuplicate,
+        clusterArticles
+    };
+});
@@ -0,0 +1,427 @@
+// RSS 0.9x/1.0/2.0, Atom and JSON Feed parsing, shared by the backend and the browser.
+// Uses its own tolerant XML reader instead of DOMParser, so both sides read feeds the same way
+// and emit the same item shape.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./greek-dates'), require('./dedup'));
+    } else {
+        root.FeedParser = factory(root.GreekDates, root.Dedup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (GreekDates, Dedup) {
+    const UNTITLED = 'Untitled';
+
+    // Namespace URI -> prefix used in element names, whatever prefix the feed declares
+    const NAMESPACES = {
+        'http://www.w3.org/2005/Atom': 'atom',
+        'http://purl.org/atom/ns#': 'atom',
+        'http://purl.org/dc/elements/1.1/': 'dc',
+        'http://purl.org/dc/terms/': 'dcterms',
+        'http://purl.org/rss/1.0/modules/content/': 'content',
+        'http://search.yahoo.com/mrss/': 'media',
+        'http://www.w3.org/1999/02/22-rdf-syntax-ns#': 'rdf',
+        'http://purl.org/rss/1.0/': 'rss',
+        'http://my.netscape.com/rdf/simple/0.9/': 'rss'
+    };
+
+    // XML entities plus the HTML ones that show up in feeds written by hand
+    const ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+        ndash: '–', mdash: '—', hellip: '…', laquo: '«', raquo: '»', middot: '·', bull: '•',
+        lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', euro: '€', copy: '©', reg: '®', deg: '°'
+    };
+
+    // CDATA, comment, processing instruction, doctype, closing tag, opening tag, text, stray "<".
+    // Names and attribute values never contain "<" and unterminated constructs run to the end of
+    // the input, so every "<" is scanned past once and parsing stays linear on broken markup.
+    const XML_TOKEN = /<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)|<!--[\s\S]*?(?:-->|$)|<\?[\s\S]*?(?:\?>|$)|<!DOCTYPE(?:[^[><]|\[[^\]]*(?:\]|$))*(?:>|$)|<\/\s*([^\s><]+)\s*>|<([^\s/>!?<]+)((?:\s+[^\s=/><]+(?:\s*=\s*(?:"[^"<]*"|'[^'<]*'|[^\s><]+))?)*)\s*(\/?)>|([^<]+)|</gi;
+    const XML_ATTRIBUTE = /([^\s=/><]+)(?:\s*=\s*(?:"([^"<]*)"|'([^'<]*)'|([^\s><]+)))?/g;
+
+    // Longest document parseXml reads; feeds and item bodies are far smaller
+    const MAX_DOCUMENT_LENGTH = 8 * 1024 * 1024;
+    // Elements nested deeper than this become siblings, which bounds the closing-tag search
+    const MAX_DEPTH = 256;
+
+    /**
+     * Decodes character references and the named entities in ENTITIES; others are kept as written
+     * @param {string} text
+     * @returns {string}
+     */
+    function decodeEntities(text) {
+        return String(text).replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+\d*));/gi, (entity, decimal, hex, name) => {
+            if (name) return ENTITIES[name.toLowerCase()] ?? entity;
+            const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        });
+    }
+
+    /**
+     * Turns an HTML fragment into plain text: drops scripts, styles and tags, decodes entities
+     * and collapses whitespace
+     * @param {string} html
+     * @returns {string}
+     */
+    function cleanText(html) {
+        if (!html) return '';
+        return decodeEntities(String(html)
+            .replace(/<(script|style)\b[\s\S]*?(?:<\/\1\s*>|$)/gi, ' ')
+            .replace(/<!--[\s\S]*?(?:-->|$)/g, ' ')
+            .replace(/<\/?[a-z][^<>]*>/gi, ' '))
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function collapse(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Reads an XML document into { name, attributes, children } nodes, where children mixes
+     * nodes and text strings. Element and attribute names are lowercased; elements of known
+     * namespaces get the prefixes of NAMESPACES, and those of the root's default namespace none.
+     * Mismatched closing tags are ignored and unclosed elements end with their parent,
+     * which keeps unescaped HTML in descriptions readable.
+     * @param {string} text - XML source
+     * @returns {Object} - Document node; its first element child is the root element
+     * @throws {Error} - When the text is longer than MAX_DOCUMENT_LENGTH characters
+     */
+    function parseXml(text) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        if (source.length > MAX_DOCUMENT_LENGTH) {
+            throw new Error(`Document larger than ${MAX_DOCUMENT_LENGTH} characters`);
+        }
+
+        const documentNode = { name: '#document', attributes: {}, children: [], namespaces: { '': '' } };
+        const stack = [documentNode];
+        let homeNamespace = null;
+
+        const qualifiedName = (rawName, namespaces) => {
+            const separator = rawName.indexOf(':');
+            const prefix = separator === -1 ? '' : rawName.slice(0, separator);
+            const local = rawName.slice(separator + 1).toLowerCase();
+            const uri = namespaces[prefix];
+            if (!prefix || uri === homeNamespace) return local;
+            return `${NAMESPACES[uri] || prefix.toLowerCase()}:${local}`;
+        };
+
+        for (const match of source.matchAll(XML_TOKEN)) {
+            const [token, cdata, closing, opening, attributeText, selfClosing, characters] = match;
+            const current = stack[stack.length - 1];
+
+            if (cdata !== undefined) {
+                current.children.push(cdata);
+            } else if (characters !== undefined) {
+                current.children.push(decodeEntities(characters));
+            } else if (token === '<') {
+                current.children.push('<');
+            } else if (opening) {
+                const rawAttributes = {};
+                for (const [, name, double, single, bare] of (attributeText || '').matchAll(XML_ATTRIBUTE)) {
+                    rawAttributes[name] = decodeEntities(double ?? single ?? bare ?? '');
+                }
+
+                let namespaces = current.namespaces;
+                Object.entries(rawAttributes).forEach(([name, value]) => {
+                    if (name !== 'xmlns' && !name.startsWith('xmlns:')) return;
+                    if (namespaces === current.namespaces) namespaces = { ...namespaces };
+                    namespaces[name === 'xmlns' ? '' : name.slice(6)] = value;
+                });
+                if (homeNamespace === null) homeNamespace = namespaces[''];
+
+                const attributes = {};
+                Object.entries(rawAttributes).forEach(([name, value]) => {
+                    attributes[name.toLowerCase()] = value;
+                });
+
+                const node = { name: qualifiedName(opening, namespaces), rawName: opening, attributes, children: [], namespaces };
+                current.children.push(node);
+                if (!selfClosing && stack.length <= MAX_DEPTH) stack.push(node);
+            } else if (closing) {
+                const index = stack.findLastIndex(node => node.rawName === closing);
+                if (index > 0) stack.length = index;
+            }
+        }
+
+        return documentNode;
+    }
+
+    const elementsOf = node => (node ? node.children.filter(child => typeof child === 'object') : []);
+    const childrenNamed = (node, name) => elementsOf(node).filter(child => child.name === name);
+    const childNamed = (node, name) => elementsOf(node).find(child => child.name === name) || null;
+
+    function textOf(node) {
+        if (!node) return '';
+        return node.children.map(child => (typeof child === 'string' ? child : textOf(child))).join('');
+    }
+
+    /**
+     * Trimmed text of the first of the named children that has any
+     * @returns {string}
+     */
+    function childText(node, ...names) {
+        for (const name of names) {
+            for (const child of childrenNamed(node, name)) {
+                const text = textOf(child).trim();
+                if (text) return text;
+            }
+        }
+        return '';
+    }
+
+    // Links and enclosures are kept only as absolute http(s) URLs
+    function resolveUrl(href, base) {
+        if (!href) return '';
+        try {
+            const url = new URL(String(href).replace(/[\t\n\r]/g, '').trim(), base || undefined);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : '';
+        } catch {
+            return '';
+        }
+    }
+
+    function escapeText(text) {
+        return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Markup inside an element whose text is HTML, as in RSS descriptions: text and CDATA are
+     * kept as written, and unescaped child elements are written back as tags
+     * @returns {string}
+     */
+    function markupOf(node) {
+        if (!node) return '';
+        return node.children.map(child => {
+            if (typeof child === 'string') return child;
+            const attributes = Object.entries(child.attributes)
+                .map(([name, value]) => ` ${name}="${escapeText(value).replace(/"/g, '&quot;')}"`)
+                .join('');
+            return `<${child.rawName}${attributes}>${markupOf(child)}</${child.rawName}>`;
+        }).join('');
+    }
+
+    const unique = values => [...new Set(values.filter(Boolean))];
+
+    /**
+     * Builds an item of the canonical schema, shared by all formats and by HTML scraping
+     * @param {Object} fields
+     * @returns {Object} - id, guid, title, description, content, link, pub_date, updated_date, authors,
+     *   categories, enclosures; description is plain text and content the body as the feed's
+     *   unsanitized HTML; dates are ISO timestamps or null when unknown
+     */
+    function createItem({ guid = null, title = '', description = '', content = '', link = '', pubDate = null,
+        updatedDate = null, authors = [], categories = [], enclosures = [] }) {
+        const seenEnclosures = new Set();
+        return {
+            id: Dedup.articleId({ link, guid, title }),
+            guid: guid ? String(guid).trim() : null,
+            title: title || UNTITLED,
+            description,
+            content: content.trim(),
+            link,
+            pub_date: GreekDates.parseDate(pubDate),
+            updated_date: GreekDates.parseDate(updatedDate),
+            authors: unique(authors.map(collapse)),
+            categories: unique(categories.map(collapse)),
+            enclosures: enclosures.filter(enclosure => {
+                if (!enclosure.url || seenEnclosures.has(enclosure.url)) return false;
+                seenEnclosures.add(enclosure.url);
+                return true;
+            })
+        };
+    }
+
+    function enclosureOf(url, type, length, base) {
+        const size = parseInt(length, 10);
+        return { url: resolveUrl(url, base), type: type || null, length: size > 0 ? size : null };
+    }
+
+    // RSS <author> holds "email (Name)"; the name is enough
+    function rssAuthor(text) {
+        const match = /\(([^)]+)\)\s*$/.exec(text);
+        return match ? match[1] : text;
+    }
+
+    function parseRssItem(item, base) {
+        const guidNode = childNamed(item, 'guid');
+        const guid = textOf(guidNode).trim() || item.attributes['rdf:about'] || null;
+        // A permalink guid, or the rdf:about URI of an RSS 1.0 item, stands in for a missing link
+        const permalink = (!guidNode || guidNode.attributes.ispermalink !== 'false') && /^https?:\/\//i.test(guid) ? guid : '';
+        const atomLink = childrenNamed(item, 'atom:link').find(link => !link.attributes.rel || link.attributes.rel === 'alternate');
+
+        const media = childrenNamed(item, 'media:content')
+            .concat(...childrenNamed(item, 'media:group').map(group => childrenNamed(group, 'media:content')));
+
+        return createItem({
+            guid,
+            title: cleanText(childText(item, 'title', 'dc:title')),
+            description: cleanText(childText(item, 'description', 'content:encoded', 'dc:description')),
+            content: markupOf(childNamed(item, 'content:encoded')) || markupOf(childNamed(item, 'description')),
+            link: resolveUrl(childText(item, 'link') || (atomLink && atomLink.attributes.href) || permalink, base),
+            pubDate: childText(item, 'pubdate', 'dc:date', 'dcterms:issued', 'dcterms:created', 'atom:published'),
+            updatedDate: childText(item, 'atom:updated', 'dcterms:modified'),
+            authors: childrenNamed(item, 'author').map(node => rssAuthor(textOf(node).trim()))
+                .concat(childrenNamed(item, 'dc:creator').map(textOf)),
+            categories: childrenNamed(item, 'category').concat(childrenNamed(item, 'dc:subject')).map(textOf),
+            enclosures: childrenNamed(item, 'enclosure')
+                .map(node => enclosureOf(node.attributes.url, node.attributes.type, node.attributes.length, base))
+                .concat(media.map(node => enclosureOf(node.attributes.url, node.attributes.type, node.attributes.filesize, base)))
+        });
+    }
+
+    function parseRss(rootNode, sourceUrl) {
+        const isRdf = rootNode.name === 'rdf:rdf';
+        const channel = childNamed(rootNode, 'channel') || rootNode;
+        const link = childText(channel, 'link');
+        const base = resolveUrl(link, sourceUrl) || sourceUrl;
+        // RSS 1.0 and 0.90 put the items next to the channel, the other versions inside it
+        const items = isRdf ? childrenNamed(rootNode, 'item') : childrenNamed(channel, 'item');
+
+        return {
+            format: 'rss',
+            version: isRdf ? (rootNode.namespaces[''] === 'http://my.netscape.com/rdf/simple/0.9/' ? '0.90' : '1.0') : rootNode.attributes.version || '2.0',
+            title: cleanText(childText(channel, 'title')),
+            link: base || '',
+            description: cleanText(childText(channel, 'description')),
+            items: items.map(item => parseRssItem(item, base))
+        };
+    }
+
+    // Text constructs: type "html" is escaped markup, "xhtml" inline elements, "text" plain text
+    function atomText(node) {
+        if (!node) return '';
+        const type = (node.attributes.type || 'text').toLowerCase();
+        return type === 'html' || type === 'text/html' ? cleanText(textOf(node)) : collapse(textOf(node));
+    }
+
+    function atomMarkup(node) {
+        if (!node || node.attributes.src) return '';
+        const type = (node.attributes.type || 'text').toLowerCase();
+        if (type === 'xhtml') {
+            // The <div> wrapping XHTML content is not part of the content
+            const [wrapper] = elementsOf(node);
+            return markupOf(wrapper && /(^|:)div$/i.test(wrapper.rawName) ? wrapper : node);
+        }
+        if (type === 'html' || type === 'text/html') return markupOf(node);
+        return type === 'text' || type === 'text/plain' ? escapeText(textOf(node)) : '';
+    }
+
+    function atomAuthors(node) {
+        return childrenNamed(node, 'author').map(author => childText(author, 'name') || textOf(author));
+    }
+
+    function baseOf(node, base) {
+        return node.attributes['xml:base'] ? resolveUrl(node.attributes['xml:base'], base) : base;
+    }
+
+    function parseAtomEntry(entry, feedBase, feedAuthors) {
+        const base = baseOf(entry, feedBase);
+        const links = childrenNamed(entry, 'link');
+        const alternates = links.filter(link => !link.attributes.rel || link.attributes.rel === 'alternate');
+        const alternate = alternates.find(link => /html/.test(link.attributes.type || 'text/html')) || alternates[0];
+        const authors = atomAuthors(entry);
+
+        return createItem({
+            guid: childText(entry, 'id') || null,
+            title: atomText(childNamed(entry, 'title')),
+            description: atomText(childNamed(entry, 'summary')) || atomText(childNamed(entry, 'content')),
+            content: atomMarkup(childNamed(entry, 'content')) || atomMarkup(childNamed(entry, 'summary')),
+            link: alternate ? resolveUrl(alternate.attributes.href, base) : '',
+            // Entries without a publication date are dated by their last update
+            pubDate: childText(entry, 'published', 'issued', 'created', 'updated', 'modified'),
+            updatedDate: childText(entry, 'updated', 'modified'),
+            authors: authors.length ? authors : feedAuthors,
+            categories: childrenNamed(entry, 'category').map(node => node.attributes.label || node.attributes.term || textOf(node)),
+            enclosures: links.filter(link => link.attributes.rel === 'enclosure')
+                .map(link => enclosureOf(link.attributes.href, link.attributes.type, link.attributes.length, base))
+        });
+    }
+
+    function parseAtom(rootNode, sourceUrl) {
+        const base = baseOf(rootNode, sourceUrl);
+        const alternate = childrenNamed(rootNode, 'link').find(link => !link.attributes.rel || link.attributes.rel === 'alternate');
+        const feedAuthors = atomAuthors(rootNode);
+
+        return {
+            format: 'atom',
+            version: rootNode.attributes.version || '1.0',
+            title: atomText(childNamed(rootNode, 'title')),
+            link: alternate ? resolveUrl(alternate.attributes.href, base) : base || '',
+            description: atomText(childNamed(rootNode, 'subtitle')) || atomText(childNamed(rootNode, 'tagline')),
+            items: childrenNamed(rootNode, 'entry').map(entry => parseAtomEntry(entry, base, feedAuthors))
+        };
+    }
+
+    function jsonAuthors(source) {
+        const authors = Array.isArray(source.authors) ? source.authors : source.author ? [source.author] : [];
+        return authors.map(author => (author && typeof author === 'object' ? author.name : author)).filter(Boolean);
+    }
+
+    function parseJsonFeed(text, sourceUrl) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (err) {
+            throw new Error(`Invalid JSON Feed: ${err.message}`);
+        }
+        if (!data || !/jsonfeed\.org/.test(data.version) || !Array.isArray(data.items)) {
+            throw new Error('JSON document is not a JSON Feed');
+        }
+
+        const base = resolveUrl(data.home_page_url || data.feed_url, sourceUrl) || sourceUrl;
+        const feedAuthors = jsonAuthors(data);
+
+        return {
+            format: 'json',
+            version: String(data.version).replace(/^.*\/version\//, ''),
+            title: collapse(data.title),
+            link: base || '',
+            description: collapse(data.description),
+            items: data.items.filter(item => item && typeof item === 'object').map(item => {
+                const authors = jsonAuthors(item);
+                return createItem({
+                    guid: item.id !== undefined && item.id !== null ? String(item.id) : null,
+                    title: collapse(item.title),
+                    description: collapse(item.summary) || collapse(item.content_text) || cleanText(item.content_html),
+                    content: String(item.content_html || '') || escapeText(item.content_text || item.summary),
+                    link: resolveUrl(item.url || item.external_url, base),
+                    pubDate: item.date_published,
+                    updatedDate: item.date_modified,
+                    authors: authors.length ? authors : feedAuthors,
+                    categories: Array.isArray(item.tags) ? item.tags.map(String) : [],
+                    enclosures: (Array.isArray(item.attachments) ? item.attachments : [])
+                        .map(attachment => enclosureOf(attachment.url, attachment.mime_type, attachment.size_in_bytes, base))
+                });
+            })
+        };
+    }
+
+    /**
+     * Parses an RSS 0.9x/1.0/2.0, Atom 0.3/1.0 or JSON Feed document
+     * @param {string} text - Feed source
+     * @param {Object} [options]
+     * @param {string} [options.sourceUrl] - Feed URL; relative links are resolved against it
+     * @returns {{format: string, version: string, title: string, link: string, description: string, items: Array}} -
+     *   format is "rss", "atom" or "json"; items follow createItem
+     * @throws {Error} - When the text is not a feed of a supported format
+     */
+    function parseFeed(text, { sourceUrl = '' } = {}) {
+        const source = String(text || '').replace(/^\uFEFF/, '').trim();
+        if (source.startsWith('{')) {
+            return parseJsonFeed(source, sourceUrl);
+        }
+
+        const rootNode = elementsOf(parseXml(source))[0];
+        if (rootNode && rootNode.name === 'rss') return parseRss(rootNode, sourceUrl);
+        if (rootNode && rootNode.name === 'rdf:rdf') return parseRss(rootNode, sourceUrl);
+        if (rootNode && rootNode.name === 'feed') return parseAtom(rootNode, sourceUrl);
+
+        throw new Error(rootNode ? `Unsupported feed format: <${rootNode.rawName}>` : 'Document is not XML or JSON');
+    }
+
+    return {
+        decodeEntities,
+        cleanText,
+        parseXml,
+        createItem,
+        parseFeed
+    };
+});
@@ -0,0 +1,236 @@
+// Date parsing for Greek sources, shared by the backend and the browser.
+// Dates without a time zone are read as Europe/Athens wall-clock time, numeric dates are
+// always day first, and text that holds no recognizable date yields null rather than "now".
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./greek-text'));
+    } else {
+        root.GreekDates = factory(root.GreekText);
+    }
+})(typeof self !== 'undefined' ? self : this, function (GreekText) {
+    const TIME_ZONE = 'Europe/Athens';
+    const UNKNOWN_DATE_LABEL = 'Άγνωστη ημερομηνία';
+
+    // Normalized month stems (genitive, nominative and abbreviations all start with these)
+    const MONTH_STEMS = [
+        ['ιανουαρ', 'ιαν'],
+        ['φεβρουαρ', 'φεβ'],
+        ['μαρτ', 'μαρ'],
+        ['απριλ', 'απρ'],
+        ['μαι', 'μαι'],
+        ['ιουν', 'ιουν'],
+        ['ιουλ', 'ιουλ'],
+        ['αυγουστ', 'αυγ'],
+        ['σεπτεμβρ', 'σεπ'],
+        ['οκτωβρ', 'οκτ'],
+        ['νοεμβρ', 'νοε'],
+        ['δεκεμβρ', 'δεκ']
+    ];
+
+    // RSS dates use English names; "Sept" and full names are accepted as prefixes of these
+    const ENGLISH_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december'];
+
+    // Zone abbreviations of RFC 822 and the ones Greek servers send, in minutes east of UTC
+    const ZONE_OFFSETS = {
+        ut: 0, utc: 0, gmt: 0, z: 0,
+        eet: 120, eest: 180,
+        est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420
+    };
+
+    // The patterns run on GreekText.normalize output, so they are lowercase and accent-free
+    // "2026-10-18", "2026-10-18T14:30:00+03:00", "2026/10/18 14:30"
+    const ISO_DATE = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[t\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?)?\s*(z|[+-]\d{2}(?::?\d{2})?)?$/;
+    // "Sun, 18 Oct 2026 14:30:00 +0300", "18 Oct 26 14:30 GMT"
+    const RFC822_DATE = /^(?:[a-z]{3,9},?\s*)?(\d{1,2})\s+([a-z]{3,9})\.?\s+(\d{4}|\d{2})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([a-z]{1,5}|[+-]\d{4})?$/;
+    // "18/10/2026", "18.10.2026 14:30", "18-10-26" (always day first)
+    const NUMERIC_DATE = /(?<![\p{N}/.-])(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?![\p{N}/.-])(?:[^\p{N}]{1,12}?(\d{1,2}):(\d{2})(?::(\d{2}))?)?/u;
+    // "18 Οκτωβρίου 2026", "Τρίτη, 18η Οκτ. 2026, 14:30", "18 October 2026"
+    const TEXT_DATE = /(?<![\p{N}])(\d{1,2})(?:η|ησ|th|st|nd|rd)?\s+(\p{L}+)\.?,?\s+(\d{4})(?:[^\p{N}]{1,12}?(\d{1,2}):(\d{2})(?::(\d{2}))?)?/gu;
+    // "October 18, 2026"
+    const ENGLISH_TEXT_DATE = /(?<![\p{L}])([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})(?:[^\p{N}]{1,12}?(\d{1,2}):(\d{2})(?::(\d{2}))?)?/gu;
+
+    const zonedFormat = new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    /**
+     * Resolves a Greek or English month name or abbreviation to its number
+     * @param {string} word - Month word, in any case and with or without accents
+     * @returns {number|null} - 1-12
+     */
+    function monthFromWord(word) {
+        const clean = GreekText.normalize(word).replace(/\.$/, '');
+        if (!clean) return null;
+
+        let index = MONTH_STEMS.findIndex(([stem, abbreviation]) => clean.startsWith(stem) || clean === abbreviation);
+        if (index === -1 && clean.length >= 3) {
+            index = ENGLISH_MONTHS.findIndex(name => name.startsWith(clean) || (clean === 'sept' && name === 'september'));
+        }
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Builds an ISO calendar date, rejecting impossible days such as 31 February
+     * @returns {string|null} - YYYY-MM-DD
+     */
+    function toIsoDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Offset of Athens local time from UTC at an instant
+     * @param {Date} date
+     * @returns {number} - Milliseconds to add to UTC
+     */
+    function athensOffset(date) {
+        const parts = Object.fromEntries(zonedFormat.formatToParts(date).map(part => [part.type, part.value]));
+        const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return local - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Instant of an Athens wall-clock time, following the EET/EEST switch.
+     * Day overflow is allowed (day 32 is the 1st of the next month), as with Date.UTC.
+     * @returns {Date}
+     */
+    function athensTime(year, month, day, hour = 0, minute = 0, second = 0) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        const guess = wallClock - athensOffset(new Date(wallClock));
+        // The offset at the guess differs only within hours of a DST switch
+        return new Date(wallClock - athensOffset(new Date(guess)));
+    }
+
+    function twoDigitYear(text) {
+        return text.length === 2 ? 2000 + Number(text) : Number(text);
+    }
+
+    function zoneOffsetMinutes(zone) {
+        if (!zone) return null;
+        if (ZONE_OFFSETS[zone] !== undefined) return ZONE_OFFSETS[zone];
+
+        const match = /^([+-])(\d{2}):?(\d{2})?$/.exec(zone);
+        if (!match) return undefined;
+        const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+        return match[1] === '-' ? -minutes : minutes;
+    }
+
+    /**
+     * Builds the instant of a date and time, in the given zone or else in Athens time
+     * @param {number|null} [offsetMinutes] - Zone offset east of UTC; null for Athens time
+     * @returns {Date|null} - Null for impossible dates or times
+     */
+    function buildDate(year, month, day, hour = 0, minute = 0, second = 0, offsetMinutes = null) {
+        if (!month || !toIsoDate(year, month, day) || hour > 23 || minute > 59 || second > 59) {
+            return null;
+        }
+        if (offsetMinutes === null) {
+            return athensTime(year, month, day, hour, minute, second);
+        }
+        return new Date(Date.UTC(year, month - 1, day, hour, minute, second) - offsetMinutes * 60 * 1000);
+    }
+
+    const toNumbers = values => values.map(value => (value === undefined ? 0 : Number(value)));
+
+    /**
+     * Reads a date written in any of the forms used by Greek sources and their feeds:
+     * ISO 8601, RFC 822, day-first numeric dates and Greek or English month names.
+     * Times without a zone are Athens local time.
+     * @param {string|Date|number|null} value - Date text, Date or timestamp
+     * @returns {Date|null} - Null when the value holds no recognizable date
+     */
+    function parseDateValue(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date || typeof value === 'number') {
+            const date = new Date(value);
+            return isNaN(date.getTime()) ? null : date;
+        }
+
+        const text = GreekText.normalize(String(value)).replace(/\s+/g, ' ').trim();
+        if (!text) return null;
+
+        let match = ISO_DATE.exec(text);
+        if (match) {
+            const offset = zoneOffsetMinutes(match[7]);
+            const [year, month, day, hour, minute, second] = toNumbers(match.slice(1, 7));
+            return offset === undefined ? null : buildDate(year, month, day, hour, minute, second, offset);
+        }
+
+        match = RFC822_DATE.exec(text);
+        if (match) {
+            const offset = zoneOffsetMinutes(match[7]);
+            const [day, , , hour, minute, second] = toNumbers(match.slice(1, 7));
+            return buildDate(twoDigitYear(match[3]), monthFromWord(match[2]), day, hour, minute, second, offset === undefined ? null : offset);
+        }
+
+        match = NUMERIC_DATE.exec(text);
+        if (match) {
+            const [day, month, , hour, minute, second] = toNumbers(match.slice(1, 7));
+            return buildDate(twoDigitYear(match[3]), month, day, hour, minute, second);
+        }
+
+        // Other numbers may stand before a month name ("Ανακοίνωση 3 της 2026, 18 Οκτωβρίου 2026")
+        for (const textMatch of text.matchAll(TEXT_DATE)) {
+            const [day, , year, hour, minute, second] = toNumbers(textMatch.slice(1, 7));
+            const date = buildDate(year, monthFromWord(textMatch[2]), day, hour, minute, second);
+            if (date) return date;
+        }
+
+        for (const textMatch of text.matchAll(ENGLISH_TEXT_DATE)) {
+            const [, day, year, hour, minute, second] = toNumbers(textMatch.slice(1, 7));
+            const date = buildDate(year, monthFromWord(textMatch[1]), day, hour, minute, second);
+            if (date) return date;
+        }
+
+        return null;
+    }
+
+    /**
+     * Same as parseDateValue, as an ISO timestamp
+     * @param {string|Date|number|null} value
+     * @returns {string|null} - Null for unknown dates; callers store and show them as unknown
+     */
+    function parseDate(value) {
+        const date = parseDateValue(value);
+        return date ? date.toISOString() : null;
+    }
+
+    /**
+     * Formats a date for display in Athens time
+     * @param {string|Date|null} value - ISO timestamp or Date; null for an unknown date
+     * @param {Object} [options]
+     * @param {boolean} [options.time] - Include hours and minutes
+     * @returns {string} - UNKNOWN_DATE_LABEL when there is no valid date
+     */
+    function formatDate(value, { time = false } = {}) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return UNKNOWN_DATE_LABEL;
+        return time
+            ? date.toLocaleString('el-GR', { timeZone: TIME_ZONE, dateStyle: 'short', timeStyle: 'short' })
+            : date.toLocaleDateString('el-GR', { timeZone: TIME_ZONE });
+    }
+
+    return {
+        TIME_ZONE,
+        UNKNOWN_DATE_LABEL,
+        MONTH_STEMS,
+        monthFromWord,
+        toIsoDate,
+        athensOffset,
+        athensTime,
+        parseDateValue,
+        parseDate,
+        formatDate
+    };
+});
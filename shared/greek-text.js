@@ -0,0 +1,67 @@
+// Greek-aware text normalization shared by the backend and the browser
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GreekText = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+    /**
+     * Folds a single character: strips tonos/dialytika, lowercases and maps final sigma
+     * @param {string} char - One character
+     * @returns {string} - Folded character (may be empty for bare combining marks)
+     */
+    function foldChar(char) {
+        return char
+            .normalize('NFD')
+            .replace(COMBINING_MARKS, '')
+            .toLowerCase()
+            .replace(/ς/g, 'σ');
+    }
+
+    /**
+     * Normalizes text for accent- and case-insensitive comparison
+     * @param {string} text - Text to normalize
+     * @returns {string}
+     */
+    function normalize(text) {
+        return Array.from(String(text || '').normalize('NFC'), foldChar).join('');
+    }
+
+    /**
+     * Normalizes text while keeping a map from folded positions back to the original
+     * @param {string} text - Text to normalize
+     * @returns {{text: string, folded: string, map: number[]}} - map[i] is the offset in text of folded[i]
+     */
+    function normalizeWithMap(text) {
+        const source = String(text || '').normalize('NFC');
+        let folded = '';
+        const map = [];
+        let offset = 0;
+
+        for (const char of source) {
+            const out = foldChar(char);
+            for (let i = 0; i < out.length; i++) {
+                map.push(offset);
+            }
+            folded += out;
+            offset += char.length;
+        }
+        map.push(offset);
+
+        return { text: source, folded, map };
+    }
+
+    /**
+     * Splits text into normalized word tokens
+     * @param {string} text - Text to tokenize
+     * @returns {string[]}
+     */
+    function tokenize(text) {
+        return normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    return { normalize, normalizeWithMap, tokenize };
+});
@@ -0,0 +1,98 @@
+// Allowlist sanitizer for HTML from feeds, shared by the backend and the browser.
+// The output is rebuilt from scratch: only the tags below survive, text is escaped and links
+// keep nothing but a checked href, so it is safe to assign to innerHTML.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./feed-parser'));
+    } else {
+        root.HtmlSanitizer = factory(root.FeedParser);
+    }
+})(typeof self !== 'undefined' ? self : this, function (FeedParser) {
+    const ALLOWED_TAGS = new Set([
+        'p', 'br', 'hr', 'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 'mark', 'small', 'sub', 'sup',
+        'blockquote', 'pre', 'code', 'h3', 'h4', 'h5', 'h6',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a'
+    ]);
+
+    // Removed together with their content; other unknown tags are unwrapped and keep their text
+    const DROPPED_TAGS = new Set([
+        'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed', 'applet',
+        'svg', 'math', 'head', 'title', 'form', 'button', 'select', 'textarea', 'option'
+    ]);
+
+    // Page-level headings would dwarf the card they are shown in
+    const RENAMED_TAGS = { h1: 'h3', h2: 'h3' };
+
+    // Void elements; the XML reader nests whatever follows an unclosed one inside it
+    const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'wbr', 'col', 'area', 'source', 'base']);
+
+    const SAFE_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Resolves a link and accepts it only for http, https and mailto, so javascript:,
+     * data: and similar URLs never reach an href
+     * @param {string} url - Absolute or relative URL
+     * @param {string} [baseUrl] - Base for relative URLs; without one they are rejected
+     * @returns {string|null} - Absolute URL, or null when unsafe or unreadable
+     */
+    function safeUrl(url, baseUrl) {
+        if (!url) return null;
+        try {
+            // Browsers ignore tabs and newlines inside URLs, so "java\nscript:" must not slip through
+            const parsed = new URL(String(url).replace(/[\t\n\r]/g, '').trim(), baseUrl || undefined);
+            return SAFE_SCHEMES.includes(parsed.protocol) ? parsed.toString() : null;
+        } catch {
+            return null;
+        }
+    }
+
+    function sanitizeChildren(node, baseUrl) {
+        return node.children.map(child => (typeof child === 'string' ? escapeHtml(child) : sanitizeElement(child, baseUrl))).join('');
+    }
+
+    function sanitizeElement(node, baseUrl) {
+        if (DROPPED_TAGS.has(node.name)) return '';
+
+        const name = RENAMED_TAGS[node.name] || node.name;
+        const inner = sanitizeChildren(node, baseUrl);
+        if (!ALLOWED_TAGS.has(name)) return inner;
+        if (VOID_TAGS.has(name)) return `<${name}>${inner}`;
+
+        if (name === 'a') {
+            const href = safeUrl(node.attributes.href, baseUrl);
+            if (!href) return inner;
+            const rel = href.startsWith('mailto:') ? '' : ' target="_blank" rel="noopener noreferrer"';
+            return `<a href="${escapeHtml(href)}"${rel}>${inner}</a>`;
+        }
+        return `<${name}>${inner}</${name}>`;
+    }
+
+    /**
+     * Sanitizes an HTML fragment, keeping paragraphs, lists, emphasis, tables and links.
+     * Attributes are dropped except a checked href; links open in a new tab with rel="noopener noreferrer".
+     * @param {string} html - Untrusted markup
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - URL of the page the markup comes from, for relative links
+     * @returns {string} - Safe HTML; empty when the markup holds no text
+     */
+    function sanitize(html, { baseUrl } = {}) {
+        if (!html) return '';
+        const output = sanitizeChildren(FeedParser.parseXml(html), baseUrl).trim();
+        return /\S/.test(output.replace(/<[^>]*>/g, '')) ? output : '';
+    }
+
+    return {
+        escapeHtml,
+        safeUrl,
+        sanitize
+    };
+});
@@ -0,0 +1,250 @@
+// Service worker: offline shell, cached article pages and a queue for API writes made offline
+const SHELL_CACHE = "gtnh-shell-v1";
+const API_CACHE = "gtnh-api-v1";
+const MAX_CACHED_PAGES = 10;
+const OUTBOX_DB = "gtnh-outbox";
+const OUTBOX_STORE = "requests";
+const SYNC_TAG = "gtnh-outbox";
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "style.css",
+  "script.js",
+  "shared/greek-text.js",
+  "shared/greek-dates.js",
+  "shared/dedup.js",
+  "shared/feed-parser.js",
+  "shared/html-sanitizer.js",
+  "manifest.webmanifest",
+  "icons/icon-192.png",
+  "icons/icon-512.png"
+];
+
+self.addEventListener("install", event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith("gtnh-") && key !== SHELL_CACHE && key !== API_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", event => {
+  const url = new URL(event.request.url);
+  const isApi = url.pathname.startsWith("/api/");
+  // Sign-in requests carry passwords and are never stored in the outbox
+  const isAuth = url.pathname.startsWith("/api/auth/") || url.pathname === "/api/users";
+
+  if (isAuth) {
+    event.respondWith(fetch(event.request).catch(() => offlineResponse()));
+  } else if (isApi && event.request.method !== "GET") {
+    event.respondWith(sendOrQueue(event.request));
+  } else if (isApi && url.pathname === "/api/articles") {
+    event.respondWith(networkFirst(event.request));
+  } else if (isApi) {
+    event.respondWith(fetch(event.request).catch(() => offlineResponse()));
+  } else if (event.request.method === "GET" && url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event.request));
+  }
+});
+
+self.addEventListener("sync", event => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+// The page reports regained connectivity, for browsers without Background Sync
+self.addEventListener("message", event => {
+  if (event.data && event.data.type === "online") {
+    event.waitUntil(replayOutbox().then(refreshCachedPages));
+  }
+});
+
+/**
+ * Shell files: answer from the cache and update it in the background
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || cache.match("index.html"));
+
+  return cached || update;
+}
+
+/**
+ * Article pages: the network when reachable, otherwise the copy from the last visit.
+ * Copies carry X-Cached-At so the page can tell the reader how old they are.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cachePage(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { cacheName: API_CACHE });
+    return cached || offlineResponse();
+  }
+}
+
+/**
+ * Stores an article page, keeping only the most recently fetched MAX_CACHED_PAGES
+ * @param {Request} request
+ * @param {Response} response
+ */
+async function cachePage(request, response) {
+  const cache = await caches.open(API_CACHE);
+  const headers = new Headers(response.headers);
+  headers.set("X-Cached-At", new Date().toISOString());
+
+  // Re-inserting moves the page to the end of the key order used for trimming
+  await cache.delete(request);
+  await cache.put(request, new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  }));
+
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - MAX_CACHED_PAGES, 0)).map(key => cache.delete(key)));
+}
+
+/**
+ * Re-fetches every cached article page so the next offline visit is current
+ */
+async function refreshCachedPages() {
+  const cache = await caches.open(API_CACHE);
+  const keys = await cache.keys();
+
+  for (const request of keys) {
+    try {
+      const response = await fetch(request.url);
+      if (response.ok) await cachePage(request, response);
+    } catch (error) {
+      return;
+    }
+  }
+
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => client.postMessage({ type: "refreshed" }));
+}
+
+/**
+ * @returns {Response} - 503 with a JSON body the page recognizes as "offline"
+ */
+function offlineResponse() {
+  return new Response(JSON.stringify({ error: "Offline", offline: true }), {
+    status: 503,
+    headers: { "Content-Type": "application/json; charset=utf-8" }
+  });
+}
+
+/**
+ * Writes (read/bookmark changes and similar) go to the network when possible; when the
+ * network is down they are queued and answered with 202 so the page can apply them locally
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function sendOrQueue(request) {
+  const queued = request.clone();
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    await addToOutbox({
+      url: queued.url,
+      method: queued.method,
+      headers: [...queued.headers.entries()],
+      body: await queued.text(),
+      queuedAt: Date.now()
+    });
+    if (self.registration.sync) {
+      await self.registration.sync.register(SYNC_TAG).catch(() => {});
+    }
+    return new Response(JSON.stringify({ queued: true }), {
+      status: 202,
+      headers: { "Content-Type": "application/json; charset=utf-8" }
+    });
+  }
+}
+
+/**
+ * Sends queued writes in the order they were made; stops at the first network failure
+ * so the rest keep their order for the next attempt
+ */
+async function replayOutbox() {
+  const entries = await readOutbox();
+
+  for (const entry of entries) {
+    try {
+      await fetch(entry.url, {
+        method: entry.method,
+        headers: entry.headers,
+        body: entry.body || undefined
+      });
+    } catch (error) {
+      return;
+    }
+    // Any HTTP answer counts as delivered; a rejected change would be rejected again
+    await removeFromOutbox(entry.id);
+  }
+}
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(OUTBOX_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(OUTBOX_STORE, { keyPath: "id", autoIncrement: true });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+}
+
+/**
+ * Runs one operation on the outbox store
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>} - The request result
+ */
+async function withOutbox(mode, operation) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode);
+    const request = operation(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+function addToOutbox(entry) {
+  return withOutbox("readwrite", store => store.add(entry));
+}
+
+function readOutbox() {
+  return withOutbox("readonly", store => store.getAll());
+}
+
+function removeFromOutbox(id) {
+  return withOutbox("readwrite", store => store.delete(id));
+}